@@ -0,0 +1,49 @@
+/**
+ * Throughput of the bulk functions against array().
+ *
+ *   npm run bench
+ *   npm run bench -- 5000000    # values per run (default: 1000000)
+ *
+ * Each case is run once to warm up, then timed over three runs; the best run
+ * is reported in millions of values per second.
+ */
+
+import { array, bytes, fill, floats } from '../index.js';
+
+const count = Number(process.argv[2] || 1_000_000);
+if (!Number.isInteger(count) || count < 1) {
+  console.error('Usage: node bench/bulk.js [count]');
+  process.exit(2);
+}
+
+const cases = [
+  ['array(n, 3)', () => array(count, 3)],
+  ['array(n, 3) sfc32', () => array(count, 3, { algorithm: 'sfc32' })],
+  ['bytes(n)', () => bytes(count)],
+  ['floats(n)', () => floats(count)],
+  ['floats(n) sfc32', () => floats(count, { algorithm: 'sfc32' })],
+  ['fill(Uint32Array)', () => fill(new Uint32Array(count))],
+  ['fill(Uint32Array) xoshiro128**', () => fill(new Uint32Array(count), { algorithm: 'xoshiro128**' })],
+  ['fill(Float32Array) mulberry32', () => fill(new Float32Array(count), { algorithm: 'mulberry32' })]
+];
+
+const best = (fn) => {
+  fn();
+  let fastest = Infinity;
+  for (let run = 0; run < 3; run++) {
+    const start = performance.now();
+    fn();
+    fastest = Math.min(fastest, performance.now() - start);
+  }
+  return fastest;
+};
+
+console.log(`${count.toLocaleString('en-US')} values per run\n`);
+let baseline;
+for (const [name, fn] of cases) {
+  const ms = best(fn);
+  const rate = count / ms / 1000;
+  baseline = baseline || rate;
+  const speedup = (rate / baseline).toFixed(1);
+  console.log(`${name.padEnd(32)} ${rate.toFixed(1).padStart(8)} M/s ${speedup.padStart(8)}x`);
+}
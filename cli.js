@@ -0,0 +1,350 @@
+/**
+ * pdrng/cli - Command-line interface for pdrng
+ *
+ * Each subcommand mirrors an exported function: positional arguments map to
+ * the function's arguments and --flags to its options.
+ *
+ *   pdrng coin --seed brian
+ *   pdrng roll 2d6+3
+ *   pdrng uuid --count 5 --json
+ *   cat ids.txt | pdrng color --seed -
+ *
+ * @module pdrng/cli
+ * @license MIT
+ */
+
+import { readFileSync } from 'node:fs';
+import * as lib from './index.js';
+
+// ─── Commands ────────────────────────────────────────────────────────────────
+
+/** Options shared by several commands. */
+const MODE = ['mode'];
+const RESPONSE = ['collection', 'locale', 'details'];
+const DATE = ['from', 'to', 'days', 'holidays', 'timeZone', 'format'];
+const TAROT = ['deck', 'reversals'];
+const COLOR = ['format', 'preset', 'hue', 'background', 'contrast'];
+
+/**
+ * Subcommands, named after the function they call: [number of positional
+ * arguments, argument kind, options it takes besides --seed, --hash and
+ * --algorithm].
+ * 'numbers' parses each positional as a number, 'text' passes the first one
+ * through, 'list' collects every positional into one array and 'sample'
+ * takes a count followed by a list.
+ */
+const COMMANDS = Object.freeze({
+  pdrng: [1, 'numbers', []],
+  float: [1, 'numbers', []],
+  range: [2, 'numbers', MODE],
+  floatRange: [2, 'numbers', []],
+  array: [2, 'numbers', []],
+  uuid: [0, 'numbers', ['version', 'namespace', 'name', 'now']],
+  ulid: [0, 'numbers', ['now']],
+  nanoid: [1, 'numbers', ['alphabet']],
+  oddOrEven: [0, 'numbers', []],
+  redOrBlack: [0, 'numbers', []],
+  coin: [0, 'numbers', []],
+  dice: [1, 'numbers', MODE],
+  card: [0, 'numbers', []],
+  roulette: [0, 'numbers', ['mode', 'wheel']],
+  rps: [0, 'numbers', []],
+  magic8: [0, 'numbers', RESPONSE],
+  zodiac: [0, 'numbers', ['date', 'cuspDays']],
+  chineseZodiac: [0, 'numbers', ['date', 'year']],
+  date: [0, 'numbers', DATE],
+  time: [0, 'numbers', ['from', 'to', 'format']],
+  timestamp: [0, 'numbers', DATE],
+  duration: [0, 'numbers', ['min', 'max', 'format']],
+  weekday: [0, 'numbers', ['days', 'format']],
+  birthdate: [0, 'numbers', ['days', 'holidays', 'timeZone', 'format', 'minAge', 'maxAge', 'now']],
+  tarot: [0, 'numbers', []],
+  tarotCard: [0, 'numbers', TAROT],
+  tarotSpread: [1, 'text', TAROT],
+  fortune: [0, 'numbers', RESPONSE],
+  spin: [1, 'list', ['weights']],
+  roll: [1, 'text', []],
+  bingo: [0, 'numbers', MODE],
+  bingoCard: [0, 'numbers', ['variant', 'freeCenter']],
+  color: [0, 'numbers', COLOR],
+  palette: [1, 'text', [...COLOR, 'spread', 'size']],
+  normal: [2, 'numbers', []],
+  logNormal: [2, 'numbers', []],
+  exponential: [1, 'numbers', []],
+  gamma: [2, 'numbers', []],
+  beta: [2, 'numbers', []],
+  poisson: [1, 'numbers', []],
+  binomial: [2, 'numbers', []],
+  geometric: [1, 'numbers', []],
+  triangular: [3, 'numbers', []],
+  pareto: [2, 'numbers', []],
+  shuffle: [1, 'list', []],
+  sample: [2, 'sample', []]
+});
+
+/** Options every command takes. */
+const SEED_OPTIONS = Object.freeze(['seed', 'hash', 'algorithm']);
+
+/** Flags renamed for one command, because the function option clashes with --count. */
+const RENAMED_OPTIONS = Object.freeze({
+  palette: Object.freeze({ size: 'count' })
+});
+
+/**
+ * Options parsed as numbers; "true" and "false" become booleans and every
+ * other --flag value stays a string.
+ */
+const NUMERIC_OPTIONS = Object.freeze([
+  'version', 'now', 'hue', 'contrast', 'spread', 'count', 'size', 'variant', 'year', 'cuspDays',
+  'minAge', 'maxAge'
+]);
+
+/** Plain-text renderers for results that are not strings or numbers. */
+const PLAIN = Object.freeze({
+  roll: (result) => String(result.total)
+});
+
+const USAGE = `Usage: pdrng <command> [args...] [options]
+
+Commands:
+  ${Object.keys(COMMANDS).join(', ')}
+
+Options:
+  --seed <value>       Seed (numbers stay numbers; "-" reads one seed per line from stdin)
+  --algorithm <name>   ${lib.ALGORITHMS.join(', ')}
+  --hash <name>        ${lib.HASHES.join(', ')}
+  -n, --count <n>      Draw n values from a generator seeded with --seed
+  --weights <list>     Comma-separated weights for spin (e.g. 5,3,1)
+  --holidays <list>    Comma-separated YYYY-MM-DD dates skipped by --days business
+  --json               Print JSON instead of plain text
+  --size <n>           Number of colors for palette
+  --<option> <value>   Any other option of the function (e.g. --mode uniform, --freeCenter false)
+  -h, --help           Show this help
+  -v, --version        Show the pdrng version
+
+Examples:
+  pdrng coin --seed brian
+  pdrng roll 2d6+3
+  pdrng uuid --count 5
+  pdrng range 1 100 --mode uniform
+  pdrng spin a b c --json`;
+
+/** Thrown for bad command lines; reported with the usage hint and exit code 2. */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a number argument. Integers beyond the safe range become BigInts.
+ * @param {string} value
+ * @returns {number|bigint}
+ */
+const _toNumber = (value) => {
+  if (/^-?\d+$/.test(value) && !Number.isSafeInteger(Number(value))) return BigInt(value);
+  const n = Number(value);
+  if (value.trim() === '' || Number.isNaN(n)) {
+    throw new UsageError(`Expected a number, got "${value}"`);
+  }
+  return n;
+};
+
+/** Parse an option value: numbers for NUMERIC_OPTIONS, booleans for "true" / "false". */
+const _toOption = (key, value) => {
+  if (NUMERIC_OPTIONS.includes(key)) return _toNumber(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+};
+
+/** Seeds that look like integers are numbers, so `--seed 814` matches the default. */
+const _toSeed = (value) => (/^-?\d+(\.\d+)?$/.test(value) ? _toNumber(value) : value);
+
+const _camelCase = (flag) => flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+/**
+ * Split argv into a command, positional arguments and options.
+ * @param {string[]} argv
+ * @returns {{ command: string|undefined, positional: string[], options: Object, flags: Object }}
+ */
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  const flags = { json: false, help: false, version: false };
+  let command;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h' || arg === '--help') {
+      flags.help = true;
+    } else if (arg === '-v' || (arg === '--version' && command === undefined)) {
+      flags.version = true;
+    } else if (arg === '--json') {
+      flags.json = true;
+    } else if (arg.startsWith('--') || arg === '-n') {
+      const eq = arg.indexOf('=');
+      const key = arg === '-n' ? 'count' : _camelCase(eq === -1 ? arg.slice(2) : arg.slice(2, eq));
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined) {
+        throw new UsageError(`Missing value for --${key}`);
+      }
+      if (key === 'seed') options.seed = value === '-' ? value : _toSeed(value);
+      else if (key === 'weights') options.weights = value.split(',').map(_toNumber);
+      else if (key === 'holidays') options.holidays = value.split(',');
+      else options[key] = _toOption(key, value);
+    } else if (command === undefined) {
+      command = arg;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { command, positional, options, flags };
+};
+
+/**
+ * Turn positional strings into the function's leading arguments.
+ * @param {string} command
+ * @param {string[]} positional
+ * @returns {Array}
+ */
+const _commandArgs = (command, positional) => {
+  const [arity, kind] = COMMANDS[command];
+  if (kind === 'list') {
+    if (positional.length === 0) throw new UsageError(`${command} requires at least one item`);
+    return [positional];
+  }
+  if (kind === 'sample') {
+    if (positional.length < 2) throw new UsageError('sample requires a count and at least one item');
+    return [positional.slice(1), _toNumber(positional[0])];
+  }
+  if (positional.length > arity) {
+    throw new UsageError(`${command} takes at most ${arity} argument${arity === 1 ? '' : 's'}`);
+  }
+  if (kind === 'text') {
+    if (command === 'roll' && positional.length === 0) throw new UsageError('roll requires dice notation');
+    return [positional[0]];
+  }
+  const args = positional.map(_toNumber);
+  args.length = arity;
+  return args;
+};
+
+/**
+ * Check the options (without the --count repeat count) against the ones
+ * the command takes, and apply renamed flags.
+ * @param {string} command
+ * @param {Object} options
+ * @returns {Object}
+ */
+const _commandOptions = (command, options) => {
+  const accepted = COMMANDS[command][2];
+  const renamed = RENAMED_OPTIONS[command] || {};
+  const result = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (!SEED_OPTIONS.includes(key) && !accepted.includes(key)) {
+      throw new UsageError(`${command} does not take --${key}`);
+    }
+    result[Object.prototype.hasOwnProperty.call(renamed, key) ? renamed[key] : key] = value;
+  }
+  return result;
+};
+
+// ─── Output ──────────────────────────────────────────────────────────────────
+
+const _jsonReplacer = (_key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+/**
+ * Render one result as plain text.
+ * @param {string} command
+ * @param {*} value
+ * @returns {string}
+ */
+const _plain = (command, value) => {
+  if (PLAIN[command]) return PLAIN[command](value);
+  if (Array.isArray(value) && value.every((v) => typeof v !== 'object')) return value.join(' ');
+  if (value !== null && typeof value === 'object') return JSON.stringify(value, _jsonReplacer);
+  return String(value);
+};
+
+const _version = () => JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version;
+
+const _readStdin = async () => {
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+};
+
+// ─── Run ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {Object} [io] - I/O hooks, for tests
+ * @param {function(string): void} [io.stdout] - Write a line of output
+ * @param {function(string): void} [io.stderr] - Write a line of error output
+ * @param {function(): Promise<string>} [io.stdin] - Read all of stdin
+ * @returns {Promise<number>} Exit code: 0 on success, 1 for errors thrown by
+ *   the function, 2 for usage errors
+ */
+const run = async (argv, io = {}) => {
+  const stdout = io.stdout || ((line) => process.stdout.write(line + '\n'));
+  const stderr = io.stderr || ((line) => process.stderr.write(line + '\n'));
+  const stdin = io.stdin || _readStdin;
+
+  try {
+    const { command, positional, options, flags } = parseArgs(argv);
+    if (flags.version) {
+      stdout(_version());
+      return 0;
+    }
+    if (flags.help || command === undefined) {
+      (command === undefined && !flags.help ? stderr : stdout)(USAGE);
+      return command === undefined && !flags.help ? 2 : 0;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+      throw new UsageError(`Unknown command: "${command}"`);
+    }
+
+    const fn = lib[command];
+    const args = _commandArgs(command, positional);
+    const { count, ...flagOptions } = options;
+    const callOptions = _commandOptions(command, flagOptions);
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+      throw new UsageError('--count must be a positive integer');
+    }
+
+    let results;
+    if (callOptions.seed === '-') {
+      const seeds = (await stdin()).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+      results = seeds.map((seed) => fn(...args, { ...callOptions, seed: _toSeed(seed) }));
+    } else if (count !== undefined) {
+      const { seed, algorithm, hash, ...rest } = callOptions;
+      const gen = lib.createGenerator(seed, { algorithm, hash });
+      results = Array.from({ length: count }, () => gen[command](...args, rest));
+    } else {
+      const result = fn(...args, callOptions);
+      stdout(flags.json ? JSON.stringify(result, _jsonReplacer) : _plain(command, result));
+      return 0;
+    }
+
+    if (flags.json) stdout(JSON.stringify(results, _jsonReplacer));
+    else results.forEach((result) => stdout(_plain(command, result)));
+    return 0;
+  } catch (err) {
+    stderr(`pdrng: ${err.message}`);
+    if (err instanceof UsageError) {
+      stderr('Run "pdrng --help" for usage.');
+      return 2;
+    }
+    return 1;
+  }
+};
+
+export { run, parseArgs, COMMANDS };
@@ -0,0 +1,76 @@
+/**
+ * pdrng/data/en - English word lists for pdrng/fake
+ *
+ * Each list is a frozen array. Pass a module with the same shape (or any
+ * subset of it) to createFaker() to swap lists out.
+ *
+ * @module pdrng/data/en
+ * @license MIT
+ */
+
+export const firstNames = Object.freeze([
+  'Aaliyah', 'Adam', 'Aiden', 'Alice', 'Amara', 'Andre', 'Ava', 'Beatrice',
+  'Benjamin', 'Caleb', 'Camila', 'Chloe', 'Daniel', 'Diego', 'Elena', 'Eli',
+  'Emma', 'Ethan', 'Fatima', 'Felix', 'Grace', 'Hana', 'Henry', 'Isaac',
+  'Isla', 'Jack', 'Jasmine', 'Julian', 'Kai', 'Layla', 'Leo', 'Lucas',
+  'Maya', 'Mia', 'Noah', 'Nora', 'Oliver', 'Omar', 'Priya', 'Quinn',
+  'Rosa', 'Ruby', 'Samuel', 'Sofia', 'Theo', 'Valentina', 'Wei', 'Yusuf',
+  'Zara', 'Zoe'
+]);
+
+export const lastNames = Object.freeze([
+  'Adams', 'Ahmed', 'Bailey', 'Brooks', 'Campbell', 'Chen', 'Clark', 'Cohen',
+  'Diaz', 'Edwards', 'Evans', 'Fischer', 'Flores', 'Garcia', 'Gupta', 'Hall',
+  'Hughes', 'Ito', 'Jackson', 'Johnson', 'Kim', 'Kowalski', 'Lee', 'Lopez',
+  'Martin', 'Mendes', 'Miller', 'Morgan', 'Nguyen', 'Novak', 'Okafor', 'Patel',
+  'Perez', 'Quinn', 'Reed', 'Rossi', 'Santos', 'Schmidt', 'Singh', 'Smith',
+  'Tanaka', 'Taylor', 'Turner', 'Walker', 'Wang', 'Williams', 'Wilson', 'Young'
+]);
+
+export const streetNames = Object.freeze([
+  'Ash', 'Birch', 'Cedar', 'Cherry', 'Chestnut', 'Elm', 'Forest', 'Franklin',
+  'Hickory', 'Highland', 'Hill', 'Jackson', 'Lake', 'Lincoln', 'Madison', 'Maple',
+  'Meadow', 'Mill', 'Oak', 'Park', 'Pine', 'River', 'Spring', 'Sunset',
+  'Valley', 'Walnut', 'Washington', 'Willow'
+]);
+
+export const streetSuffixes = Object.freeze([
+  'Avenue', 'Boulevard', 'Court', 'Drive', 'Lane', 'Place', 'Road', 'Street',
+  'Terrace', 'Way'
+]);
+
+export const cities = Object.freeze([
+  'Ashford', 'Bayview', 'Bridgeport', 'Brookfield', 'Cedar Falls', 'Clearwater',
+  'Fairview', 'Franklin', 'Georgetown', 'Glenwood', 'Greenville', 'Harbor City',
+  'Kingston', 'Lakeside', 'Maplewood', 'Marion', 'Milford', 'Newport',
+  'Oakdale', 'Riverside', 'Salem', 'Springfield', 'Westfield', 'Winchester'
+]);
+
+export const companyWords = Object.freeze([
+  'Apex', 'Atlas', 'Beacon', 'Bright', 'Cascade', 'Summit', 'Copper', 'Delta',
+  'Ember', 'Harbor', 'Horizon', 'Keystone', 'Lumen', 'Meridian', 'Nimbus',
+  'Northwind', 'Orbit', 'Pioneer', 'Quantum', 'Silverline', 'Sterling', 'Vertex'
+]);
+
+export const companySuffixes = Object.freeze([
+  'Co.', 'Group', 'Holdings', 'Inc.', 'Labs', 'LLC', 'Partners', 'Systems',
+  'Technologies', 'Works'
+]);
+
+export const domains = Object.freeze([
+  'example.com', 'example.net', 'example.org'
+]);
+
+export const loremWords = Object.freeze([
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit',
+  'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et',
+  'dolore', 'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis',
+  'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea',
+  'commodo', 'consequat', 'duis', 'aute', 'irure', 'in', 'reprehenderit',
+  'voluptate', 'velit', 'esse', 'cillum', 'fugiat', 'nulla', 'pariatur',
+  'excepteur', 'sint', 'occaecat', 'cupidatat', 'non', 'proident', 'sunt',
+  'culpa', 'qui', 'officia', 'deserunt', 'mollit', 'anim', 'id', 'est', 'laborum'
+]);
+
+/** Phone number pattern: each # becomes a digit, the first one 2-9. */
+export const phoneFormat = '(###) ###-####';
@@ -9,7 +9,10 @@ export default [
       globals: {
         console: 'readonly',
         process: 'readonly',
-        crypto: 'readonly'
+        crypto: 'readonly',
+        TextEncoder: 'readonly',
+        performance: 'readonly',
+        URL: 'readonly'
       }
     },
     rules: {
@@ -18,6 +21,16 @@ export default [
       'quotes': ['error', 'single', { avoidEscape: true }]
     }
   },
+  {
+    files: ['jest.js'],
+    languageOptions: {
+      globals: {
+        beforeEach: 'readonly',
+        afterEach: 'readonly',
+        expect: 'readonly'
+      }
+    }
+  },
   {
     ignores: ['node_modules/**', 'coverage/**']
   }
@@ -0,0 +1,257 @@
+/**
+ * pdrng/fake - Deterministic fake data for test fixtures
+ *
+ * Every generator takes the same options as the core functions
+ * ({ seed, hash, algorithm, engine }), so a fixture is fully reproducible
+ * from its seed. Word lists come from a data module (default: pdrng/data/en)
+ * and can be swapped with createFaker().
+ *
+ * @module pdrng/fake
+ * @license MIT
+ */
+
+import { createEngine, range } from './index.js';
+import * as en from './data/en.js';
+
+// ─── Data ────────────────────────────────────────────────────────────────────
+
+/** Lists every data module must provide (after merging over the defaults). */
+const DATA_KEYS = Object.freeze([
+  'firstNames', 'lastNames', 'streetNames', 'streetSuffixes', 'cities',
+  'companyWords', 'companySuffixes', 'domains', 'loremWords'
+]);
+
+/**
+ * Merge a data module over the English defaults and check every list.
+ * @param {Object} data
+ * @returns {Object}
+ */
+const _resolveData = (data) => {
+  const merged = { ...en, ...data };
+  for (const key of DATA_KEYS) {
+    if (!Array.isArray(merged[key]) || merged[key].length === 0) {
+      throw new Error(`Fake data "${key}" must be a non-empty array`);
+    }
+  }
+  if (typeof merged.phoneFormat !== 'string' || !merged.phoneFormat.includes('#')) {
+    throw new Error('Fake data "phoneFormat" must be a string containing #');
+  }
+  return merged;
+};
+
+// ─── Private Helpers ─────────────────────────────────────────────────────────
+
+/**
+ * Resolve the engine to draw from. Like the samplers in the core module,
+ * the classic algorithm uses the counter-based classic engine.
+ * @param {Object} options
+ * @returns {Object} Engine
+ */
+const _engine = (options) => options.engine || createEngine(options.algorithm, options.seed, options);
+
+const _below = (engine, n) => range(0, n - 1, { engine });
+const _pickFrom = (engine, list) => list[_below(engine, list.length)];
+
+/** Lowercase ASCII letters and digits only, for emails and usernames. */
+const _slug = (str) => str.normalize('NFKD').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HANDLE_CHARS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Slug a name for an email or username. Names with no ASCII letters or
+ * digits (e.g. "太郎") become a seeded six-character handle instead, so the
+ * result is never empty.
+ * @param {Object} engine
+ * @param {string} name
+ * @returns {string}
+ */
+const _nameSlug = (engine, name) => _slug(name) ||
+  Array.from({ length: 6 }, (_, i) => HANDLE_CHARS[_below(engine, i === 0 ? 26 : HANDLE_CHARS.length)]).join('');
+
+const _capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Resolve a count option that may be a number or a [min, max] range.
+ * @param {Object} engine
+ * @param {number|number[]|undefined} value
+ * @param {number[]} fallback - Default [min, max]
+ * @param {string} name - Option name for errors
+ * @returns {number}
+ */
+const _count = (engine, value, fallback, name) => {
+  const [min, max] = value === undefined ? fallback : Array.isArray(value) ? value : [value, value];
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || min > max) {
+    throw new Error(`${name} must be a positive integer or [min, max] range`);
+  }
+  return min + _below(engine, max - min + 1);
+};
+
+// ─── Faker ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create a set of fake-data generators backed by the given word lists.
+ *
+ * @param {Object} [data] - Data module; missing lists fall back to pdrng/data/en
+ * @returns {Object} Generators: firstName, lastName, fullName, email, username,
+ *   phone, streetAddress, city, company, sentence, paragraph, person
+ *
+ * @example
+ * import { createFaker } from 'pdrng/fake';
+ * const fake = createFaker({ firstNames: ['Ada', 'Grace'] });
+ * fake.fullName({ seed: 1 }); // "Ada ..." or "Grace ..."
+ */
+const createFaker = (data = en) => {
+  const lists = _resolveData(data);
+
+  const firstName = (options = {}) => _pickFrom(_engine(options), lists.firstNames);
+
+  const lastName = (options = {}) => _pickFrom(_engine(options), lists.lastNames);
+
+  const fullName = (options = {}) => {
+    const engine = _engine(options);
+    return `${firstName({ engine })} ${lastName({ engine })}`;
+  };
+
+  /**
+   * @param {Object} [options={}] - Seed options, plus:
+   * @param {string} [options.firstName] - Build from this first name
+   * @param {string} [options.lastName] - Build from this last name
+   */
+  const username = (options = {}) => {
+    const engine = _engine(options);
+    const first = _nameSlug(engine, options.firstName || firstName({ engine }));
+    const last = _nameSlug(engine, options.lastName || lastName({ engine }));
+    switch (_below(engine, 4)) {
+      case 0: return `${first}${last}`;
+      case 1: return `${first}_${last}`;
+      case 2: return `${first.charAt(0)}${last}${_below(engine, 100)}`;
+      default: return `${first}${_below(engine, 1000)}`;
+    }
+  };
+
+  /**
+   * @param {Object} [options={}] - Seed options, plus:
+   * @param {string} [options.firstName] - Build from this first name
+   * @param {string} [options.lastName] - Build from this last name
+   * @param {string} [options.domain] - Use this domain instead of a random one
+   */
+  const email = (options = {}) => {
+    const engine = _engine(options);
+    const first = _nameSlug(engine, options.firstName || firstName({ engine }));
+    const last = _nameSlug(engine, options.lastName || lastName({ engine }));
+    const local = _below(engine, 2) === 0 ? `${first}.${last}` : `${first.charAt(0)}${last}`;
+    return `${local}@${options.domain || _pickFrom(engine, lists.domains)}`;
+  };
+
+  /**
+   * @param {Object} [options={}] - Seed options, plus:
+   * @param {string} [options.format] - Pattern where each # is a digit
+   */
+  const phone = (options = {}) => {
+    const engine = _engine(options);
+    let first = true;
+    return (options.format || lists.phoneFormat).replace(/#/g, () => {
+      const digit = first ? 2 + _below(engine, 8) : _below(engine, 10);
+      first = false;
+      return String(digit);
+    });
+  };
+
+  const streetAddress = (options = {}) => {
+    const engine = _engine(options);
+    const number = 1 + _below(engine, 9999);
+    return `${number} ${_pickFrom(engine, lists.streetNames)} ${_pickFrom(engine, lists.streetSuffixes)}`;
+  };
+
+  const city = (options = {}) => _pickFrom(_engine(options), lists.cities);
+
+  const company = (options = {}) => {
+    const engine = _engine(options);
+    const name = _below(engine, 2) === 0
+      ? _pickFrom(engine, lists.companyWords)
+      : _pickFrom(engine, lists.lastNames);
+    return `${name} ${_pickFrom(engine, lists.companySuffixes)}`;
+  };
+
+  /**
+   * @param {Object} [options={}] - Seed options, plus:
+   * @param {number|number[]} [options.words=[4, 12]] - Word count or [min, max]
+   */
+  const sentence = (options = {}) => {
+    const engine = _engine(options);
+    const count = _count(engine, options.words, [4, 12], 'words');
+    const words = Array.from({ length: count }, () => _pickFrom(engine, lists.loremWords));
+    return _capitalize(words.join(' ')) + '.';
+  };
+
+  /**
+   * @param {Object} [options={}] - Seed options, plus:
+   * @param {number|number[]} [options.sentences=[3, 6]] - Sentence count or [min, max]
+   * @param {number|number[]} [options.words] - Passed to sentence()
+   */
+  const paragraph = (options = {}) => {
+    const engine = _engine(options);
+    const count = _count(engine, options.sentences, [3, 6], 'sentences');
+    return Array.from({ length: count }, () => sentence({ engine, words: options.words })).join(' ');
+  };
+
+  /**
+   * A consistent record: the email and username are built from the name.
+   * @returns {Object} { firstName, lastName, fullName, email, username, phone, address, company }
+   */
+  const person = (options = {}) => {
+    const engine = _engine(options);
+    const first = firstName({ engine });
+    const last = lastName({ engine });
+    return {
+      firstName: first,
+      lastName: last,
+      fullName: `${first} ${last}`,
+      email: email({ engine, firstName: first, lastName: last }),
+      username: username({ engine, firstName: first, lastName: last }),
+      phone: phone({ engine }),
+      address: {
+        street: streetAddress({ engine }),
+        city: city({ engine })
+      },
+      company: company({ engine })
+    };
+  };
+
+  return Object.freeze({
+    firstName,
+    lastName,
+    fullName,
+    email,
+    username,
+    phone,
+    streetAddress,
+    city,
+    company,
+    sentence,
+    paragraph,
+    person
+  });
+};
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+/** Generators backed by the default English data module. */
+const fake = createFaker();
+
+export default fake;
+export const {
+  firstName,
+  lastName,
+  fullName,
+  email,
+  username,
+  phone,
+  streetAddress,
+  city,
+  company,
+  sentence,
+  paragraph,
+  person
+} = fake;
+export { createFaker, DATA_KEYS };
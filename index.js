@@ -17,6 +17,8 @@
  * @author Brian Funk
  */
 
+import { logGamma } from './math.js';
+
 // ─── Default Seed ────────────────────────────────────────────────────────────
 
 const DEFAULT_SEED = 814;
@@ -40,18 +42,201 @@ const _textToSeed = (text) => {
   return 2 * (hash + str.length);
 };
 
+/**
+ * Encode a string as UTF-8 bytes.
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+const _utf8 = (str) => new TextEncoder().encode(str);
+
+/**
+ * 64-bit FNV-1a over the UTF-8 bytes of a string, truncated to 53 bits.
+ * @param {string} str
+ * @returns {number} integer in [0, 2^53)
+ */
+const _fnv1a = (str) => {
+  let hash = 0xcbf29ce484222325n;
+  for (const byte of _utf8(str)) {
+    hash = ((hash ^ BigInt(byte)) * 0x100000001b3n) & 0xffffffffffffffffn;
+  }
+  return Number(hash & 0x1fffffffffffffn);
+};
+
+/**
+ * cyrb53 by bryc: string hash built from two independent 32-bit lanes.
+ * @param {string} str
+ * @param {number} [seed=0] - 32-bit hash seed
+ * @returns {number} integer in [0, 2^53)
+ */
+const _cyrb53 = (str, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+};
+
+/**
+ * MurmurHash3 (x86, 32-bit) by Austin Appleby over the UTF-8 bytes of a string.
+ * @param {string} str
+ * @param {number} [seed=0] - 32-bit hash seed
+ * @returns {number} unsigned 32-bit integer
+ */
+const _murmur3 = (str, seed = 0) => {
+  const bytes = _utf8(str);
+  const tail = bytes.length & ~3;
+  let h = seed >>> 0;
+  let k;
+  for (let i = 0; i < tail; i += 4) {
+    k = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+    k = Math.imul(k, 0xcc9e2d51);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, 0x1b873593);
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+  k = 0;
+  switch (bytes.length & 3) {
+    case 3: k ^= bytes[tail + 2] << 16; // falls through
+    case 2: k ^= bytes[tail + 1] << 8; // falls through
+    case 1:
+      k ^= bytes[tail];
+      k = Math.imul(k, 0xcc9e2d51);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, 0x1b873593);
+      h ^= k;
+  }
+  h ^= bytes.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+/**
+ * SHA-1 digest of a byte array. Only used for name-based (v5) UUIDs, which
+ * RFC 9562 defines in terms of SHA-1.
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 20-byte digest
+ */
+const _sha1 = (bytes) => {
+  const bitLength = bytes.length * 8;
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(padded.length - 4, bitLength >>> 0);
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Uint32Array(80);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 80; i++) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+      w[i] = (x << 1) | (x >>> 31);
+    }
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = (b << 30) | (b >>> 2);
+      b = a;
+      a = t;
+    }
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+  }
+
+  const out = new Uint8Array(20);
+  const outView = new DataView(out.buffer);
+  h.forEach((word, i) => outView.setUint32(i * 4, word));
+  return out;
+};
+
+/**
+ * Text hashes accepted by the `hash` option. Each name is frozen: its output
+ * for a given input never changes, and any new variant gets a new name.
+ */
+const HASH_FUNCTIONS = Object.freeze({
+  'classic': _textToSeed,
+  'fnv1a': _fnv1a,
+  'cyrb53': (str) => _cyrb53(str),
+  'murmur3': (str) => _murmur3(str)
+});
+
+/**
+ * Names accepted by the `hash` option.
+ */
+const HASHES = Object.freeze(Object.keys(HASH_FUNCTIONS));
+
+/**
+ * Hash text with a named hash.
+ * @param {string} str
+ * @param {string} [hash='classic']
+ * @returns {number}
+ */
+const _hashText = (str, hash = 'classic') => {
+  if (!Object.prototype.hasOwnProperty.call(HASH_FUNCTIONS, hash)) {
+    throw new Error(`Unknown hash: "${hash}"`);
+  }
+  return HASH_FUNCTIONS[hash](str);
+};
+
 /**
  * Normalize a seed value to a positive integer.
- * Strings are converted via _textToSeed, numbers are floored and abs'd.
- * @param {number|string} seed
+ * Strings are converted via the chosen hash (default _textToSeed), numbers
+ * are floored and abs'd, BigInts within 2^53 are converted as-is.
+ * With a non-classic hash, fractional numbers are hashed from their exact
+ * decimal form instead of being floored, keeping all of their entropy, and
+ * BigInts beyond 2^53 are hashed with it (cyrb53 for 'classic').
+ * @param {number|string|bigint} seed
+ * @param {string} [hash='classic'] - One of HASHES
  * @returns {number}
  */
-const _normalizeSeed = (seed) => {
+const _normalizeSeed = (seed, hash = 'classic') => {
   if (seed === undefined || seed === null) return DEFAULT_SEED;
-  if (typeof seed === 'string') return _textToSeed(seed);
+  if (typeof seed === 'string') return _hashText(seed, hash) || DEFAULT_SEED;
+  if (typeof seed === 'bigint') {
+    const big = seed < 0n ? -seed : seed;
+    if (big <= BigInt(Number.MAX_SAFE_INTEGER)) return Number(big) || DEFAULT_SEED;
+    return _hashText(String(big), hash === 'classic' ? 'cyrb53' : hash) || DEFAULT_SEED;
+  }
   const num = Number(seed);
   if (!Number.isFinite(num)) return DEFAULT_SEED;
   const abs = Math.abs(num);
+  if (hash !== 'classic' && !Number.isInteger(abs)) {
+    return _hashText(String(abs), hash) || DEFAULT_SEED;
+  }
   // Handle floats between 0 and 1 (e.g. Math.random()) by scaling up
   if (abs > 0 && abs < 1) {
     const str = String(abs).replace('0.', '');
@@ -204,9 +389,10 @@ const _selectFromRange = (seed, min, max) => {
   const priorities = _seedPriority(seed);
   for (const val of priorities) {
     if (val >= min && val <= max) {
-      return val;
+      return typeof min === 'bigint' ? BigInt(val) : val;
     }
   }
+  if (typeof min === 'bigint') return min + (BigInt(seed) % (max - min + 1n));
   return min + (seed % (max - min + 1));
 };
 
@@ -223,7 +409,7 @@ const MAGIC_8_RESPONSES = Object.freeze([
   'Outlook good.',
   'Yes.',
   'Signs point to yes.',
-  'Reply hazy, try again.',
+  'Concentrate and ask again.',
   'Ask again later.',
   'Better not tell you now.',
   'Cannot predict now.',
@@ -235,6 +421,29 @@ const MAGIC_8_RESPONSES = Object.freeze([
   'Very doubtful.'
 ]);
 
+const MAGIC_8_RESPONSES_ES = Object.freeze([
+  'Es cierto.',
+  'Es decididamente así.',
+  'Sin duda.',
+  'Sí, definitivamente.',
+  'Puedes confiar en ello.',
+  'Como yo lo veo, sí.',
+  'Lo más probable.',
+  'Buenas perspectivas.',
+  'Sí.',
+  'Las señales apuntan a que sí.',
+  'Concéntrate y vuelve a preguntar.',
+  'Pregunta de nuevo más tarde.',
+  'Mejor no decírtelo ahora.',
+  'No se puede predecir ahora.',
+  'Respuesta confusa, vuelve a intentarlo.',
+  'No cuentes con ello.',
+  'Mi respuesta es no.',
+  'Mis fuentes dicen que no.',
+  'Las perspectivas no son buenas.',
+  'Muy dudoso.'
+]);
+
 const MAJOR_ARCANA = Object.freeze([
   'The Magician',
   'The High Priestess',
@@ -301,389 +510,4760 @@ const RED_NUMBERS = Object.freeze([
 ]);
 
 const ZODIAC_SIGNS = Object.freeze([
-  { name: 'Aries', month: 3, startDay: 21 },
-  { name: 'Taurus', month: 4, startDay: 20 },
-  { name: 'Gemini', month: 5, startDay: 21 },
-  { name: 'Cancer', month: 6, startDay: 21 },
-  { name: 'Leo', month: 7, startDay: 23 },
-  { name: 'Virgo', month: 8, startDay: 23 },
-  { name: 'Libra', month: 9, startDay: 23 },
-  { name: 'Scorpio', month: 10, startDay: 23 },
-  { name: 'Sagittarius', month: 11, startDay: 22 },
-  { name: 'Capricorn', month: 12, startDay: 22 },
-  { name: 'Aquarius', month: 1, startDay: 20 },
-  { name: 'Pisces', month: 2, startDay: 19 }
+  Object.freeze({ name: 'Aries', month: 3, startDay: 21, element: 'Fire', modality: 'Cardinal' }),
+  Object.freeze({ name: 'Taurus', month: 4, startDay: 20, element: 'Earth', modality: 'Fixed' }),
+  Object.freeze({ name: 'Gemini', month: 5, startDay: 21, element: 'Air', modality: 'Mutable' }),
+  Object.freeze({ name: 'Cancer', month: 6, startDay: 21, element: 'Water', modality: 'Cardinal' }),
+  Object.freeze({ name: 'Leo', month: 7, startDay: 23, element: 'Fire', modality: 'Fixed' }),
+  Object.freeze({ name: 'Virgo', month: 8, startDay: 23, element: 'Earth', modality: 'Mutable' }),
+  Object.freeze({ name: 'Libra', month: 9, startDay: 23, element: 'Air', modality: 'Cardinal' }),
+  Object.freeze({ name: 'Scorpio', month: 10, startDay: 23, element: 'Water', modality: 'Fixed' }),
+  Object.freeze({ name: 'Sagittarius', month: 11, startDay: 22, element: 'Fire', modality: 'Mutable' }),
+  Object.freeze({ name: 'Capricorn', month: 12, startDay: 22, element: 'Earth', modality: 'Cardinal' }),
+  Object.freeze({ name: 'Aquarius', month: 1, startDay: 20, element: 'Air', modality: 'Fixed' }),
+  Object.freeze({ name: 'Pisces', month: 2, startDay: 19, element: 'Water', modality: 'Mutable' })
 ]);
 
-// ─── Core Function ───────────────────────────────────────────────────────────
+// ─── Engines ─────────────────────────────────────────────────────────────────
 
 /**
- * Generate a deterministic "random" number with the specified number of digits.
+ * An engine is the number source behind the `algorithm` option. Any object
+ * with a `next()` method returning an unsigned 32-bit integer can be passed
+ * to a function as `{ engine }`; each call consumes as many words as it needs.
+ * Built-in engines also expose their internal state as 32-bit words, and most
+ * can fill a whole Uint32Array at once for the bulk functions.
  *
- * @param {number} [digits=3] - Number of digits in the result
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {number}
+ * @typedef {Object} Engine
+ * @property {string} [algorithm] - Name the engine was created under
+ * @property {function(): number} next - Next unsigned 32-bit integer
+ * @property {function(Uint32Array): void} [fillWords] - Write the next
+ *   words.length outputs, exactly as that many next() calls would
+ * @property {function(): number[]} [getState] - Copy of the internal state words
+ * @property {function(number[]): void} [setState] - Restore words from getState()
  */
-const pdrng = (digits = 3, options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return _fillDigits(seed, digits);
-};
-
-// ─── Utility Functions ───────────────────────────────────────────────────────
 
 /**
- * Generate a deterministic float between 0 and 1.
- *
- * @param {number} [precision=6] - Number of decimal places
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {number}
+ * Murmur3 32-bit finalizer: scramble a 32-bit integer so that every input
+ * bit affects every output bit.
+ * @param {number} h
+ * @returns {number} unsigned 32-bit integer
  */
-const float = (precision = 6, options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const filled = _fillDigits(seed, precision);
-  return Number('0.' + String(filled).padStart(precision, '0'));
+const _mix32 = (h) => {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
 };
 
 /**
- * Generate a deterministic integer within a range (inclusive).
- *
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {number}
+ * Fold both 32-bit halves of a normalized seed into one well-mixed word,
+ * so seeds above 2^32 stay distinct.
+ * @param {number} seed
+ * @returns {number} unsigned 32-bit integer
  */
-const range = (min, max, options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return _selectFromRange(seed, min, max);
+const _seedBase = (seed) => {
+  const lo = seed >>> 0;
+  const hi = Math.floor(seed / 0x100000000) >>> 0;
+  return _mix32(_mix32(lo ^ 0x9e3779b9) ^ hi);
 };
 
 /**
- * Generate an array of deterministic numbers.
- * Each element uses a sub-seed derived from the main seed + index.
- *
- * @param {number} count - Number of elements
- * @param {number} [digits=3] - Digits per element
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
+ * Expand a normalized seed into `count` state words (never all zero).
+ * @param {number} seed
+ * @param {number} count
  * @returns {number[]}
  */
-const array = (count, digits = 3, options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const result = [];
+const _seedWords = (seed, count) => {
+  let state = _seedBase(seed);
+  const words = [];
   for (let i = 0; i < count; i++) {
-    const subSeed = seed + i * _digitProduct(seed);
-    result.push(_fillDigits(_normalizeSeed(subSeed), digits));
+    state = (state + 0x9e3779b9) >>> 0;
+    words.push(_mix32(state));
   }
-  return result;
+  if (words.every((w) => w === 0)) words[0] = 1;
+  return words;
 };
 
 /**
- * Generate a deterministic UUID (v4 format).
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string}
+ * Rotate a 32-bit integer left.
+ * @param {number} x
+ * @param {number} k
+ * @returns {number}
  */
-const uuid = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const ds = _digitSum(seed);
-  const dp = _digitProduct(seed);
-  const fd = _firstDigit(seed);
-  const ld = _lastDigit(seed);
+const _rotl = (x, k) => (x << k) | (x >>> (32 - k));
 
-  // Build 32 hex chars deterministically
-  const sources = [seed, ds, dp, fd, ld, seed + ds, seed + dp, seed * fd];
-  let hex = '';
-  for (const src of sources) {
-    let val = Math.abs(src);
-    for (let i = 0; i < 4; i++) {
-      hex += ((val + i * 7) % 16).toString(16);
-    }
-  }
+const MASK_64 = 0xffffffffffffffffn;
 
-  // Format as UUID v4: xxxxxxxx-xxxx-4xxx-Nxxx-xxxxxxxxxxxx
-  hex = hex.slice(0, 32);
-  const chars = hex.split('');
-  chars[12] = '4'; // version 4
-  const n = (8 + (_digitSum(seed) % 4)); // variant: 8, 9, a, or b
-  chars[16] = n.toString(16);
+/**
+ * Split a 64-bit BigInt into [high, low] 32-bit words.
+ * @param {bigint} value
+ * @returns {number[]}
+ */
+const _toWords64 = (value) => [Number(value >> 32n), Number(value & 0xffffffffn)];
 
-  return [
-    chars.slice(0, 8).join(''),
-    chars.slice(8, 12).join(''),
-    chars.slice(12, 16).join(''),
-    chars.slice(16, 20).join(''),
-    chars.slice(20, 32).join('')
-  ].join('-');
-};
+/**
+ * Join [high, low] 32-bit words into a 64-bit BigInt.
+ * @param {number[]} words
+ * @returns {bigint}
+ */
+const _fromWords64 = ([hi, lo]) => (BigInt(hi >>> 0) << 32n) | BigInt(lo >>> 0);
 
 /**
- * Determine if the seed is odd or even.
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string} "odd" or "even"
+ * Counter-based stream: the n-th output is the mixed seed XOR n, mixed again.
+ * Generators using the classic algorithm derive one seed per call from it.
+ * @param {number} seed
+ * @returns {Engine}
  */
-const oddOrEven = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return seed % 2 === 0 ? 'even' : 'odd';
+const _classicEngine = (seed) => {
+  let base = _seedBase(seed);
+  let counter = 0;
+  return {
+    algorithm: 'classic',
+    next: () => _mix32(base ^ counter++),
+    fillWords: (out) => {
+      for (let i = 0; i < out.length; i++) out[i] = _mix32(base ^ counter++);
+    },
+    getState: () => [base, counter],
+    setState: (words) => {
+      [base, counter] = words.map((w) => w >>> 0);
+    }
+  };
 };
 
 /**
- * Determine red or black based on digit sum.
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string} "red" or "black"
+ * Mulberry32 by Tommy Ettinger: one word of state, fast, period 2^32.
+ * @param {number} seed
+ * @returns {Engine}
  */
-const redOrBlack = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return _digitSum(seed) % 2 === 1 ? 'red' : 'black';
+const _mulberry32 = (seed) => {
+  let [a] = _seedWords(seed, 1);
+  return {
+    algorithm: 'mulberry32',
+    next: () => {
+      a = (a + 0x6d2b79f5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return (t ^ (t >>> 14)) >>> 0;
+    },
+    fillWords: (out) => {
+      let s = a;
+      for (let i = 0; i < out.length; i++) {
+        s = (s + 0x6d2b79f5) | 0;
+        let t = Math.imul(s ^ (s >>> 15), 1 | s);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        out[i] = t ^ (t >>> 14);
+      }
+      a = s;
+    },
+    getState: () => [a >>> 0],
+    setState: (words) => {
+      a = words[0] | 0;
+    }
+  };
 };
 
 /**
- * Generate a random seed using crypto for true entropy.
- * Pass the result as { seed: randomSeed() } to any pdrng function
- * for non-deterministic behavior.
- *
- * @returns {number}
+ * SFC32 (Small Fast Counting) by Chris Doty-Humphrey: four words of state.
+ * @param {number} seed
+ * @returns {Engine}
  */
-const randomSeed = () => {
-  if (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.getRandomValues) {
-    const buffer = new Uint32Array(1);
-    globalThis.crypto.getRandomValues(buffer);
-    return buffer[0] || DEFAULT_SEED;
-  }
-  // Fallback for environments without Web Crypto API
-  return Math.floor(Math.random() * 2147483647) || DEFAULT_SEED;
+const _sfc32 = (seed) => {
+  let [a, b, c, d] = _seedWords(seed, 4);
+  const engine = {
+    algorithm: 'sfc32',
+    next: () => {
+      const t = (((a + b) | 0) + d) | 0;
+      d = (d + 1) | 0;
+      a = b ^ (b >>> 9);
+      b = (c + (c << 3)) | 0;
+      c = _rotl(c, 21);
+      c = (c + t) | 0;
+      return t >>> 0;
+    },
+    fillWords: (out) => {
+      let [sa, sb, sc, sd] = [a, b, c, d];
+      for (let i = 0; i < out.length; i++) {
+        const t = (((sa + sb) | 0) + sd) | 0;
+        sd = (sd + 1) | 0;
+        sa = sb ^ (sb >>> 9);
+        sb = (sc + (sc << 3)) | 0;
+        sc = (((sc << 21) | (sc >>> 11)) + t) | 0;
+        out[i] = t;
+      }
+      [a, b, c, d] = [sa, sb, sc, sd];
+    },
+    getState: () => [a, b, c, d].map((w) => w >>> 0),
+    setState: (words) => {
+      [a, b, c, d] = words.map((w) => w | 0);
+    }
+  };
+  // Discard the first outputs so the state is well mixed
+  for (let i = 0; i < 12; i++) engine.next();
+  return engine;
 };
 
-// ─── Simulation Functions ────────────────────────────────────────────────────
-
 /**
- * Flip a deterministic coin.
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string} "heads" or "tails"
+ * xoshiro128** by Blackman and Vigna: four words of state, period 2^128 - 1.
+ * @param {number} seed
+ * @returns {Engine}
  */
-const coin = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return COIN_SIDES[_digitSum(seed) % 2];
+const _xoshiro128ss = (seed) => {
+  let [s0, s1, s2, s3] = _seedWords(seed, 4);
+  return {
+    algorithm: 'xoshiro128**',
+    next: () => {
+      const result = Math.imul(_rotl(Math.imul(s1, 5), 7), 9) >>> 0;
+      const t = s1 << 9;
+      s2 ^= s0;
+      s3 ^= s1;
+      s1 ^= s2;
+      s0 ^= s3;
+      s2 ^= t;
+      s3 = _rotl(s3, 11);
+      return result;
+    },
+    fillWords: (out) => {
+      let [x0, x1, x2, x3] = [s0, s1, s2, s3];
+      for (let i = 0; i < out.length; i++) {
+        const m = Math.imul(x1, 5);
+        out[i] = Math.imul((m << 7) | (m >>> 25), 9);
+        const t = x1 << 9;
+        x2 ^= x0;
+        x3 ^= x1;
+        x1 ^= x2;
+        x0 ^= x3;
+        x2 ^= t;
+        x3 = (x3 << 11) | (x3 >>> 21);
+      }
+      [s0, s1, s2, s3] = [x0, x1, x2, x3];
+    },
+    getState: () => [s0, s1, s2, s3].map((w) => w >>> 0),
+    setState: (words) => {
+      [s0, s1, s2, s3] = words.map((w) => w | 0);
+    }
+  };
 };
 
 /**
- * Roll a deterministic die.
- *
- * @param {number} [sides=6] - Number of sides
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {number} 1 to sides
+ * PCG32 (XSH RR) by Melissa O'Neill: 64-bit LCG state, 32-bit output.
+ * Seeded like the reference pcg32_srandom(seed, 54).
+ * @param {number} seed
+ * @returns {Engine}
  */
-const dice = (sides = 6, options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return _selectFromRange(seed, 1, sides);
+const _pcg32 = (seed) => {
+  const inc = (54n << 1n) | 1n;
+  let state = 0n;
+  const step = () => {
+    const old = state;
+    state = (old * 6364136223846793005n + inc) & MASK_64;
+    const xorshifted = Number((((old >> 18n) ^ old) >> 27n) & 0xffffffffn);
+    const rot = Number(old >> 59n);
+    return ((xorshifted >>> rot) | (xorshifted << ((32 - rot) & 31))) >>> 0;
+  };
+  step();
+  state = (state + BigInt(seed)) & MASK_64;
+  step();
+  return {
+    algorithm: 'pcg32',
+    next: step,
+    getState: () => _toWords64(state),
+    setState: (words) => {
+      state = _fromWords64(words);
+    }
+  };
 };
 
 /**
- * Draw a deterministic playing card.
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string} e.g. "8 of Diamonds"
+ * SplitMix64 by Steele, Lea and Flood: 64-bit counter state.
+ * Each call returns the high 32 bits of a 64-bit output.
+ * @param {number} seed
+ * @returns {Engine}
  */
-const card = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const rankIndex = (seed - 1) % 13;
-  const suitIndex = _digitSum(seed) % 4;
-  return `${RANKS[rankIndex]} of ${SUITS[suitIndex]}`;
+const _splitmix64 = (seed) => {
+  let state = BigInt(seed) & MASK_64;
+  return {
+    algorithm: 'splitmix64',
+    next: () => {
+      state = (state + 0x9e3779b97f4a7c15n) & MASK_64;
+      let z = state;
+      z = ((z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n) & MASK_64;
+      z = ((z ^ (z >> 27n)) * 0x94d049bb133111ebn) & MASK_64;
+      z ^= z >> 31n;
+      return Number(z >> 32n);
+    },
+    getState: () => _toWords64(state),
+    setState: (words) => {
+      state = _fromWords64(words);
+    }
+  };
 };
 
+const ENGINES = Object.freeze({
+  'classic': _classicEngine,
+  'mulberry32': _mulberry32,
+  'sfc32': _sfc32,
+  'xoshiro128**': _xoshiro128ss,
+  'pcg32': _pcg32,
+  'splitmix64': _splitmix64
+});
+
+/**
+ * Names accepted by the `algorithm` option.
+ */
+const ALGORITHMS = Object.freeze(Object.keys(ENGINES));
+
 /**
- * Spin the roulette wheel deterministically.
+ * Create an engine for the given algorithm and seed.
  *
+ * @param {string} [algorithm='classic'] - One of ALGORITHMS
+ * @param {number|string|bigint} [seed] - Custom seed (default: 814)
  * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {Object} { number, color, parity }
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @returns {Engine}
  */
-const roulette = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const num = _lastN(seed, 2) % 37;
-
-  let color;
-  if (num === 0) {
-    color = 'green';
-  } else if (RED_NUMBERS.includes(num)) {
-    color = 'red';
-  } else {
-    color = 'black';
+const createEngine = (algorithm = 'classic', seed, options = {}) => {
+  if (!Object.prototype.hasOwnProperty.call(ENGINES, algorithm)) {
+    throw new Error(`Unknown algorithm: "${algorithm}"`);
   }
+  return ENGINES[algorithm](_normalizeSeed(seed, options.hash));
+};
 
-  const parity = num === 0 ? 'zero' : (num % 2 === 0 ? 'even' : 'odd');
-
-  return { number: num, color, parity };
+/**
+ * Resolve the engine a function should draw from, or null for the
+ * classic digit-based path.
+ * @param {Object} options
+ * @returns {Engine|null}
+ */
+const _engineFor = (options) => {
+  if (options.engine) return options.engine;
+  if (options.algorithm === undefined || options.algorithm === 'classic') return null;
+  return createEngine(options.algorithm, options.seed, options);
 };
 
 /**
- * Play rock, paper, scissors deterministically.
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string} "rock", "paper", or "scissors"
+ * Resolve the engine a sampler draws from. Unlike the classic functions,
+ * samplers always need a real stream, so the classic algorithm uses the
+ * counter-based classic engine.
+ * @param {Object} options
+ * @returns {Engine}
  */
-const rps = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return RPS_OPTIONS[_digitProduct(seed) % 3];
+const _samplerEngine = (options) => _engineFor(options) || createEngine('classic', options.seed, options);
+
+/** Selection modes accepted by range(), dice() and bingo(). */
+const MODES = Object.freeze(['classic', 'uniform']);
+
+/**
+ * Resolve the engine a range-style function draws from: an explicit engine
+ * or algorithm, the classic engine in uniform mode, or null for the
+ * classic digit-based path.
+ * @param {Object} options
+ * @returns {Engine|null}
+ */
+const _rangeEngine = (options) => {
+  const mode = options.mode === undefined ? 'classic' : options.mode;
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown mode: "${mode}"`);
+  }
+  return mode === 'uniform' ? _samplerEngine(options) : _engineFor(options);
 };
 
 /**
- * Shake the Magic 8-Ball deterministically.
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string}
+ * Draw a float in [0, 1) with 53 bits of precision.
+ * @param {Engine} engine
+ * @returns {number}
  */
-const magic8 = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return MAGIC_8_RESPONSES[seed % 20];
+const _nextFloat = (engine) => {
+  const a = engine.next() >>> 5;
+  const b = engine.next() >>> 6;
+  return (a * 67108864 + b) / 9007199254740992;
 };
 
 /**
- * Determine your deterministic zodiac sign.
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string} e.g. "Gemini"
+ * Draw an integer in [0, n) without modulo bias (rejection sampling).
+ * Supports n up to 2^53.
+ * @param {Engine} engine
+ * @param {number} n
+ * @returns {number}
  */
-const zodiac = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const signIndex = _lastN(seed, 2) % 12;
-  return ZODIAC_SIGNS[signIndex].name;
+const _nextBelow = (engine, n) => {
+  if (n <= 0x100000000) {
+    const limit = 0x100000000 - (0x100000000 % n);
+    for (;;) {
+      const x = engine.next();
+      if (x < limit) return x % n;
+    }
+  }
+  const limit = 9007199254740992 - (9007199254740992 % n);
+  for (;;) {
+    const x = (engine.next() >>> 11) * 0x100000000 + engine.next();
+    if (x < limit) return x % n;
+  }
 };
 
 /**
- * Draw a deterministic tarot card (Major Arcana).
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string}
+ * Draw a uniform BigInt in [0, n) by masking to the bit length of n and
+ * rejecting values >= n.
+ * @param {Engine} engine
+ * @param {bigint} n - Positive upper bound
+ * @returns {bigint}
  */
-const tarot = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return MAJOR_ARCANA[seed % 22];
+const _nextBigBelow = (engine, n) => {
+  const bits = (n - 1n).toString(2).length;
+  const words = Math.ceil(bits / 32);
+  const mask = (1n << BigInt(bits)) - 1n;
+  for (;;) {
+    let x = 0n;
+    for (let i = 0; i < words; i++) {
+      x = (x << 32n) | BigInt(engine.next());
+    }
+    x &= mask;
+    if (x < n) return x;
+  }
 };
 
 /**
- * Receive a deterministic fortune.
- *
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
+ * Draw a string of `count` random hex characters.
+ * @param {Engine} engine
+ * @param {number} count
  * @returns {string}
  */
-const fortune = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  return FORTUNES[_digitSum(seed) % 20];
+const _nextHex = (engine, count) => {
+  let str = '';
+  while (str.length < count) {
+    str += engine.next().toString(16).padStart(8, '0');
+  }
+  return str.slice(0, count);
 };
 
 /**
- * Spin a wheel (pick from an array) deterministically.
- *
- * @param {Array} arr - Array of choices
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {*}
+ * Draw `count` random bytes.
+ * @param {Engine} engine
+ * @param {number} count
+ * @returns {Uint8Array}
  */
-const spin = (arr, options = {}) => {
-  if (!Array.isArray(arr) || arr.length === 0) {
-    throw new Error('spin() requires a non-empty array');
+const _nextBytes = (engine, count) => {
+  const bytes = new Uint8Array(count);
+  for (let i = 0; i < count; i += 4) {
+    const x = engine.next();
+    for (let j = 0; j < 4 && i + j < count; j++) {
+      bytes[i + j] = (x >>> (24 - j * 8)) & 0xff;
+    }
   }
-  const seed = _normalizeSeed(options.seed);
-  return arr[seed % arr.length];
+  return bytes;
 };
 
 /**
- * Roll dice using standard notation (e.g. "2d6+3").
- *
- * @param {string} notation - Dice notation like "2d6", "1d20+5", "3d8-2"
- * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {Object} { rolls, modifier, total }
+ * Draw a string of `count` random decimal digits.
+ * @param {Engine} engine
+ * @param {number} count
+ * @param {boolean} [leadingNonZero=false] - Keep the first digit in 1-9
+ * @returns {string}
  */
-const roll = (notation, options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const match = String(notation).match(/^(\d+)d(\d+)([+-]\d+)?$/);
-  if (!match) {
-    throw new Error(`Invalid dice notation: "${notation}"`);
+const _nextDigits = (engine, count, leadingNonZero = false) => {
+  let str = '';
+  for (let i = 0; i < count; i++) {
+    str += i === 0 && leadingNonZero ? 1 + _nextBelow(engine, 9) : _nextBelow(engine, 10);
   }
+  return str;
+};
 
-  const count = parseInt(match[1], 10);
-  const sides = parseInt(match[2], 10);
-  const modifier = match[3] ? parseInt(match[3], 10) : 0;
-  const dp = _digitProduct(seed);
+// ─── Seed Derivation ─────────────────────────────────────────────────────────
 
-  const rolls = [];
-  for (let i = 0; i < count; i++) {
-    const val = ((seed + i * dp) % sides) + 1;
-    rolls.push(val);
+/**
+ * Split a derivation path like "world/level-3/chest-7" into its labels.
+ * @param {string|number} path
+ * @returns {string[]}
+ */
+const _pathLabels = (path) => {
+  const labels = typeof path === 'string' || typeof path === 'number'
+    ? String(path).split('/')
+    : [''];
+  if (labels.includes('')) {
+    throw new Error(`Invalid derivation path: "${path}"`);
   }
-
-  const total = rolls.reduce((a, b) => a + b, 0) + modifier;
-  return { rolls, modifier, total };
+  return labels;
 };
 
 /**
- * Call a bingo number deterministically.
+ * Derive an independent child seed from a parent seed and a "/"-separated
+ * label path. Each label is hashed with cyrb53 keyed by the seed so far, so
+ * deriveSeed(s, 'a/b') === deriveSeed(deriveSeed(s, 'a'), 'b').
+ * The derivation is part of the public contract and will not change.
  *
+ * @param {number|string|bigint} seed - Parent seed
+ * @param {string|number} path - Label or label path, e.g. "world/level-3"
  * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Hash for a text parent seed (see HASHES)
+ * @returns {number}
+ */
+const deriveSeed = (seed, path, options = {}) => _pathLabels(path).reduce(
+  (parent, label) => _normalizeSeed(_cyrb53(label, _seedBase(parent))),
+  _normalizeSeed(seed, options.hash)
+);
+
+/**
+ * Serialize a value to a canonical string: object keys are sorted, and each
+ * type gets its own syntax so that e.g. 1, "1", 1n and [1] never collide.
+ * @param {*} value
+ * @param {Set<Object>} seen - Objects on the current path (cycle detection)
+ * @returns {string}
+ */
+const _canonical = (value, seen) => {
+  if (value === null) return 'null';
+  switch (typeof value) {
+    case 'undefined': return 'undefined';
+    case 'boolean': return String(value);
+    case 'number': return Object.is(value, -0) ? '0' : String(value);
+    case 'bigint': return `${value}n`;
+    case 'string': return JSON.stringify(value);
+    case 'object': break;
+    default: throw new Error(`seedFrom() cannot hash a ${typeof value}`);
+  }
+  if (seen.has(value)) {
+    throw new Error('seedFrom() cannot hash a circular structure');
+  }
+  if (value instanceof Uint8Array) {
+    return '<' + Array.from(value, (b) => b.toString(16).padStart(2, '0')).join('') + '>';
+  }
+  if (typeof value.toJSON === 'function') {
+    return _canonical(value.toJSON(), seen);
+  }
+  seen.add(value);
+  let out;
+  if (Array.isArray(value)) {
+    out = '[' + value.map((item) => _canonical(item, seen)).join(',') + ']';
+  } else {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    out = '{' + keys.map((key) => JSON.stringify(key) + ':' + _canonical(value[key], seen)).join(',') + '}';
+  }
+  seen.delete(value);
+  return out;
+};
+
+/**
+ * Hash any JSON value, array, Uint8Array or BigInt into a seed.
+ * Object keys are hashed in sorted order, so { a: 1, b: 2 } and
+ * { b: 2, a: 1 } give the same seed.
+ *
+ * @param {*} value - Value to hash
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.hash='cyrb53'] - Hash to use (see HASHES)
+ * @returns {number}
+ */
+const seedFrom = (value, options = {}) => {
+  const hash = options.hash === undefined ? 'cyrb53' : options.hash;
+  return _hashText(_canonical(value, new Set()), hash) || DEFAULT_SEED;
+};
+
+// ─── Core Function ───────────────────────────────────────────────────────────
+
+/**
+ * Generate a deterministic "random" number with the specified number of digits.
+ *
+ * @param {number} [digits=3] - Number of digits in the result
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const pdrng = (digits = 3, options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) return digits <= 0 ? 0 : Number(_nextDigits(engine, digits, true));
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return _fillDigits(seed, digits);
+};
+
+// ─── Utility Functions ───────────────────────────────────────────────────────
+
+/**
+ * Generate a deterministic float between 0 and 1.
+ *
+ * @param {number} [precision=6] - Number of decimal places
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const float = (precision = 6, options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) return Number('0.' + _nextDigits(engine, precision));
+  const seed = _normalizeSeed(options.seed, options.hash);
+  const filled = _fillDigits(seed, precision);
+  return Number('0.' + String(filled).padStart(precision, '0'));
+};
+
+/**
+ * Check that range bounds are integers (Number or BigInt) with min <= max.
+ * @param {string} name - Function name for error messages
+ * @param {number|bigint} min
+ * @param {number|bigint} max
+ */
+const _checkBounds = (name, min, max) => {
+  const isInt = (v) => typeof v === 'bigint' || Number.isInteger(v);
+  if (!isInt(min) || !isInt(max)) {
+    throw new Error(`${name} requires integer bounds`);
+  }
+  if (min > max) {
+    throw new Error(`${name} requires min <= max`);
+  }
+};
+
+/**
+ * Generate a deterministic integer within a range (inclusive).
+ *
+ * The classic mode prefers values built from the seed's own digits, so it
+ * is not uniform across seeds; `{ mode: 'uniform' }` uses rejection sampling
+ * instead. BigInt bounds return a BigInt.
+ *
+ * @param {number|bigint} min - Minimum value
+ * @param {number|bigint} max - Maximum value
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.mode='classic'] - 'classic' or 'uniform'
+ * @returns {number|bigint}
+ * @throws {Error} If the bounds are not integers or min > max
+ */
+const range = (min, max, options = {}) => {
+  _checkBounds('range()', min, max);
+  if (typeof min === 'bigint' || typeof max === 'bigint') {
+    const lo = BigInt(min);
+    const hi = BigInt(max);
+    const engine = _rangeEngine(options);
+    if (engine) return lo + _nextBigBelow(engine, hi - lo + 1n);
+    return _selectFromRange(_normalizeSeed(options.seed, options.hash), lo, hi);
+  }
+  if (max - min + 1 > Number.MAX_SAFE_INTEGER) {
+    throw new Error('range() span exceeds Number.MAX_SAFE_INTEGER; use BigInt bounds');
+  }
+  const engine = _rangeEngine(options);
+  if (engine) return min + _nextBelow(engine, max - min + 1);
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return _selectFromRange(seed, min, max);
+};
+
+/**
+ * Generate a deterministic float in [min, max).
+ * Always draws from an engine, so results are uniform for every algorithm.
+ *
+ * @param {number} min - Minimum value (inclusive)
+ * @param {number} max - Maximum value (exclusive)
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ * @throws {Error} If the bounds are not finite or min > max
+ */
+const floatRange = (min, max, options = {}) => {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) {
+    throw new Error('floatRange() requires finite bounds');
+  }
+  if (min > max) {
+    throw new Error('floatRange() requires min <= max');
+  }
+  return min + _nextFloat(_samplerEngine(options)) * (max - min);
+};
+
+/**
+ * Generate an array of deterministic numbers.
+ * Each element uses a sub-seed derived from the main seed + index. Seeds with
+ * a 0 digit (digit product 0) derive each later sub-seed via deriveSeed().
+ *
+ * @param {number} count - Number of elements
+ * @param {number} [digits=3] - Digits per element
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number[]}
+ */
+const array = (count, digits = 3, options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) {
+    return Array.from({ length: count }, () => pdrng(digits, { engine }));
+  }
+  const seed = _normalizeSeed(options.seed, options.hash);
+  const dp = _digitProduct(seed);
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    const subSeed = dp === 0 && i > 0 ? deriveSeed(seed, i) : seed + i * dp;
+    result.push(_fillDigits(_normalizeSeed(subSeed), digits));
+  }
+  return result;
+};
+
+/**
+ * Format 32 hex chars as UUID v4: xxxxxxxx-xxxx-4xxx-Nxxx-xxxxxxxxxxxx
+ * @param {string} hex - 32 hex characters
+ * @param {number} variant - 8, 9, 10 or 11
+ * @returns {string}
+ */
+const _formatUuid = (hex, variant) => {
+  const chars = hex.split('');
+  chars[12] = '4'; // version 4
+  chars[16] = variant.toString(16);
+
+  return [
+    chars.slice(0, 8).join(''),
+    chars.slice(8, 12).join(''),
+    chars.slice(12, 16).join(''),
+    chars.slice(16, 20).join(''),
+    chars.slice(20, 32).join('')
+  ].join('-');
+};
+
+/**
+ * Generate a deterministic UUID.
+ *
+ * Without a `version`, the classic algorithm keeps its original digit-based
+ * output. `version: 4` draws all 122 random bits from the seeded stream,
+ * `version: 5` hashes `name` within `namespace` (RFC 9562 name-based), and
+ * `version: 7` puts a millisecond timestamp in front of seeded random bits.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {number} [options.version] - 4, 5 or 7
+ * @param {string} [options.namespace] - v5 namespace UUID or a UUID_NAMESPACES key
+ * @param {string} [options.name] - v5 name
+ * @param {number|Date|function(): (number|Date)} [options.now] - v7 clock (default: Date.now)
+ * @returns {string}
+ *
+ * @example
+ * uuid({ version: 5, namespace: 'dns', name: 'www.example.com' });
+ * // "2ed6657d-e927-568b-95e1-2665a8aea6a2"
+ * uuid({ version: 7, now: 0, seed: 42 }).slice(0, 8); // "00000000"
+ */
+const uuid = (options = {}) => {
+  const { version } = options;
+  if (version === 5) return _uuidV5(options.namespace, options.name);
+  if (version === 7) {
+    const bytes = _nextBytes(_samplerEngine(options), 16);
+    const ms = _clock(options);
+    for (let i = 0; i < 6; i++) {
+      bytes[i] = Math.floor(ms / 2 ** (8 * (5 - i))) & 0xff;
+    }
+    return _uuidFromBytes(bytes, 7);
+  }
+  if (version !== undefined && version !== 4) {
+    throw new Error(`Unsupported UUID version: ${version}`);
+  }
+
+  const engine = version === 4 ? _samplerEngine(options) : _engineFor(options);
+  if (engine) return _formatUuid(_nextHex(engine, 32), 8 + _nextBelow(engine, 4));
+  const seed = _normalizeSeed(options.seed, options.hash);
+  const ds = _digitSum(seed);
+  const dp = _digitProduct(seed);
+  const fd = _firstDigit(seed);
+  const ld = _lastDigit(seed);
+
+  // Build 32 hex chars deterministically
+  const sources = [seed, ds, dp, fd, ld, seed + ds, seed + dp, seed * fd];
+  let hex = '';
+  for (const src of sources) {
+    let val = Math.abs(src);
+    for (let i = 0; i < 4; i++) {
+      hex += ((val + i * 7) % 16).toString(16);
+    }
+  }
+
+  const n = (8 + (_digitSum(seed) % 4)); // variant: 8, 9, a, or b
+  return _formatUuid(hex.slice(0, 32), n);
+};
+
+/**
+ * Determine if the seed is odd or even.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {string} "odd" or "even"
+ */
+const oddOrEven = (options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) return _nextBelow(engine, 2) === 0 ? 'even' : 'odd';
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return seed % 2 === 0 ? 'even' : 'odd';
+};
+
+/**
+ * Determine red or black based on digit sum.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {string} "red" or "black"
+ */
+const redOrBlack = (options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) return _nextBelow(engine, 2) === 1 ? 'red' : 'black';
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return _digitSum(seed) % 2 === 1 ? 'red' : 'black';
+};
+
+/**
+ * Generate a random seed using crypto for true entropy.
+ * Pass the result as { seed: randomSeed() } to any pdrng function
+ * for non-deterministic behavior.
+ *
+ * @returns {number}
+ */
+const randomSeed = () => {
+  if (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.getRandomValues) {
+    const buffer = new Uint32Array(1);
+    globalThis.crypto.getRandomValues(buffer);
+    return buffer[0] || DEFAULT_SEED;
+  }
+  // Fallback for environments without Web Crypto API
+  return Math.floor(Math.random() * 2147483647) || DEFAULT_SEED;
+};
+
+// ─── Bulk Generation ─────────────────────────────────────────────────────────
+
+/** Whether typed arrays on this platform store words least significant byte first. */
+const LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+/** Floats produced per block, bounding the scratch buffer for floats(). */
+const FLOAT_BLOCK = 4096;
+
+/**
+ * Fill a Uint32Array with engine output, in blocks when the engine has
+ * fillWords() and one next() call per word otherwise.
+ * @param {Engine} engine
+ * @param {Uint32Array} words
+ * @returns {Uint32Array}
+ */
+const _fillWords = (engine, words) => {
+  if (typeof engine.fillWords === 'function') {
+    engine.fillWords(words);
+  } else {
+    for (let i = 0; i < words.length; i++) words[i] = engine.next();
+  }
+  return words;
+};
+
+/**
+ * Fill an integer typed array with raw random bits. The bits form one
+ * little-endian byte stream, so element values are the same on every platform.
+ * @param {Engine} engine
+ * @param {ArrayBufferView} array
+ */
+const _fillBits = (engine, array) => {
+  const length = array.byteLength;
+  if (LITTLE_ENDIAN && array.byteOffset % 4 === 0) {
+    _fillWords(engine, new Uint32Array(array.buffer, array.byteOffset, length >>> 2));
+    if (length % 4 !== 0) {
+      const tail = new Uint8Array(array.buffer, array.byteOffset + (length & ~3), length % 4);
+      const x = engine.next();
+      for (let i = 0; i < tail.length; i++) tail[i] = x >>> (i * 8);
+    }
+    return;
+  }
+  const words = _fillWords(engine, new Uint32Array(Math.ceil(length / 4)));
+  const target = new Uint8Array(array.buffer, array.byteOffset, length);
+  for (let i = 0; i < length; i++) target[i] = words[i >>> 2] >>> ((i & 3) * 8);
+  const size = array.BYTES_PER_ELEMENT;
+  if (!LITTLE_ENDIAN && size > 1) {
+    for (let i = 0; i < length; i += size) target.subarray(i, i + size).reverse();
+  }
+};
+
+/**
+ * Fill a float array with values in [0, 1): 53 bits from two words per
+ * Float64Array element (the same values the samplers draw), 24 bits from one
+ * word per Float32Array element.
+ * @param {Engine} engine
+ * @param {Float32Array|Float64Array} array
+ */
+const _fillFloats = (engine, array) => {
+  const wide = array instanceof Float64Array;
+  const words = new Uint32Array(Math.min(array.length, FLOAT_BLOCK) * (wide ? 2 : 1));
+  for (let start = 0; start < array.length; start += FLOAT_BLOCK) {
+    const count = Math.min(FLOAT_BLOCK, array.length - start);
+    const block = _fillWords(engine, count === FLOAT_BLOCK ? words : words.subarray(0, count * (wide ? 2 : 1)));
+    if (wide) {
+      for (let i = 0; i < count; i++) {
+        array[start + i] = ((block[2 * i] >>> 5) * 67108864 + (block[2 * i + 1] >>> 6)) / 9007199254740992;
+      }
+    } else {
+      for (let i = 0; i < count; i++) array[start + i] = (block[i] >>> 8) / 16777216;
+    }
+  }
+};
+
+/**
+ * Fill a typed array with deterministic random values, in place.
+ *
+ * Integer arrays (including Uint8ClampedArray and the BigInt arrays) get
+ * uniform values over the element type's full range; Float32Array and
+ * Float64Array get values in [0, 1). Engines with a fillWords() block method
+ * (classic, mulberry32, sfc32, xoshiro128**) produce tens of millions of
+ * words per second.
+ *
+ * @param {ArrayBufferView} array - Any typed array
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {ArrayBufferView} The same array
+ *
+ * @example
+ * fill(new Uint32Array(1_000_000), { seed: 'noise', algorithm: 'sfc32' });
+ */
+const fill = (array, options = {}) => {
+  if (!ArrayBuffer.isView(array) || array instanceof DataView) {
+    throw new Error('fill() requires a typed array');
+  }
+  const engine = _samplerEngine(options);
+  if (array instanceof Float64Array || array instanceof Float32Array) _fillFloats(engine, array);
+  else _fillBits(engine, array);
+  return array;
+};
+
+/**
+ * Check the length argument of a bulk function.
+ * @param {string} name
+ * @param {number} n
+ */
+const _checkLength = (name, n) => {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${name}() requires a non-negative integer length`);
+  }
+};
+
+/**
+ * Generate `n` deterministic random bytes.
+ *
+ * @param {number} n - Number of bytes
+ * @param {Object} [options={}] - Same options as fill()
+ * @returns {Uint8Array}
+ */
+const bytes = (n, options = {}) => {
+  _checkLength('bytes', n);
+  return fill(new Uint8Array(n), options);
+};
+
+/**
+ * Generate `n` deterministic floats in [0, 1) with 53 bits of precision.
+ *
+ * @param {number} n - Number of floats
+ * @param {Object} [options={}] - Same options as fill()
+ * @returns {Float64Array}
+ */
+const floats = (n, options = {}) => {
+  _checkLength('floats', n);
+  return fill(new Float64Array(n), options);
+};
+
+// ─── Identifiers ─────────────────────────────────────────────────────────────
+
+/** Well-known v5 namespaces from RFC 9562, Appendix A. */
+const UUID_NAMESPACES = Object.freeze({
+  dns: '6ba7b810-9dad-11d1-80b4-00c04fd430c8',
+  url: '6ba7b811-9dad-11d1-80b4-00c04fd430c8',
+  oid: '6ba7b812-9dad-11d1-80b4-00c04fd430c8',
+  x500: '6ba7b814-9dad-11d1-80b4-00c04fd430c8'
+});
+
+/** Crockford base32, as used by ULIDs. */
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/** URL-safe alphabet used by NanoID. */
+const NANOID_ALPHABET = 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+const MAX_TIMESTAMP = 2 ** 48 - 1;
+
+/**
+ * Read the millisecond timestamp for a time-ordered ID. `options.now` may be
+ * a number, a Date, or a function returning either.
+ * @param {Object} options
+ * @returns {number}
+ */
+const _clock = (options) => {
+  let now = options.now === undefined ? Date.now() : options.now;
+  if (typeof now === 'function') now = now();
+  if (now instanceof Date) now = now.getTime();
+  if (!Number.isInteger(now) || now < 0 || now > MAX_TIMESTAMP) {
+    throw new Error('now must be an integer timestamp between 0 and 2^48 - 1 ms');
+  }
+  return now;
+};
+
+/**
+ * Set the version and RFC 9562 variant bits on 16 bytes and format them.
+ * @param {Uint8Array} bytes
+ * @param {number} version
+ * @returns {string}
+ */
+const _uuidFromBytes = (bytes, version) => {
+  bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32)
+  ].join('-');
+};
+
+/**
+ * Name-based v5 UUID: SHA-1 of the namespace bytes followed by the name.
+ * @param {string} namespace - UUID or UUID_NAMESPACES key
+ * @param {string} name
+ * @returns {string}
+ */
+const _uuidV5 = (namespace, name) => {
+  const ns = UUID_NAMESPACES[namespace] || namespace;
+  if (typeof ns !== 'string' || !UUID_PATTERN.test(ns)) {
+    throw new Error(`uuid() v5 requires a namespace UUID, got "${namespace}"`);
+  }
+  if (typeof name !== 'string') {
+    throw new Error('uuid() v5 requires a string name');
+  }
+  const nameBytes = _utf8(name);
+  const input = new Uint8Array(16 + nameBytes.length);
+  const nsHex = ns.replace(/-/g, '');
+  for (let i = 0; i < 16; i++) {
+    input[i] = parseInt(nsHex.slice(i * 2, i * 2 + 2), 16);
+  }
+  input.set(nameBytes, 16);
+  return _uuidFromBytes(_sha1(input).slice(0, 16), 5);
+};
+
+/**
+ * Check whether a value is a UUID string with the RFC 9562 variant.
+ *
+ * @param {*} value - Value to check
+ * @param {number} [version] - Require this version (e.g. 4, 5 or 7)
+ * @returns {boolean}
+ */
+const isUuid = (value, version) => {
+  if (typeof value !== 'string' || !UUID_PATTERN.test(value)) return false;
+  if (!'89ab'.includes(value[19].toLowerCase())) return false;
+  return version === undefined || parseInt(value[14], 16) === version;
+};
+
+/**
+ * Read the millisecond timestamp of a v7 UUID.
+ *
+ * @param {string} id - v7 UUID
+ * @returns {number}
+ * @throws {Error} If the value is not a v7 UUID
+ */
+const uuidTimestamp = (id) => {
+  if (!isUuid(id, 7)) {
+    throw new Error(`Not a v7 UUID: "${id}"`);
+  }
+  return parseInt(id.slice(0, 8) + id.slice(9, 13), 16);
+};
+
+/**
+ * Generate a deterministic ULID: a 48-bit millisecond timestamp followed by
+ * 80 seeded random bits, in 26 Crockford base32 characters.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {number|Date|function(): (number|Date)} [options.now] - Clock (default: Date.now)
+ * @returns {string}
+ */
+const ulid = (options = {}) => {
+  const engine = _samplerEngine(options);
+  let ms = _clock(options);
+  let time = '';
+  for (let i = 0; i < 10; i++) {
+    time = CROCKFORD_BASE32[ms % 32] + time;
+    ms = Math.floor(ms / 32);
+  }
+  let random = '';
+  for (let i = 0; i < 16; i++) {
+    random += CROCKFORD_BASE32[_nextBelow(engine, 32)];
+  }
+  return time + random;
+};
+
+/**
+ * Check whether a value is a ULID string.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isUlid = (value) => typeof value === 'string' && ULID_PATTERN.test(value);
+
+/**
+ * Read the millisecond timestamp of a ULID.
+ *
+ * @param {string} id - ULID
+ * @returns {number}
+ * @throws {Error} If the value is not a ULID
+ */
+const ulidTimestamp = (id) => {
+  if (!isUlid(id)) {
+    throw new Error(`Not a ULID: "${id}"`);
+  }
+  let ms = 0;
+  for (const char of id.slice(0, 10).toUpperCase()) {
+    ms = ms * 32 + CROCKFORD_BASE32.indexOf(char);
+  }
+  return ms;
+};
+
+/**
+ * Generate a deterministic NanoID-style ID.
+ *
+ * @param {number} [size=21] - Number of characters
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.alphabet] - Characters to draw from (default: URL-safe 64)
+ * @returns {string}
+ */
+const nanoid = (size = 21, options = {}) => {
+  const alphabet = options.alphabet === undefined ? NANOID_ALPHABET : options.alphabet;
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error('nanoid() requires a positive integer size');
+  }
+  if (typeof alphabet !== 'string' || alphabet.length < 2) {
+    throw new Error('nanoid() requires an alphabet of at least 2 characters');
+  }
+  const engine = _samplerEngine(options);
+  let id = '';
+  for (let i = 0; i < size; i++) {
+    id += alphabet[_nextBelow(engine, alphabet.length)];
+  }
+  return id;
+};
+
+/**
+ * Check whether a value is a NanoID-style ID.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.size=21] - Expected length
+ * @param {string} [options.alphabet] - Allowed characters (default: URL-safe 64)
+ * @returns {boolean}
+ */
+const isNanoid = (value, options = {}) => {
+  const size = options.size === undefined ? 21 : options.size;
+  const alphabet = options.alphabet === undefined ? NANOID_ALPHABET : options.alphabet;
+  return typeof value === 'string' &&
+    value.length === size &&
+    Array.from(value).every((char) => alphabet.includes(char));
+};
+
+// ─── Dice Notation ───────────────────────────────────────────────────────────
+
+/**
+ * Error thrown for malformed dice notation. `position` is the zero-based
+ * index in the notation string where parsing failed.
+ */
+class DiceNotationError extends Error {
+  /**
+   * @param {string} notation - The full notation string
+   * @param {number} position - Index of the offending character
+   * @param {string} reason - What was expected or found
+   */
+  constructor(notation, position, reason) {
+    super(`Invalid dice notation: "${notation}" (${reason} at position ${position})`);
+    this.name = 'DiceNotationError';
+    this.notation = notation;
+    this.position = position;
+  }
+}
+
+/**
+ * Explosions and rerolls allowed per die before giving up, so that
+ * notation like "1d2!>=1" cannot loop forever.
+ */
+const MAX_DIE_REPEATS = 100;
+
+/** Largest number of dice in one term, e.g. "1000d6". */
+const MAX_DICE = 1000;
+
+/** Largest number of sides on a die, e.g. "1d1000000". */
+const MAX_SIDES = 1000000;
+
+/**
+ * Check a die value against a compare point { op, value }.
+ * @param {number} value
+ * @param {Object} point
+ * @returns {boolean}
+ */
+const _meetsPoint = (value, { op, value: target }) => {
+  switch (op) {
+    case '<': return value < target;
+    case '<=': return value <= target;
+    case '>': return value > target;
+    case '>=': return value >= target;
+    default: return value === target;
+  }
+};
+
+/**
+ * Check whether every face in [min, max] meets a compare point, without
+ * listing the faces.
+ * @param {number} min - Lowest face
+ * @param {number} max - Highest face
+ * @param {Object} point
+ * @returns {boolean}
+ */
+const _meetsEveryFace = (min, max, { op, value: target }) => {
+  switch (op) {
+    case '<': return max < target;
+    case '<=': return max <= target;
+    case '>': return min > target;
+    case '>=': return min >= target;
+    default: return min === target && max === target;
+  }
+};
+
+/**
+ * Recursive-descent parser for dice notation.
+ *
+ * expression := ["+" | "-"] term (("+" | "-") term)*
+ * term       := integer | [integer] "d" ( integer | "%" | "F" ) modifier*
+ * modifier   := ("kh" | "kl" | "k" | "dh" | "dl" | "d") [integer]
+ *             | "!" [compare]
+ *             | ("r" | "ro") (compare | integer)
+ *             | compare                      (success counting)
+ * compare    := ("=" | "<" | "<=" | ">" | ">=") integer
+ *
+ * @param {string} notation
+ * @returns {Object[]} Terms: { type: 'constant', sign, value } or
+ *   { type: 'dice', sign, notation, count, sides, fudge, keep, explode, reroll, success }
+ */
+const _parseDiceNotation = (notation) => {
+  const src = String(notation);
+  let pos = 0;
+
+  const fail = (reason, at = pos) => {
+    throw new DiceNotationError(src, at, reason);
+  };
+  const skipSpace = () => {
+    while (pos < src.length && /\s/.test(src[pos])) pos++;
+  };
+  const peek = () => (pos < src.length ? src[pos].toLowerCase() : '');
+  const readInt = (expected) => {
+    const match = /^\d+/.exec(src.slice(pos));
+    if (!match) fail(peek() ? `expected ${expected}, found "${src[pos]}"` : `expected ${expected}, found end`);
+    pos += match[0].length;
+    return parseInt(match[0], 10);
+  };
+  const readCompare = (required) => {
+    const match = /^(<=|>=|<|>|=)/.exec(src.slice(pos));
+    if (!match) {
+      if (required) return { op: '=', value: readInt('a number or comparison') };
+      return null;
+    }
+    pos += match[0].length;
+    return { op: match[0], value: readInt('a number after the comparison') };
+  };
+
+  const parseDice = (start, count) => {
+    pos++; // 'd'
+    const term = {
+      type: 'dice', count, sides: 0, fudge: false,
+      keep: null, explode: null, reroll: null, success: null
+    };
+    if (peek() === '%') {
+      pos++;
+      term.sides = 100;
+    } else if (peek() === 'f') {
+      pos++;
+      term.fudge = true;
+      term.sides = 3;
+    } else {
+      const at = pos;
+      term.sides = readInt('number of sides');
+      if (term.sides < 1) fail('dice need at least 1 side', at);
+      if (term.sides > MAX_SIDES) fail(`dice can have at most ${MAX_SIDES} sides`, at);
+    }
+
+    for (;;) {
+      const at = pos;
+      const c = peek();
+      if (c === 'k' || c === 'd') {
+        if (term.keep) fail('only one keep or drop modifier is allowed');
+        pos++;
+        let high = c === 'k';
+        if (peek() === 'h' || peek() === 'l') {
+          high = peek() === 'h';
+          pos++;
+        }
+        const n = /^\d/.test(src.slice(pos)) ? readInt('a count') : 1;
+        term.keep = { mode: c === 'k' ? 'keep' : 'drop', high, count: n };
+      } else if (c === '!') {
+        if (term.explode) fail('only one explode modifier is allowed');
+        pos++;
+        term.explode = readCompare(false) || { op: '=', value: term.fudge ? 1 : term.sides };
+      } else if (c === 'r') {
+        if (term.reroll) fail('only one reroll modifier is allowed');
+        pos++;
+        let once = false;
+        if (peek() === 'o') {
+          once = true;
+          pos++;
+        }
+        term.reroll = { ...readCompare(true), once };
+      } else if (c === '<' || c === '>' || c === '=') {
+        if (term.success) fail('only one success target is allowed');
+        term.success = readCompare(false);
+      } else {
+        break;
+      }
+      // Conditions that every face meets would never stop rolling
+      const [min, max] = term.fudge ? [-1, 1] : [1, term.sides];
+      if (term.explode && _meetsEveryFace(min, max, term.explode)) {
+        fail('explode condition matches every face', at);
+      }
+      if (term.reroll && _meetsEveryFace(min, max, term.reroll)) {
+        fail('reroll condition matches every face', at);
+      }
+    }
+    term.notation = src.slice(start, pos);
+    return term;
+  };
+
+  const parseTerm = (sign) => {
+    skipSpace();
+    const start = pos;
+    if (peek() === 'd') return { ...parseDice(start, 1), sign };
+    const n = readInt('a number or dice');
+    if (peek() === 'd') {
+      if (n > MAX_DICE) fail(`at most ${MAX_DICE} dice per term`, start);
+      return { ...parseDice(start, n), sign };
+    }
+    return { type: 'constant', sign, value: n };
+  };
+
+  const terms = [];
+  skipSpace();
+  let sign = 1;
+  if (peek() === '+' || peek() === '-') {
+    sign = peek() === '-' ? -1 : 1;
+    pos++;
+  }
+  terms.push(parseTerm(sign));
+  for (;;) {
+    skipSpace();
+    if (pos >= src.length) break;
+    const c = peek();
+    if (c !== '+' && c !== '-') fail(`unexpected "${src[pos]}"`);
+    pos++;
+    terms.push(parseTerm(c === '-' ? -1 : 1));
+  }
+  return terms;
+};
+
+/**
+ * Roll one dice term.
+ * @param {Object} term - Parsed dice term
+ * @param {function(number): number} rollDie - Returns a face in [1, sides]
+ * @returns {Object} Term result with per-die breakdown
+ */
+const _rollDiceTerm = (term, rollDie) => {
+  const face = () => (term.fudge ? rollDie(3) - 2 : rollDie(term.sides));
+  const dice = [];
+  for (let i = 0; i < term.count; i++) {
+    let exploded = false;
+    let repeats = 0;
+    do {
+      const die = { value: face(), kept: true, exploded, rerolled: [] };
+      while (term.reroll && _meetsPoint(die.value, term.reroll) && die.rerolled.length < MAX_DIE_REPEATS) {
+        die.rerolled.push(die.value);
+        die.value = face();
+        if (term.reroll.once) break;
+      }
+      dice.push(die);
+      exploded = Boolean(term.explode) && _meetsPoint(die.value, term.explode);
+    } while (exploded && ++repeats < MAX_DIE_REPEATS);
+  }
+
+  if (term.keep) {
+    const order = dice
+      .map((die, i) => i)
+      .sort((a, b) => (dice[a].value - dice[b].value) || (a - b));
+    if (term.keep.high) order.reverse();
+    const chosen = order.slice(0, term.keep.count);
+    dice.forEach((die, i) => {
+      die.kept = term.keep.mode === 'keep' ? chosen.includes(i) : !chosen.includes(i);
+    });
+  }
+
+  const keptDice = dice.filter((die) => die.kept);
+  let value;
+  let successes;
+  if (term.success) {
+    successes = keptDice.filter((die) => _meetsPoint(die.value, term.success)).length;
+    value = successes;
+  } else {
+    value = keptDice.reduce((sum, die) => sum + die.value, 0);
+  }
+  return {
+    type: 'dice',
+    notation: term.notation,
+    sign: term.sign,
+    dice,
+    ...(term.success ? { successes } : {}),
+    value
+  };
+};
+
+// ─── Simulation Functions ────────────────────────────────────────────────────
+
+/**
+ * Flip a deterministic coin.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {string} "heads" or "tails"
+ */
+const coin = (options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) return COIN_SIDES[_nextBelow(engine, 2)];
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return COIN_SIDES[_digitSum(seed) % 2];
+};
+
+/**
+ * Roll a deterministic die.
+ *
+ * @param {number} [sides=6] - Number of sides
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.mode='classic'] - 'classic' or 'uniform'
+ * @returns {number} 1 to sides
+ */
+const dice = (sides = 6, options = {}) => {
+  if (!Number.isInteger(sides) || sides < 1) {
+    throw new Error('dice() requires a positive integer number of sides');
+  }
+  const engine = _rangeEngine(options);
+  if (engine) return 1 + _nextBelow(engine, sides);
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return _selectFromRange(seed, 1, sides);
+};
+
+/**
+ * Draw a deterministic playing card.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {string} e.g. "8 of Diamonds"
+ */
+const card = (options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) return `${RANKS[_nextBelow(engine, 13)]} of ${SUITS[_nextBelow(engine, 4)]}`;
+  const seed = _normalizeSeed(options.seed, options.hash);
+  const rankIndex = (seed - 1) % 13;
+  const suitIndex = _digitSum(seed) % 4;
+  return `${RANKS[rankIndex]} of ${SUITS[suitIndex]}`;
+};
+
+/**
+ * Play rock, paper, scissors deterministically.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {string} "rock", "paper", or "scissors"
+ */
+const rps = (options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) return RPS_OPTIONS[_nextBelow(engine, 3)];
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return RPS_OPTIONS[_digitProduct(seed) % 3];
+};
+
+/**
+ * Draw a deterministic tarot card (Major Arcana).
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {string}
+ */
+const tarot = (options = {}) => {
+  const engine = _engineFor(options);
+  if (engine) return MAJOR_ARCANA[_nextBelow(engine, MAJOR_ARCANA.length)];
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return MAJOR_ARCANA[seed % 22];
+};
+
+/**
+ * Spin a wheel (pick from an array) deterministically.
+ * Weighted wheels can be given as [{ value, weight }] entries, as plain
+ * values with `options.weights`, or as a prebuilt WeightedTable.
+ *
+ * @param {Array|WeightedTable} arr - Array of choices
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {number[]} [options.weights] - Weights parallel to `arr`
+ * @returns {*}
+ */
+const spin = (arr, options = {}) => {
+  if (arr instanceof WeightedTable) return arr.draw(options);
+  if (!Array.isArray(arr) || arr.length === 0) {
+    throw new Error('spin() requires a non-empty array');
+  }
+  if (options.weights !== undefined || _isWeightedEntries(arr)) {
+    return new WeightedTable(arr, options.weights).draw(options);
+  }
+  const engine = _engineFor(options);
+  if (engine) return arr[_nextBelow(engine, arr.length)];
+  const seed = _normalizeSeed(options.seed, options.hash);
+  return arr[seed % arr.length];
+};
+
+/**
+ * Roll dice using standard notation.
+ *
+ * Supports multiple terms and constants ("1d20+1d4+5"), percentile ("d%")
+ * and Fudge ("4dF") dice, keep/drop ("4d6kh3", "2d20kl1", "4d6d1"),
+ * exploding ("3d6!", "3d6!>=5"), rerolls ("2d6r1", "2d6ro<3") and
+ * success counting ("6d10>=7"). Plain "NdS+M" notation without an engine
+ * keeps the classic per-die formula, whatever its case or spacing ("2D6 + 3",
+ * and "d6" for "1d6"); everything else draws from an engine.
+ *
+ * @param {string} notation - Dice notation like "2d6", "1d20+5", "4d6kh3"
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {Object} { notation, terms, rolls, modifier, total }
+ * @throws {DiceNotationError} If the notation cannot be parsed
+ *
+ * @example
+ * roll('2d6+3');             // { rolls: [5, 1], modifier: 3, total: 9, ... }
+ * roll('4d6kh3').terms[0];   // { type: 'dice', dice: [...], value: ... }
+ */
+const roll = (notation, options = {}) => {
+  const terms = _parseDiceNotation(notation);
+  let rollDie;
+  const plain = String(notation).toLowerCase().replace(/\s+/g, '');
+  if (/^\d*d\d+([+-]\d+)?$/.test(plain) && !_engineFor(options)) {
+    const seed = _normalizeSeed(options.seed, options.hash);
+    const dp = _digitProduct(seed);
+    let i = 0;
+    rollDie = (sides) => {
+      // A zero digit makes dp 0, which would repeat the first die forever
+      const subSeed = dp === 0 && i > 0 ? deriveSeed(seed, i) : seed + i * dp;
+      i++;
+      return (subSeed % sides) + 1;
+    };
+  } else {
+    const engine = _samplerEngine(options);
+    rollDie = (sides) => 1 + _nextBelow(engine, sides);
+  }
+
+  const results = terms.map((term) => (
+    term.type === 'dice' ? _rollDiceTerm(term, rollDie) : term
+  ));
+  const rolls = [];
+  let modifier = 0;
+  let total = 0;
+  for (const term of results) {
+    total += term.sign * term.value;
+    if (term.type === 'constant') {
+      modifier += term.sign * term.value;
+    } else {
+      term.dice.forEach((die) => { if (die.kept) rolls.push(die.value); });
+    }
+  }
+  return { notation: String(notation), terms: results, rolls, modifier, total };
+};
+
+/**
+ * Call a bingo number deterministically.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.mode='classic'] - 'classic' or 'uniform'
  * @returns {string} e.g. "B-14"
  */
-const bingo = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const num = ((_lastN(seed, 2) - 1) % 75 + 75) % 75 + 1;
-  const letterIndex = Math.floor((num - 1) / 15);
-  return `${BINGO_LETTERS[letterIndex]}-${num}`;
+const bingo = (options = {}) => {
+  const engine = _rangeEngine(options);
+  const num = engine
+    ? 1 + _nextBelow(engine, 75)
+    : ((_lastN(_normalizeSeed(options.seed, options.hash), 2) - 1) % 75 + 75) % 75 + 1;
+  const letterIndex = Math.floor((num - 1) / 15);
+  return `${BINGO_LETTERS[letterIndex]}-${num}`;
+};
+
+// ─── Colors ──────────────────────────────────────────────────────────────────
+
+/** Output formats accepted by color() and palette(). */
+const COLOR_FORMATS = Object.freeze(['hex', 'rgb', 'hsl', 'oklch']);
+
+/** Saturation and lightness ranges (0-1) for each color preset. */
+const COLOR_PRESETS = Object.freeze({
+  pastel: Object.freeze({ saturation: [0.55, 0.9], lightness: [0.78, 0.9] }),
+  vivid: Object.freeze({ saturation: [0.85, 1], lightness: [0.45, 0.58] }),
+  dark: Object.freeze({ saturation: [0.35, 0.75], lightness: [0.12, 0.28] })
+});
+
+/** Ranges used when a hue is fixed but no preset is given. */
+const DEFAULT_TONE = Object.freeze({ saturation: [0.45, 0.85], lightness: [0.35, 0.65] });
+
+/** Schemes accepted by palette(). */
+const PALETTE_SCHEMES = Object.freeze(['analogous', 'complementary', 'triadic', 'spaced']);
+
+/**
+ * Convert HSL (h in degrees, s and l in 0-1) to 8-bit RGB.
+ * @returns {{ r: number, g: number, b: number }}
+ */
+const _hslToRgb = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return { r: f(0), g: f(8), b: f(4) };
+};
+
+/**
+ * Convert 8-bit RGB to HSL (h in degrees, s and l in 0-1).
+ * @returns {{ h: number, s: number, l: number }}
+ */
+const _rgbToHsl = ({ r, g, b }) => {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return { h: 0, s: 0, l };
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === rn) h = ((gn - bn) / d) % 6;
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+  return { h: (h * 60 + 360) % 360, s, l };
+};
+
+/** sRGB channel (0-1) to linear light, and back. */
+const _toLinear = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const _fromLinear = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+
+/**
+ * Convert 8-bit RGB to OKLCH (l in 0-1, c chroma, h in degrees).
+ * @returns {{ l: number, c: number, h: number }}
+ */
+const _rgbToOklch = ({ r, g, b }) => {
+  const [lr, lg, lb] = [r, g, b].map((v) => _toLinear(v / 255));
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+  const c = Math.hypot(A, B);
+  const h = c < 1e-4 ? 0 : (Math.atan2(B, A) * 180 / Math.PI + 360) % 360;
+  return { l: L, c, h };
+};
+
+/**
+ * Convert OKLCH to 8-bit RGB, clamping out-of-gamut values.
+ * @returns {{ r: number, g: number, b: number }}
+ */
+const _oklchToRgb = (L, c, h) => {
+  const A = c * Math.cos(h * Math.PI / 180);
+  const B = c * Math.sin(h * Math.PI / 180);
+  const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+  const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+  const s = (L - 0.0894841775 * A - 1.2914855480 * B) ** 3;
+  const channel = (v) => Math.round(255 * Math.min(1, Math.max(0, _fromLinear(v))));
+  return {
+    r: channel(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: channel(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: channel(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  };
+};
+
+/**
+ * Parse a hex, rgb(), hsl() or oklch() color string.
+ * @param {string} value
+ * @returns {{ r: number, g: number, b: number }}
+ */
+const _parseColor = (value) => {
+  const str = String(value).trim();
+  let m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(str);
+  if (m) {
+    const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16)
+    };
+  }
+  m = /^rgb\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)\s*\)$/i.exec(str);
+  if (m && m.slice(1).every((v) => Number(v) <= 255)) {
+    return { r: Number(m[1]), g: Number(m[2]), b: Number(m[3]) };
+  }
+  m = /^hsl\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%\s*\)$/i.exec(str);
+  if (m) return _hslToRgb(Number(m[1]) % 360, Number(m[2]) / 100, Number(m[3]) / 100);
+  m = /^oklch\(\s*([\d.]+)(%?)\s+([\d.]+)\s+([\d.]+)(?:deg)?\s*\)$/i.exec(str);
+  if (m) return _oklchToRgb(Number(m[1]) / (m[2] ? 100 : 1), Number(m[3]), Number(m[4]));
+  throw new Error(`Invalid color: "${value}"`);
+};
+
+/**
+ * Format an RGB color.
+ * @param {{ r: number, g: number, b: number }} rgb
+ * @param {string} format - One of COLOR_FORMATS
+ * @returns {string}
+ */
+const _formatColor = (rgb, format) => {
+  const { r, g, b } = rgb;
+  switch (format) {
+    case 'rgb':
+      return `rgb(${r}, ${g}, ${b})`;
+    case 'hsl': {
+      const { h, s, l } = _rgbToHsl(rgb);
+      return `hsl(${Math.round(h)}, ${Math.round(s * 100)}%, ${Math.round(l * 100)}%)`;
+    }
+    case 'oklch': {
+      const { l, c, h } = _rgbToOklch(rgb);
+      return `oklch(${(l * 100).toFixed(1)}% ${c.toFixed(3)} ${h.toFixed(1)})`;
+    }
+    default:
+      return '#' + [r, g, b].map((v) => v.toString(16).padStart(2, '0')).join('');
+  }
+};
+
+/**
+ * WCAG 2 relative luminance of an RGB color.
+ * @param {{ r: number, g: number, b: number }} rgb
+ * @returns {number}
+ */
+const _luminance = ({ r, g, b }) => (
+  0.2126 * _toLinear(r / 255) + 0.7152 * _toLinear(g / 255) + 0.0722 * _toLinear(b / 255)
+);
+
+/**
+ * WCAG 2 contrast ratio between two RGB colors.
+ * @returns {number}
+ */
+const _contrast = (a, b) => {
+  const [hi, lo] = [_luminance(a), _luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+};
+
+/**
+ * WCAG 2 contrast ratio between two colors, from 1 to 21.
+ *
+ * @param {string} a - Color in any format accepted by color()
+ * @param {string} b - Color in any format accepted by color()
+ * @returns {number}
+ *
+ * @example
+ * contrastRatio('#000000', '#ffffff'); // 21
+ */
+const contrastRatio = (a, b) => _contrast(_parseColor(a), _parseColor(b));
+
+/**
+ * Check color options shared by color() and palette().
+ * @param {Object} options
+ * @returns {{ format: string, tone: Object|null }}
+ */
+const _colorSettings = (options) => {
+  const format = options.format === undefined ? 'hex' : options.format;
+  if (!COLOR_FORMATS.includes(format)) {
+    throw new Error(`Unknown color format: "${format}"`);
+  }
+  if (options.preset !== undefined && !COLOR_PRESETS[options.preset]) {
+    throw new Error(`Unknown color preset: "${options.preset}"`);
+  }
+  return { format, tone: options.preset === undefined ? null : COLOR_PRESETS[options.preset] };
+};
+
+/**
+ * Draw an HSL color with the given hue within a tone's ranges.
+ * @param {Engine} engine
+ * @param {number} hue - Degrees
+ * @param {Object} tone - { saturation, lightness } ranges
+ * @returns {{ h: number, s: number, l: number }}
+ */
+const _drawTone = (engine, hue, tone) => {
+  const [smin, smax] = tone.saturation;
+  const [lmin, lmax] = tone.lightness;
+  return {
+    h: ((hue % 360) + 360) % 360,
+    s: smin + _nextFloat(engine) * (smax - smin),
+    l: lmin + _nextFloat(engine) * (lmax - lmin)
+  };
+};
+
+/**
+ * Move a color's lightness toward black or white, whichever contrasts more
+ * with the background, until it reaches the target ratio.
+ * @param {{ h: number, s: number, l: number }} hsl
+ * @param {string} background
+ * @param {number} ratio
+ * @returns {{ r: number, g: number, b: number }}
+ */
+const _ensureContrast = (hsl, background, ratio) => {
+  const bg = _parseColor(background);
+  let rgb = _hslToRgb(hsl.h, hsl.s, hsl.l);
+  if (_contrast(rgb, bg) >= ratio) return rgb;
+  const step = _contrast({ r: 0, g: 0, b: 0 }, bg) >= _contrast({ r: 255, g: 255, b: 255 }, bg) ? -0.01 : 0.01;
+  for (let l = hsl.l; l >= 0 && l <= 1; l += step) {
+    rgb = _hslToRgb(hsl.h, hsl.s, l);
+    if (_contrast(rgb, bg) >= ratio) return rgb;
+  }
+  rgb = step < 0 ? { r: 0, g: 0, b: 0 } : { r: 255, g: 255, b: 255 };
+  if (_contrast(rgb, bg) >= ratio) return rgb;
+  throw new Error(`Cannot reach a contrast ratio of ${ratio} on "${background}"`);
+};
+
+/**
+ * Turn a drawn HSL color into the requested output, applying the
+ * background contrast requirement if any.
+ * @param {{ h: number, s: number, l: number }} hsl
+ * @param {string} format
+ * @param {Object} options
+ * @returns {string}
+ */
+const _finishColor = (hsl, format, options) => {
+  const rgb = options.background === undefined
+    ? _hslToRgb(hsl.h, hsl.s, hsl.l)
+    : _ensureContrast(hsl, options.background, options.contrast === undefined ? 4.5 : options.contrast);
+  return _formatColor(rgb, format);
+};
+
+/**
+ * Generate a deterministic color.
+ *
+ * With no format, preset, hue or background, the classic algorithm keeps its
+ * original digit-based hex output. Otherwise colors are drawn from the seeded
+ * stream over the full sRGB gamut, or within a preset's tone.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.format='hex'] - 'hex', 'rgb', 'hsl' or 'oklch'
+ * @param {string} [options.preset] - 'pastel', 'vivid' or 'dark'
+ * @param {number} [options.hue] - Fix the hue in degrees
+ * @param {string} [options.background] - Keep the color readable on this color
+ * @param {number} [options.contrast=4.5] - Minimum WCAG contrast ratio with background
+ * @returns {string} e.g. "#a81414"
+ */
+const color = (options = {}) => {
+  const custom = options.format !== undefined || options.preset !== undefined ||
+    options.hue !== undefined || options.background !== undefined;
+  if (!custom) {
+    const engine = _engineFor(options);
+    if (engine) return '#' + _nextHex(engine, 6);
+    const seed = _normalizeSeed(options.seed, options.hash);
+    const prefix = (_firstDigit(seed) + 2).toString(16);
+    const fill = String(_fillDigits(seed, 5));
+    return '#' + prefix + fill;
+  }
+
+  const { format, tone } = _colorSettings(options);
+  const engine = _samplerEngine(options);
+  let hsl;
+  if (tone || options.hue !== undefined) {
+    const hue = options.hue === undefined ? _nextFloat(engine) * 360 : options.hue;
+    hsl = _drawTone(engine, hue, tone || DEFAULT_TONE);
+  } else {
+    hsl = _rgbToHsl(_parseColor('#' + _nextHex(engine, 6)));
+  }
+  return _finishColor(hsl, format, options);
+};
+
+/**
+ * Generate a deterministic color palette around a seeded base hue.
+ *
+ * @param {string} [scheme='analogous'] - 'analogous', 'complementary', 'triadic' or 'spaced'
+ * @param {Object} [options={}] - Options (plus every color() option)
+ * @param {number} [options.count] - Colors for 'analogous' (default 3) and 'spaced' (default 5)
+ * @param {number} [options.spread=30] - Degrees between analogous hues
+ * @returns {string[]}
+ *
+ * @example
+ * palette('triadic', { seed: 'brand', preset: 'vivid' }); // three hues 120° apart
+ */
+const palette = (scheme = 'analogous', options = {}) => {
+  if (!PALETTE_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown palette scheme: "${scheme}"`);
+  }
+  const { format, tone } = _colorSettings(options);
+  const count = scheme === 'complementary' ? 2
+    : scheme === 'triadic' ? 3
+      : options.count === undefined ? (scheme === 'spaced' ? 5 : 3) : options.count;
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('palette() requires a positive integer count');
+  }
+  const spread = options.spread === undefined ? 30 : options.spread;
+  const step = scheme === 'analogous' ? spread : 360 / count;
+  const start = scheme === 'analogous' ? -spread * (count - 1) / 2 : 0;
+
+  const engine = _samplerEngine(options);
+  const base = options.hue === undefined ? _nextFloat(engine) * 360 : options.hue;
+  const { s, l } = _drawTone(engine, base, tone || DEFAULT_TONE);
+  return Array.from({ length: count }, (_, i) => {
+    const h = (((base + start + i * step) % 360) + 360) % 360;
+    return _finishColor({ h, s, l }, format, options);
+  });
+};
+
+// ─── Roulette ────────────────────────────────────────────────────────────────
+
+/** Wheels accepted by roulette(). French is European with la partage. */
+const ROULETTE_WHEELS = Object.freeze(['european', 'french', 'american']);
+
+/** Winnings per unit staked for each bet type (the stake is also returned). */
+const ROULETTE_PAYOUTS = Object.freeze({
+  straight: 35,
+  split: 17,
+  street: 11,
+  corner: 8,
+  line: 5,
+  dozen: 2,
+  column: 2,
+  red: 1,
+  black: 1,
+  odd: 1,
+  even: 1,
+  low: 1,
+  high: 1
+});
+
+/** Canonical key for a group of pockets; '00' sorts before 0. */
+const _betKey = (numbers) => numbers
+  .map((n) => (n === '00' ? -1 : n))
+  .sort((a, b) => a - b)
+  .map((n) => (n === -1 ? '00' : String(n)))
+  .join(',');
+
+/**
+ * Valid number groups for each inside bet on a wheel, keyed by the sorted
+ * numbers joined with commas.
+ * @param {string} wheel
+ * @returns {Object<string, Set<string>>}
+ */
+const _insideBets = (wheel) => {
+  const american = wheel === 'american';
+  const groups = { straight: [], split: [], street: [], corner: [], line: [] };
+  const pockets = american ? [0, '00'] : [0];
+  for (let n = 1; n <= 36; n++) pockets.push(n);
+  groups.straight = pockets.map((n) => [n]);
+  for (let n = 1; n <= 36; n++) {
+    if (n % 3 !== 0) groups.split.push([n, n + 1]);
+    if (n <= 33) groups.split.push([n, n + 3]);
+    if (n % 3 === 1) groups.street.push([n, n + 1, n + 2]);
+    if (n % 3 !== 0 && n <= 32) groups.corner.push([n, n + 1, n + 3, n + 4]);
+    if (n % 3 === 1 && n <= 31) groups.line.push([n, n + 1, n + 2, n + 3, n + 4, n + 5]);
+  }
+  if (american) {
+    groups.split.push([0, 1], [0, 2], [0, '00'], ['00', 2], ['00', 3]);
+    groups.street.push([0, 1, 2], [0, '00', 2], ['00', 2, 3]);
+  } else {
+    groups.split.push([0, 1], [0, 2], [0, 3]);
+    groups.street.push([0, 1, 2], [0, 2, 3]);
+    groups.corner.push([0, 1, 2, 3]);
+  }
+  const result = {};
+  for (const [type, list] of Object.entries(groups)) {
+    result[type] = new Set(list.map(_betKey));
+  }
+  return result;
+};
+
+const INSIDE_BETS = Object.freeze({
+  european: _insideBets('european'),
+  french: _insideBets('french'),
+  american: _insideBets('american')
+});
+
+/**
+ * Spin a roulette wheel deterministically.
+ *
+ * The European wheel (the default) keeps the classic output. The American
+ * wheel adds a '00' pocket.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.mode='classic'] - 'classic' or 'uniform'
+ * @param {string} [options.wheel='european'] - 'european', 'french' or 'american'
+ * @returns {Object} { number, color, parity, dozen, column, highLow, wheel }
+ */
+const roulette = (options = {}) => {
+  const wheel = options.wheel === undefined ? 'european' : options.wheel;
+  if (!ROULETTE_WHEELS.includes(wheel)) {
+    throw new Error(`Unknown roulette wheel: "${wheel}"`);
+  }
+  const pockets = wheel === 'american' ? 38 : 37;
+  const engine = _rangeEngine(options);
+  const index = engine
+    ? _nextBelow(engine, pockets)
+    : _lastN(_normalizeSeed(options.seed, options.hash), 2) % pockets;
+  const num = index === 37 ? '00' : index;
+  const zero = num === 0 || num === '00';
+
+  let color;
+  if (zero) {
+    color = 'green';
+  } else if (RED_NUMBERS.includes(num)) {
+    color = 'red';
+  } else {
+    color = 'black';
+  }
+
+  const parity = zero ? 'zero' : (num % 2 === 0 ? 'even' : 'odd');
+
+  return {
+    number: num,
+    color,
+    parity,
+    dozen: zero ? null : Math.ceil(num / 12),
+    column: zero ? null : ((num - 1) % 3) + 1,
+    highLow: zero ? null : (num <= 18 ? 'low' : 'high'),
+    wheel
+  };
+};
+
+/**
+ * Settle one bet against a roulette() result.
+ *
+ * Inside bets (straight, split, street, corner, line) list their `numbers`,
+ * which must form that bet on the result's wheel (zero splits and trios
+ * included, and the 0-1-2-3 first four on single-zero wheels). Dozen and
+ * column bets take a `value` of 1-3. On the French wheel, even-money bets
+ * lose only half the stake when zero comes up (la partage).
+ *
+ * @param {Object} bet - { type, amount, numbers?, value? }
+ * @param {Object} result - From roulette()
+ * @returns {Object} { type, amount, won, payout } - payout is the net win or loss
+ *
+ * @example
+ * settleBet({ type: 'split', numbers: [14, 17], amount: 10 }, roulette());
+ * // { type: 'split', amount: 10, won: true, payout: 170 }
+ */
+const settleBet = (bet, result) => {
+  const { type, amount } = bet;
+  if (!Object.prototype.hasOwnProperty.call(ROULETTE_PAYOUTS, type)) {
+    throw new Error(`Unknown bet type: "${type}"`);
+  }
+  if (typeof amount !== 'number' || !(amount > 0) || !Number.isFinite(amount)) {
+    throw new Error('Bet amount must be a positive number');
+  }
+
+  const wheel = result.wheel || 'european';
+  let won;
+  if (INSIDE_BETS[wheel][type]) {
+    const numbers = (Array.isArray(bet.numbers) ? bet.numbers : [bet.numbers])
+      .map((n) => (n === '00' ? n : Number(n)));
+    if (!INSIDE_BETS[wheel][type].has(_betKey([...numbers]))) {
+      throw new Error(`Invalid ${type} bet on the ${wheel} wheel: ${numbers.join(', ')}`);
+    }
+    won = numbers.includes(result.number);
+  } else if (type === 'dozen' || type === 'column') {
+    if (![1, 2, 3].includes(bet.value)) {
+      throw new Error(`A ${type} bet needs a value of 1, 2 or 3`);
+    }
+    won = result[type] === bet.value;
+  } else {
+    won = result.color === type || result.parity === type || result.highLow === type;
+  }
+
+  let payout = won ? amount * ROULETTE_PAYOUTS[type] : -amount;
+  if (!won && wheel === 'french' && result.number === 0 && ROULETTE_PAYOUTS[type] === 1) {
+    payout = -amount / 2;
+  }
+  return { type, amount, won, payout };
+};
+
+/**
+ * Settle several bets against one result.
+ *
+ * @param {Object[]} bets - Bets accepted by settleBet()
+ * @param {Object} result - From roulette()
+ * @returns {Object} { bets, net } - Settled bets and the total net win or loss
+ */
+const settleBets = (bets, result) => {
+  const settled = bets.map((bet) => settleBet(bet, result));
+  return { bets: settled, net: settled.reduce((sum, b) => sum + b.payout, 0) };
+};
+
+// ─── Distributions ───────────────────────────────────────────────────────────
+
+/**
+ * Draw a float in (0, 1], safe to pass to Math.log().
+ * @param {Engine} engine
+ * @returns {number}
+ */
+const _nextOpenFloat = (engine) => 1 - _nextFloat(engine);
+
+/**
+ * Standard normal draw (Box–Muller, cosine branch).
+ * @param {Engine} engine
+ * @returns {number}
+ */
+const _nextNormal = (engine) => {
+  const u = _nextOpenFloat(engine);
+  const v = _nextFloat(engine);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Gamma(shape, 1) draw (Marsaglia–Tsang). Shapes below 1 are boosted
+ * by one and scaled back with U^(1/shape).
+ * @param {Engine} engine
+ * @param {number} shape
+ * @returns {number}
+ */
+const _nextGamma = (engine, shape) => {
+  if (shape < 1) {
+    return _nextGamma(engine, shape + 1) * Math.pow(_nextOpenFloat(engine), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = _nextNormal(engine);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = _nextOpenFloat(engine);
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+};
+
+/**
+ * Beta(a, b) draw from two gamma draws.
+ * @param {Engine} engine
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+const _nextBeta = (engine, a, b) => {
+  const x = _nextGamma(engine, a);
+  const y = _nextGamma(engine, b);
+  return x / (x + y);
+};
+
+/**
+ * Poisson(lambda) draw: Knuth's product method for small lambda,
+ * Hörmann's PTRS transformed rejection from lambda 10 up.
+ * @param {Engine} engine
+ * @param {number} lambda
+ * @returns {number}
+ */
+const _nextPoisson = (engine, lambda) => {
+  if (lambda < 10) {
+    const limit = Math.exp(-lambda);
+    let k = 0;
+    let p = _nextFloat(engine);
+    while (p > limit) {
+      k++;
+      p *= _nextFloat(engine);
+    }
+    return k;
+  }
+  const slam = Math.sqrt(lambda);
+  const loglam = Math.log(lambda);
+  const b = 0.931 + 2.53 * slam;
+  const a = -0.059 + 0.02483 * b;
+  const invalpha = 1.1239 + 1.1328 / (b - 3.4);
+  const vr = 0.9277 - 3.6224 / (b - 2);
+  for (;;) {
+    const u = _nextFloat(engine) - 0.5;
+    const v = _nextOpenFloat(engine);
+    const us = 0.5 - Math.abs(u);
+    const k = Math.floor((2 * a / us + b) * u + lambda + 0.43);
+    if (us >= 0.07 && v <= vr) return k;
+    if (k < 0 || (us < 0.013 && v > us)) continue;
+    if (Math.log(v) + Math.log(invalpha) - Math.log(a / (us * us) + b) <=
+      -lambda + k * loglam - logGamma(k + 1)) {
+      return k;
+    }
+  }
+};
+
+/**
+ * Binomial(n, p) draw. Large n is halved with beta draws (Knuth, TAOCP
+ * 3.4.1) until few enough trials remain to count directly.
+ * @param {Engine} engine
+ * @param {number} n
+ * @param {number} p
+ * @returns {number}
+ */
+const _nextBinomial = (engine, n, p) => {
+  let k = 0;
+  while (n > 32) {
+    const a = 1 + Math.floor(n / 2);
+    const b = n + 1 - a;
+    const x = _nextBeta(engine, a, b);
+    if (x >= p) {
+      n = a - 1;
+      p = p / x;
+    } else {
+      k += a;
+      n = b - 1;
+      p = (p - x) / (1 - x);
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    if (_nextFloat(engine) < p) k++;
+  }
+  return k;
+};
+
+/**
+ * Sample a normal (Gaussian) distribution.
+ *
+ * @param {number} [mean=0] - Mean
+ * @param {number} [stdDev=1] - Standard deviation (>= 0)
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const normal = (mean = 0, stdDev = 1, options = {}) => {
+  if (!Number.isFinite(mean) || !Number.isFinite(stdDev) || stdDev < 0) {
+    throw new Error('normal() requires a finite mean and a non-negative stdDev');
+  }
+  return mean + stdDev * _nextNormal(_samplerEngine(options));
+};
+
+/**
+ * Sample a log-normal distribution: exp(X) where X ~ normal(mu, sigma).
+ *
+ * @param {number} [mu=0] - Mean of the underlying normal
+ * @param {number} [sigma=1] - Standard deviation of the underlying normal (>= 0)
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const logNormal = (mu = 0, sigma = 1, options = {}) => {
+  if (!Number.isFinite(mu) || !Number.isFinite(sigma) || sigma < 0) {
+    throw new Error('logNormal() requires a finite mu and a non-negative sigma');
+  }
+  return Math.exp(mu + sigma * _nextNormal(_samplerEngine(options)));
+};
+
+/**
+ * Sample an exponential distribution.
+ *
+ * @param {number} [rate=1] - Rate lambda (> 0); the mean is 1 / rate
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const exponential = (rate = 1, options = {}) => {
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error('exponential() requires a positive rate');
+  }
+  return -Math.log(_nextOpenFloat(_samplerEngine(options))) / rate;
+};
+
+/**
+ * Sample a gamma distribution.
+ *
+ * @param {number} shape - Shape k (> 0)
+ * @param {number} [scale=1] - Scale theta (> 0); the mean is shape * scale
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const gamma = (shape, scale = 1, options = {}) => {
+  if (!Number.isFinite(shape) || shape <= 0 || !Number.isFinite(scale) || scale <= 0) {
+    throw new Error('gamma() requires a positive shape and scale');
+  }
+  return scale * _nextGamma(_samplerEngine(options), shape);
+};
+
+/**
+ * Sample a beta distribution on [0, 1].
+ *
+ * @param {number} a - Shape alpha (> 0)
+ * @param {number} b - Shape beta (> 0)
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const beta = (a, b, options = {}) => {
+  if (!Number.isFinite(a) || a <= 0 || !Number.isFinite(b) || b <= 0) {
+    throw new Error('beta() requires positive shapes a and b');
+  }
+  return _nextBeta(_samplerEngine(options), a, b);
+};
+
+/**
+ * Sample a Poisson distribution.
+ *
+ * @param {number} lambda - Mean number of events (>= 0)
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number} non-negative integer
+ */
+const poisson = (lambda, options = {}) => {
+  if (!Number.isFinite(lambda) || lambda < 0) {
+    throw new Error('poisson() requires a non-negative lambda');
+  }
+  return _nextPoisson(_samplerEngine(options), lambda);
+};
+
+/**
+ * Sample a binomial distribution: successes in n independent trials.
+ *
+ * @param {number} n - Number of trials (non-negative integer)
+ * @param {number} p - Success probability in [0, 1]
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number} integer in [0, n]
+ */
+const binomial = (n, p, options = {}) => {
+  if (!Number.isSafeInteger(n) || n < 0 || !(p >= 0 && p <= 1)) {
+    throw new Error('binomial() requires a non-negative integer n and p in [0, 1]');
+  }
+  return _nextBinomial(_samplerEngine(options), n, p);
+};
+
+/**
+ * Sample a geometric distribution: trials up to and including the first success.
+ *
+ * @param {number} p - Success probability in (0, 1]
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number} integer >= 1
+ */
+const geometric = (p, options = {}) => {
+  if (!(p > 0 && p <= 1)) {
+    throw new Error('geometric() requires p in (0, 1]');
+  }
+  const u = _nextOpenFloat(_samplerEngine(options));
+  return p === 1 ? 1 : Math.floor(Math.log(u) / Math.log1p(-p)) + 1;
+};
+
+/**
+ * Sample a triangular distribution.
+ *
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound (> min)
+ * @param {number} [mode=(min + max) / 2] - Peak, within [min, max]
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const triangular = (min, max, mode = (min + max) / 2, options = {}) => {
+  if (![min, max, mode].every(Number.isFinite) || min >= max || mode < min || mode > max) {
+    throw new Error('triangular() requires finite min < max with min <= mode <= max');
+  }
+  const u = _nextFloat(_samplerEngine(options));
+  const split = (mode - min) / (max - min);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+};
+
+/**
+ * Sample a Pareto (type I) distribution; every value is >= scale.
+ *
+ * @param {number} shape - Shape alpha (> 0)
+ * @param {number} [scale=1] - Minimum value x_m (> 0)
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {number}
+ */
+const pareto = (shape, scale = 1, options = {}) => {
+  if (!Number.isFinite(shape) || shape <= 0 || !Number.isFinite(scale) || scale <= 0) {
+    throw new Error('pareto() requires a positive shape and scale');
+  }
+  return scale / Math.pow(_nextOpenFloat(_samplerEngine(options)), 1 / shape);
+};
+
+// ─── Weighted Selection ──────────────────────────────────────────────────────
+
+/**
+ * Check whether every entry looks like { value, weight }.
+ * @param {Array} arr
+ * @returns {boolean}
+ */
+const _isWeightedEntries = (arr) => arr.every(
+  (entry) => entry !== null && typeof entry === 'object' && 'value' in entry && 'weight' in entry
+);
+
+/**
+ * Check that weights are finite, non-negative and not all zero.
+ * @param {number[]} weights
+ * @returns {number} Sum of the weights
+ */
+const _checkWeights = (weights) => {
+  let total = 0;
+  weights.forEach((w, i) => {
+    if (typeof w !== 'number' || !Number.isFinite(w) || w < 0) {
+      throw new Error(`Invalid weight at index ${i}: ${w}`);
+    }
+    total += w;
+  });
+  if (total === 0) {
+    throw new Error('Weights must not all be zero');
+  }
+  return total;
+};
+
+/**
+ * Precomputed Walker alias table (built with Vose's method) for O(1)
+ * weighted draws. Create it once with createWeightedTable() and draw as
+ * often as needed.
+ *
+ * @example
+ * const loot = createWeightedTable([
+ *   { value: 'common', weight: 70 },
+ *   { value: 'rare', weight: 25 },
+ *   { value: 'epic', weight: 5 }
+ * ]);
+ * loot.draw({ seed: 42 });
+ */
+class WeightedTable {
+  /**
+   * @param {Array} entries - [{ value, weight }] or plain values with `weights`
+   * @param {number[]} [weights] - Weights parallel to plain values
+   */
+  constructor(entries, weights) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('createWeightedTable() requires a non-empty array');
+    }
+    let values = entries;
+    if (weights === undefined) {
+      if (!_isWeightedEntries(entries)) {
+        throw new Error('createWeightedTable() requires { value, weight } entries or a weights array');
+      }
+      values = entries.map((entry) => entry.value);
+      weights = entries.map((entry) => entry.weight);
+    } else if (!Array.isArray(weights) || weights.length !== entries.length) {
+      throw new Error('weights must be an array with one weight per entry');
+    }
+
+    const total = _checkWeights(weights);
+    const n = values.length;
+    const prob = new Float64Array(n);
+    const alias = new Uint32Array(n);
+    const scaled = weights.map((w) => (w * n) / total);
+    const small = [];
+    const large = [];
+    scaled.forEach((p, i) => (p < 1 ? small : large).push(i));
+    while (small.length && large.length) {
+      const s = small.pop();
+      const l = large.pop();
+      prob[s] = scaled[s];
+      alias[s] = l;
+      scaled[l] = scaled[l] + scaled[s] - 1;
+      (scaled[l] < 1 ? small : large).push(l);
+    }
+    // Leftovers are 1 up to rounding error; never let a zero weight win
+    const fallback = weights.findIndex((w) => w > 0);
+    for (const i of [...small, ...large]) {
+      prob[i] = weights[i] > 0 ? 1 : 0;
+      alias[i] = fallback;
+    }
+
+    this.values = Object.freeze([...values]);
+    this.probabilities = Object.freeze(weights.map((w) => w / total));
+    this._prob = prob;
+    this._alias = alias;
+  }
+
+  /**
+   * Number of entries.
+   * @returns {number}
+   */
+  get size() {
+    return this.values.length;
+  }
+
+  /**
+   * Draw the index of one entry.
+   *
+   * @param {Object} [options={}] - Options
+   * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+   * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+   * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+   * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+   * @returns {number}
+   */
+  drawIndex(options = {}) {
+    const engine = _samplerEngine(options);
+    const i = _nextBelow(engine, this.values.length);
+    return _nextFloat(engine) < this._prob[i] ? i : this._alias[i];
+  }
+
+  /**
+   * Draw one value.
+   *
+   * @param {Object} [options={}] - Same options as drawIndex()
+   * @returns {*}
+   */
+  draw(options = {}) {
+    return this.values[this.drawIndex(options)];
+  }
+}
+
+/**
+ * Build a reusable weighted table for O(1) draws.
+ *
+ * @param {Array} entries - [{ value, weight }] or plain values with `weights`
+ * @param {number[]} [weights] - Weights parallel to plain values
+ * @returns {WeightedTable}
+ */
+const createWeightedTable = (entries, weights) => new WeightedTable(entries, weights);
+
+// ─── Shuffling and Sampling ──────────────────────────────────────────────────
+
+/**
+ * Shuffle an array in place (Fisher–Yates, from the last index down).
+ *
+ * @param {Array} arr - Array to shuffle; it is modified and returned
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {Array} The same array
+ */
+const shuffleInPlace = (arr, options = {}) => {
+  if (!Array.isArray(arr)) {
+    throw new Error('shuffleInPlace() requires an array');
+  }
+  const engine = _samplerEngine(options);
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = _nextBelow(engine, i + 1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+};
+
+/**
+ * Return a shuffled copy of an array; the input is left untouched.
+ *
+ * @param {Array} arr - Array to shuffle
+ * @param {Object} [options={}] - Same options as shuffleInPlace()
+ * @returns {Array}
+ */
+const shuffle = (arr, options = {}) => {
+  if (!Array.isArray(arr)) {
+    throw new Error('shuffle() requires an array');
+  }
+  return shuffleInPlace([...arr], options);
+};
+
+/**
+ * Check a without-replacement draw size.
+ * @param {string} name - Function name for the error message
+ * @param {Array} arr
+ * @param {number} k
+ * @param {number} [available=arr.length] - Items that can be drawn
+ */
+const _checkDrawSize = (name, arr, k, available = arr.length) => {
+  if (!Array.isArray(arr)) {
+    throw new Error(`${name}() requires an array`);
+  }
+  if (!Number.isInteger(k) || k < 0 || k > available) {
+    throw new Error(`${name}() requires k between 0 and ${available}`);
+  }
+};
+
+/**
+ * Pick `k` distinct elements uniformly at random (partial Fisher–Yates).
+ * Elements come back in the order they were drawn.
+ *
+ * @param {Array} arr - Array to sample from
+ * @param {number} k - Number of elements
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @returns {Array}
+ */
+const sample = (arr, k, options = {}) => {
+  _checkDrawSize('sample', arr, k);
+  const engine = _samplerEngine(options);
+  const pool = [...arr];
+  for (let i = 0; i < k; i++) {
+    const j = i + _nextBelow(engine, pool.length - i);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, k);
+};
+
+/**
+ * Pick `k` distinct elements, optionally weighted. Weights come from
+ * `options.weights` or from { value, weight } entries; weighted picks use
+ * Efraimidis–Spirakis keys (log(u) / weight), largest first, and never
+ * return zero-weight elements. Without weights this is sample().
+ *
+ * @param {Array} arr - Array to pick from
+ * @param {number} k - Number of elements
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {number[]} [options.weights] - Weights parallel to `arr`
+ * @returns {Array}
+ */
+const pick = (arr, k, options = {}) => {
+  let values = arr;
+  let weights = options.weights;
+  if (weights === undefined && Array.isArray(arr) && arr.length > 0 && _isWeightedEntries(arr)) {
+    values = arr.map((entry) => entry.value);
+    weights = arr.map((entry) => entry.weight);
+  }
+  if (weights === undefined) {
+    _checkDrawSize('pick', arr, k);
+    return sample(arr, k, options);
+  }
+  if (!Array.isArray(weights) || !Array.isArray(values) || weights.length !== values.length) {
+    throw new Error('weights must be an array with one weight per entry');
+  }
+  _checkWeights(weights);
+  _checkDrawSize('pick', values, k, weights.filter((w) => w > 0).length);
+  const engine = _samplerEngine(options);
+  return values
+    .map((value, i) => ({ value, key: Math.log(_nextOpenFloat(engine)) / weights[i] }))
+    .filter((item) => item.key > -Infinity)
+    .sort((a, b) => b.key - a.key)
+    .slice(0, k)
+    .map((item) => item.value);
+};
+
+// ─── Cards ───────────────────────────────────────────────────────────────────
+
+/**
+ * One-character codes for RANKS and SUITS, e.g. "8D", "TS", "AH".
+ */
+const RANK_CODES = Object.freeze(['A', '2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K']);
+const SUIT_CODES = Object.freeze(['S', 'D', 'H', 'C']);
+
+const HAND_NAMES = Object.freeze([
+  'High Card',
+  'One Pair',
+  'Two Pair',
+  'Three of a Kind',
+  'Straight',
+  'Flush',
+  'Full House',
+  'Four of a Kind',
+  'Straight Flush',
+  'Royal Flush'
+]);
+
+/**
+ * Build a structured card.
+ * @param {number} rankIndex - Index into RANKS
+ * @param {number} suitIndex - Index into SUITS
+ * @returns {Object} { rank, suit, code, name }
+ */
+const _makeCard = (rankIndex, suitIndex) => Object.freeze({
+  rank: RANKS[rankIndex],
+  suit: SUITS[suitIndex],
+  code: RANK_CODES[rankIndex] + SUIT_CODES[suitIndex],
+  name: `${RANKS[rankIndex]} of ${SUITS[suitIndex]}`
+});
+
+const JOKER = Object.freeze({ rank: 'Joker', suit: null, code: 'JK', name: 'Joker' });
+
+/**
+ * Parse a card object or code ("8D", "TS", "10S") into a structured card.
+ * @param {Object|string} card
+ * @returns {Object}
+ */
+const _parseCard = (card) => {
+  const code = typeof card === 'string' ? card : card && card.code;
+  const match = String(code).toUpperCase().match(/^(10|[A2-9TJQK])([SDHC])$/);
+  if (!match) {
+    throw new Error(`Invalid card: "${code}"`);
+  }
+  const rank = match[1] === '10' ? 'T' : match[1];
+  return _makeCard(RANK_CODES.indexOf(rank), SUIT_CODES.indexOf(match[2]));
+};
+
+/**
+ * A shoe of one or more 52-card decks, optionally with jokers. New decks are
+ * in standard order (Spades, Diamonds, Hearts, Clubs; Ace to King); call
+ * shuffle() before dealing. The deck keeps its own engine, so every
+ * shuffle draws new randomness from the seed's stream.
+ *
+ * @example
+ * const deck = createDeck({ seed: 'table-1' }).shuffle();
+ * const [alice, bob] = deck.dealHands(2, 2);
+ * deck.burn();
+ * const flop = deck.deal(3);
+ */
+class Deck {
+  /**
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.decks=1] - Number of 52-card decks in the shoe
+   * @param {number} [options.jokers=0] - Jokers added per deck
+   * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+   * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+   * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+   * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+   */
+  constructor(options = {}) {
+    const { decks = 1, jokers = 0 } = options;
+    if (!Number.isInteger(decks) || decks < 1) {
+      throw new Error('Deck requires a positive integer number of decks');
+    }
+    if (!Number.isInteger(jokers) || jokers < 0) {
+      throw new Error('Deck requires a non-negative integer number of jokers');
+    }
+    this.decks = decks;
+    this.jokers = jokers;
+    this._engine = _samplerEngine(options);
+    this.reset();
+  }
+
+  /**
+   * Put every card back in standard order and clear the burn pile.
+   * @returns {Deck} this
+   */
+  reset() {
+    const cards = [];
+    for (let d = 0; d < this.decks; d++) {
+      for (let s = 0; s < SUITS.length; s++) {
+        for (let r = 0; r < RANKS.length; r++) {
+          cards.push(_makeCard(r, s));
+        }
+      }
+      for (let j = 0; j < this.jokers; j++) cards.push(JOKER);
+    }
+    this._cards = cards;
+    this.burned = [];
+    return this;
+  }
+
+  /**
+   * Cards left to deal, top card first.
+   * @returns {Object[]}
+   */
+  get cards() {
+    return [...this._cards];
+  }
+
+  /**
+   * Number of cards left.
+   * @returns {number}
+   */
+  get remaining() {
+    return this._cards.length;
+  }
+
+  /**
+   * Shuffle the remaining cards.
+   * @returns {Deck} this
+   */
+  shuffle() {
+    shuffleInPlace(this._cards, { engine: this._engine });
+    return this;
+  }
+
+  /**
+   * Take cards off the top.
+   * @param {number} n
+   * @returns {Object[]}
+   */
+  _take(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error('Card count must be a non-negative integer');
+    }
+    if (n > this._cards.length) {
+      throw new Error(`Not enough cards: requested ${n}, ${this._cards.length} remaining`);
+    }
+    return this._cards.splice(0, n);
+  }
+
+  /**
+   * Draw the top card.
+   * @returns {Object} { rank, suit, code, name }
+   */
+  draw() {
+    return this._take(1)[0];
+  }
+
+  /**
+   * Draw `n` cards from the top.
+   * @param {number} n
+   * @returns {Object[]}
+   */
+  deal(n) {
+    return this._take(n);
+  }
+
+  /**
+   * Deal `cardsEach` cards to each of `hands` hands, one card at a time
+   * round the table.
+   * @param {number} hands - Number of hands
+   * @param {number} cardsEach - Cards per hand
+   * @returns {Object[][]}
+   */
+  dealHands(hands, cardsEach) {
+    if (!Number.isInteger(hands) || hands < 1) {
+      throw new Error('dealHands() requires a positive integer number of hands');
+    }
+    const cards = this._take(hands * cardsEach);
+    const result = Array.from({ length: hands }, () => []);
+    cards.forEach((card, i) => result[i % hands].push(card));
+    return result;
+  }
+
+  /**
+   * Move `n` cards from the top to the burn pile.
+   * @param {number} [n=1]
+   * @returns {Deck} this
+   */
+  burn(n = 1) {
+    this.burned.push(...this._take(n));
+    return this;
+  }
+}
+
+/**
+ * Create a deck (or multi-deck shoe) of structured cards.
+ *
+ * @param {Object} [options={}] - Same options as the Deck constructor
+ * @returns {Deck}
+ */
+const createDeck = (options = {}) => new Deck(options);
+
+/**
+ * Rank exactly five cards.
+ * @param {Object[]} cards - Five structured cards
+ * @returns {number[]} [category, ...tiebreak values], values 2-14 (ace high)
+ */
+const _rankFive = (cards) => {
+  const values = cards
+    .map((card) => (card.rank === 'Ace' ? 14 : RANKS.indexOf(card.rank) + 1))
+    .sort((a, b) => b - a);
+  const flush = cards.every((card) => card.suit === cards[0].suit);
+  const unique = [...new Set(values)];
+  let straightHigh = 0;
+  if (unique.length === 5) {
+    if (values[0] - values[4] === 4) straightHigh = values[0];
+    else if (values.join() === '14,5,4,3,2') straightHigh = 5;
+  }
+  if (straightHigh && flush) return [straightHigh === 14 ? 9 : 8, straightHigh];
+
+  // Group by count, then by value, both descending
+  const groups = unique
+    .map((v) => [values.filter((x) => x === v).length, v])
+    .sort((a, b) => b[0] - a[0] || b[1] - a[1]);
+  const counts = groups.map((g) => g[0]).join('');
+  const order = groups.map((g) => g[1]);
+
+  if (counts === '41') return [7, ...order];
+  if (counts === '32') return [6, ...order];
+  if (flush) return [5, ...values];
+  if (straightHigh) return [4, straightHigh];
+  if (counts === '311') return [3, ...order];
+  if (counts === '221') return [2, ...order];
+  if (counts === '2111') return [1, ...order];
+  return [0, ...values];
+};
+
+/**
+ * Compare two rank arrays from _rankFive().
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} negative, zero or positive
+ */
+const _compareRanks = (a, b) => {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Evaluate a poker hand of 5 to 7 cards, choosing the best five.
+ *
+ * @param {Array<Object|string>} cards - Card objects or codes like "AS", "TD"
+ * @returns {Object} { category, name, cards, ranks } where category is
+ *   0 (High Card) to 9 (Royal Flush) and ranks is the tiebreak array
+ */
+const evaluateHand = (cards) => {
+  if (!Array.isArray(cards) || cards.length < 5 || cards.length > 7) {
+    throw new Error('evaluateHand() requires 5 to 7 cards');
+  }
+  const parsed = cards.map(_parseCard);
+  let best = null;
+  const n = parsed.length;
+  for (let a = 0; a < n; a++) {
+    for (let b = a + 1; b < n; b++) {
+      for (let c = b + 1; c < n; c++) {
+        for (let d = c + 1; d < n; d++) {
+          for (let e = d + 1; e < n; e++) {
+            const five = [parsed[a], parsed[b], parsed[c], parsed[d], parsed[e]];
+            const ranks = _rankFive(five);
+            if (!best || _compareRanks(ranks, best.ranks) > 0) {
+              best = { ranks, cards: five };
+            }
+          }
+        }
+      }
+    }
+  }
+  return {
+    category: best.ranks[0],
+    name: HAND_NAMES[best.ranks[0]],
+    cards: best.cards,
+    ranks: best.ranks
+  };
+};
+
+/**
+ * Compare two poker hands of 5 to 7 cards each.
+ *
+ * @param {Array<Object|string>} a
+ * @param {Array<Object|string>} b
+ * @returns {number} 1 if a wins, -1 if b wins, 0 for a tie
+ */
+const compareHands = (a, b) => Math.sign(_compareRanks(evaluateHand(a).ranks, evaluateHand(b).ranks));
+
+// ─── Bingo ───────────────────────────────────────────────────────────────────
+
+/** Marker for the free center square of a 75-ball card. */
+const FREE = 'FREE';
+
+/** Named win patterns for each variant; custom patterns are [row, col] lists. */
+const BINGO_PATTERNS = Object.freeze({
+  75: Object.freeze(['line', 'row', 'column', 'diagonal', 'corners', 'blackout']),
+  90: Object.freeze(['line', 'twoLines', 'fullHouse'])
+});
+
+/**
+ * Check the variant option shared by bingo cards and callers.
+ * @param {number} [variant=75]
+ * @returns {number}
+ */
+const _bingoVariant = (variant = 75) => {
+  if (variant !== 75 && variant !== 90) {
+    throw new Error(`Unknown bingo variant: ${variant}. Use 75 or 90`);
+  }
+  return variant;
+};
+
+/** Numbers from lo to hi inclusive. */
+const _numbersBetween = (lo, hi) => Array.from({ length: hi - lo + 1 }, (_, i) => lo + i);
+
+/**
+ * 90-ball ticket: 3 rows of 9 columns, 5 numbers per row, every column used,
+ * column c holding 1-9, 10-19, ..., 80-90 in ascending order down the column.
+ * @param {Engine} engine
+ * @returns {Array<Array<number|null>>}
+ */
+const _ticket90 = (engine) => {
+  // Every column gets one number, then six more go to columns with room
+  const counts = new Array(9).fill(1);
+  for (let extra = 0; extra < 6; extra++) {
+    const open = counts.map((c, i) => (c < 3 ? i : -1)).filter((i) => i >= 0);
+    counts[open[_nextBelow(engine, open.length)]]++;
+  }
+
+  // Fill the fullest columns first, each into the rows that still need the
+  // most numbers; ties are broken randomly so layouts vary
+  const rows = [[], [], []].map(() => new Array(9).fill(null));
+  const need = [5, 5, 5];
+  const order = _numbersBetween(0, 8).sort((a, b) => counts[b] - counts[a] || a - b);
+  for (const col of order) {
+    const lo = col === 0 ? 1 : col * 10;
+    const hi = col === 8 ? 90 : col * 10 + 9;
+    const keys = [0, 1, 2].map(() => _nextFloat(engine));
+    const chosen = [0, 1, 2]
+      .sort((a, b) => need[b] - need[a] || keys[a] - keys[b])
+      .slice(0, counts[col])
+      .sort((a, b) => a - b);
+    const numbers = sample(_numbersBetween(lo, hi), counts[col], { engine }).sort((a, b) => a - b);
+    chosen.forEach((row, i) => {
+      rows[row][col] = numbers[i];
+      need[row]--;
+    });
+  }
+  return rows;
+};
+
+/**
+ * Generate a deterministic bingo card.
+ *
+ * A 75-ball card has 5 rows of B/I/N/G/O columns (1-15, 16-30, ...,
+ * 61-75) with a FREE center. A 90-ball ticket has 3 rows of 9 columns with
+ * 5 numbers per row and null blanks.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {number} [options.variant=75] - 75 or 90
+ * @param {boolean} [options.freeCenter=true] - 75-ball: make the center FREE
+ * @returns {Object} { variant, rows }
+ */
+const bingoCard = (options = {}) => {
+  const variant = _bingoVariant(options.variant);
+  const engine = _samplerEngine(options);
+  if (variant === 90) return { variant, rows: _ticket90(engine) };
+
+  const columns = BINGO_LETTERS.map((_, c) => sample(_numbersBetween(c * 15 + 1, c * 15 + 15), 5, { engine }));
+  const rows = _numbersBetween(0, 4).map((r) => columns.map((column) => column[r]));
+  if (options.freeCenter !== false) rows[2][2] = FREE;
+  return { variant, rows };
+};
+
+/**
+ * Cells to check for a named or custom pattern, as lists of alternatives:
+ * the card wins if every cell of any one alternative is marked.
+ * @param {Object} card
+ * @param {string|Array<number[]>} pattern
+ * @returns {Array<Array<number[]>>}
+ */
+const _patternCells = (card, pattern) => {
+  if (Array.isArray(pattern)) return [pattern];
+  const size = card.rows.length;
+  const width = card.rows[0].length;
+  const rows = _numbersBetween(0, size - 1).map((r) => (
+    _numbersBetween(0, width - 1).filter((c) => card.rows[r][c] !== null).map((c) => [r, c])
+  ));
+  const all = rows.flat();
+  if (!BINGO_PATTERNS[card.variant].includes(pattern)) {
+    throw new Error(`Unknown bingo pattern for ${card.variant}-ball: "${pattern}"`);
+  }
+  if (card.variant === 90) {
+    if (pattern === 'line') return rows;
+    if (pattern === 'twoLines') return [[...rows[0], ...rows[1]], [...rows[0], ...rows[2]], [...rows[1], ...rows[2]]];
+    return [all];
+  }
+  const columns = _numbersBetween(0, 4).map((c) => _numbersBetween(0, 4).map((r) => [r, c]));
+  const diagonals = [_numbersBetween(0, 4).map((i) => [i, i]), _numbersBetween(0, 4).map((i) => [i, 4 - i])];
+  switch (pattern) {
+    case 'row': return rows;
+    case 'column': return columns;
+    case 'diagonal': return diagonals;
+    case 'corners': return [[[0, 0], [0, 4], [4, 0], [4, 4]]];
+    case 'blackout': return [all];
+    default: return [...rows, ...columns, ...diagonals];
+  }
+};
+
+/**
+ * Check whether a card has a winning pattern.
+ *
+ * @param {Object} card - From bingoCard()
+ * @param {Iterable<number>} called - Numbers called so far
+ * @param {string|Array<number[]>} [pattern='line'] - A name from BINGO_PATTERNS
+ *   for the card's variant, or a custom list of [row, col] cells
+ * @returns {boolean}
+ *
+ * @example
+ * checkBingo(card, caller.called, 'corners');
+ * checkBingo(card, caller.called, [[0, 0], [2, 2], [4, 4]]); // custom
+ */
+const checkBingo = (card, called, pattern = 'line') => {
+  const calledSet = called instanceof Set ? called : new Set(called);
+  const marked = ([r, c]) => {
+    const value = card.rows[r] === undefined ? undefined : card.rows[r][c];
+    if (value === undefined) {
+      throw new Error(`Bingo pattern cell [${r}, ${c}] is off the card`);
+    }
+    return value === FREE || calledSet.has(value);
+  };
+  return _patternCells(card, pattern).some((cells) => cells.every(marked));
+};
+
+/**
+ * Calls every number of a 75- or 90-ball game once, in a seeded order.
+ */
+class BingoCaller {
+  /**
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.variant=75] - 75 or 90
+   * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+   * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+   * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+   * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+   */
+  constructor(options = {}) {
+    this.variant = _bingoVariant(options.variant);
+    this._order = shuffle(_numbersBetween(1, this.variant), { engine: _samplerEngine(options) });
+    this._position = 0;
+  }
+
+  /**
+   * Call the next number.
+   * @returns {number|null} The number, or null once every number is called
+   */
+  next() {
+    if (this._position >= this._order.length) return null;
+    return this._order[this._position++];
+  }
+
+  /**
+   * Numbers called so far, in call order.
+   * @returns {number[]}
+   */
+  get called() {
+    return this._order.slice(0, this._position);
+  }
+
+  /**
+   * Number of calls left.
+   * @returns {number}
+   */
+  get remaining() {
+    return this._order.length - this._position;
+  }
+
+  /**
+   * Caller's name for a number: "B-14" in 75-ball, "14" in 90-ball.
+   * @param {number} number
+   * @returns {string}
+   */
+  label(number) {
+    if (this.variant === 90) return String(number);
+    return `${BINGO_LETTERS[Math.floor((number - 1) / 15)]}-${number}`;
+  }
+
+  /**
+   * Start the same game over from the first call.
+   * @returns {BingoCaller} this
+   */
+  reset() {
+    this._position = 0;
+    return this;
+  }
+
+  /**
+   * Indexes of the cards that currently have the pattern.
+   * @param {Object[]} cards
+   * @param {string|Array<number[]>} [pattern='line']
+   * @returns {number[]}
+   */
+  winners(cards, pattern = 'line') {
+    const called = new Set(this.called);
+    return cards.map((card, i) => (checkBingo(card, called, pattern) ? i : -1)).filter((i) => i >= 0);
+  }
+
+  /**
+   * Keep calling until at least one card has the pattern.
+   * @param {Object[]} cards
+   * @param {string|Array<number[]>} [pattern='line']
+   * @returns {Object} { winners, calls } - Winning card indexes and how many numbers were called
+   */
+  play(cards, pattern = 'line') {
+    let winners = this.winners(cards, pattern);
+    while (winners.length === 0 && this.next() !== null) {
+      winners = this.winners(cards, pattern);
+    }
+    return { winners, calls: this._position };
+  }
+}
+
+/**
+ * Create a bingo caller.
+ *
+ * @param {Object} [options={}] - Same options as the BingoCaller constructor
+ * @returns {BingoCaller}
+ */
+const createBingoCaller = (options = {}) => new BingoCaller(options);
+
+// ─── Tarot ───────────────────────────────────────────────────────────────────
+
+const TAROT_SUITS = Object.freeze(['Wands', 'Cups', 'Swords', 'Pentacles']);
+const TAROT_RANKS = Object.freeze([
+  'Ace', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Page', 'Knight', 'Queen', 'King'
+]);
+
+/**
+ * The 78-card deck: the Major Arcana numbered 0 (The Fool) to 21 (The World),
+ * then the 14 ranks of each Minor Arcana suit numbered 1 (Ace) to 14 (King).
+ */
+const TAROT_DECK = Object.freeze([
+  ...['The Fool', ...MAJOR_ARCANA.slice(0, 21)].map((name, number) => Object.freeze({
+    name, arcana: 'major', suit: null, rank: null, number
+  })),
+  ...TAROT_SUITS.flatMap((suit) => TAROT_RANKS.map((rank, i) => Object.freeze({
+    name: `${rank} of ${suit}`, arcana: 'minor', suit, rank, number: i + 1
+  })))
+]);
+
+/** Named spreads: the positions dealt, in order, with what each one reads. */
+const TAROT_SPREADS = Object.freeze({
+  single: Object.freeze([
+    Object.freeze({ position: 'Focus', meaning: 'The heart of the question' })
+  ]),
+  threeCard: Object.freeze([
+    Object.freeze({ position: 'Past', meaning: 'Influences from the past' }),
+    Object.freeze({ position: 'Present', meaning: 'The situation as it stands' }),
+    Object.freeze({ position: 'Future', meaning: 'Where things are heading' })
+  ]),
+  celticCross: Object.freeze([
+    Object.freeze({ position: 'Present', meaning: 'The heart of the matter' }),
+    Object.freeze({ position: 'Challenge', meaning: 'What crosses you' }),
+    Object.freeze({ position: 'Foundation', meaning: 'The root of the situation' }),
+    Object.freeze({ position: 'Recent Past', meaning: 'What is passing away' }),
+    Object.freeze({ position: 'Crown', meaning: 'The best that can be achieved' }),
+    Object.freeze({ position: 'Near Future', meaning: 'What is coming next' }),
+    Object.freeze({ position: 'Self', meaning: 'Your attitude and approach' }),
+    Object.freeze({ position: 'Environment', meaning: 'Outside influences and other people' }),
+    Object.freeze({ position: 'Hopes and Fears', meaning: 'What you hope for or dread' }),
+    Object.freeze({ position: 'Outcome', meaning: 'The likely result' })
+  ])
+});
+
+/**
+ * Resolve a spread name or a custom list of positions.
+ * @param {string|Array<string|Object>} spread
+ * @returns {Object[]} [{ position, meaning }]
+ */
+const _spreadPositions = (spread) => {
+  if (!Array.isArray(spread)) {
+    if (!Object.prototype.hasOwnProperty.call(TAROT_SPREADS, spread)) {
+      throw new Error(`Unknown tarot spread: "${spread}"`);
+    }
+    return TAROT_SPREADS[spread];
+  }
+  if (spread.length === 0) {
+    throw new Error('A tarot spread needs at least one position');
+  }
+  return spread.map((entry) => {
+    const { position, meaning = null } = typeof entry === 'string' ? { position: entry } : entry;
+    if (typeof position !== 'string' || position === '') {
+      throw new Error('Tarot spread positions must be non-empty strings or { position, meaning } objects');
+    }
+    return { position, meaning };
+  });
+};
+
+/**
+ * Draw distinct cards with orientations.
+ * @param {Engine} engine
+ * @param {number} count
+ * @param {Object} options - { deck, reversals }
+ * @returns {Object[]}
+ */
+const _drawTarot = (engine, count, options) => {
+  const deckName = options.deck === undefined ? 'full' : options.deck;
+  if (deckName !== 'full' && deckName !== 'major') {
+    throw new Error(`Unknown tarot deck: "${deckName}". Use "full" or "major"`);
+  }
+  const deck = deckName === 'major' ? TAROT_DECK.slice(0, 22) : TAROT_DECK;
+  if (count > deck.length) {
+    throw new Error(`A tarot spread can have at most ${deck.length} positions with the ${deckName} deck`);
+  }
+  return sample(deck, count, { engine }).map((card) => ({
+    ...card,
+    reversed: options.reversals !== false && _nextBelow(engine, 2) === 1
+  }));
+};
+
+/**
+ * Draw a deterministic tarot card from the full 78-card deck.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.deck='full'] - 'full' or 'major' (Major Arcana only)
+ * @param {boolean} [options.reversals=true] - Allow reversed cards
+ * @returns {Object} { name, arcana, suit, rank, number, reversed }
+ */
+const tarotCard = (options = {}) => _drawTarot(_samplerEngine(options), 1, options)[0];
+
+/**
+ * Lay out a tarot spread, drawing every card from one shuffled deck so no card
+ * appears twice.
+ *
+ * @param {string|Array<string|Object>} [spread='threeCard'] - A name from
+ *   TAROT_SPREADS, or custom positions as names or { position, meaning } objects
+ * @param {Object} [options={}] - Same options as tarotCard()
+ * @returns {Object} { spread, cards } - cards are { position, meaning, card }
+ *
+ * @example
+ * tarotSpread('celticCross', { seed: 'question' });
+ * tarotSpread(['Situation', 'Action', 'Outcome']);
+ */
+const tarotSpread = (spread = 'threeCard', options = {}) => {
+  const positions = _spreadPositions(spread);
+  const drawn = _drawTarot(_samplerEngine(options), positions.length, options);
+  return {
+    spread: Array.isArray(spread) ? 'custom' : spread,
+    cards: positions.map(({ position, meaning }, i) => ({ position, meaning, card: drawn[i] }))
+  };
+};
+
+// ─── Dates and Times ─────────────────────────────────────────────────────────
+
+const DAY_MS = 86400000;
+
+/** Day names in ISO order: weekday() numbers Monday as 1 and Sunday as 7. */
+const WEEKDAYS = Object.freeze(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']);
+
+/** Values of the `days` option: every day, Monday to Friday, or Saturday and Sunday. */
+const DAY_FILTERS = Object.freeze(['all', 'business', 'weekend']);
+
+/** Ranges used when `from` / `to` are not given. */
+const DEFAULT_DATE_RANGE = Object.freeze(['2000-01-01', '2049-12-31']);
+const DEFAULT_TIMESTAMP_RANGE = Object.freeze(['2000-01-01T00:00:00.000Z', '2049-12-31T23:59:59.999Z']);
+
+/** Draws made before a `days` filter falls back to listing the matching days. */
+const MAX_DATE_ATTEMPTS = 1000;
+
+const _pad = (n, width = 2) => String(n).padStart(width, '0');
+
+/** Format a UTC timestamp as YYYY-MM-DD. */
+const _isoDate = (time) => {
+  const d = new Date(time);
+  return `${_pad(d.getUTCFullYear(), 4)}-${_pad(d.getUTCMonth() + 1)}-${_pad(d.getUTCDate())}`;
+};
+
+const _zoneFormatters = new Map();
+
+/**
+ * Cached Intl formatter for a time zone; throws for unknown zones.
+ * @param {string} timeZone - IANA name such as 'Europe/Paris', or 'UTC'
+ * @returns {Intl.DateTimeFormat}
+ */
+const _zoneFormatter = (timeZone) => {
+  let formatter = _zoneFormatters.get(timeZone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch {
+      throw new Error(`Invalid time zone: "${timeZone}"`);
+    }
+    _zoneFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+};
+
+/** Resolve and check the timeZone option (default: 'UTC'). */
+const _timeZone = (options) => {
+  const timeZone = options.timeZone === undefined ? 'UTC' : options.timeZone;
+  _zoneFormatter(timeZone);
+  return timeZone;
+};
+
+/**
+ * Wall-clock time of an instant in a time zone, expressed as a UTC
+ * timestamp (so new Date(result).getUTCHours() is the local hour).
+ * @param {number} time
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const _wallClock = (time, timeZone) => {
+  const parts = {};
+  for (const { type, value } of _zoneFormatter(timeZone).formatToParts(time)) parts[type] = Number(value);
+  const ms = ((time % 1000) + 1000) % 1000;
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, ms);
+};
+
+/**
+ * Instant at which a time zone's clocks show a wall-clock time. Times
+ * skipped by a daylight-saving jump come out shifted by the jump.
+ * @param {number} wall - Wall-clock time as a UTC timestamp
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const _fromWallClock = (wall, timeZone) => {
+  const guess = wall - (_wallClock(wall, timeZone) - wall);
+  return wall - (_wallClock(guess, timeZone) - guess);
+};
+
+/**
+ * Format an instant as ISO 8601 with the time zone's offset ('Z' for UTC).
+ * @param {number} time
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const _isoInstant = (time, timeZone) => {
+  if (timeZone === 'UTC') return new Date(time).toISOString();
+  const wall = _wallClock(time, timeZone);
+  const offset = Math.round((wall - time) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return new Date(wall).toISOString().slice(0, -1) + `${sign}${_pad(Math.floor(abs / 60))}:${_pad(abs % 60)}`;
+};
+
+/**
+ * Read a calendar date from a YYYY-MM-DD string or a Date (in the time zone).
+ * @param {string|Date} value
+ * @param {string} [timeZone='UTC']
+ * @returns {Object} { year, month, day, time } - time is UTC midnight of the date
+ */
+const _calendarDate = (value, timeZone = 'UTC') => {
+  let time = NaN;
+  if (value instanceof Date) {
+    time = value.getTime();
+    if (!Number.isNaN(time)) time = _wallClock(time, timeZone);
+  } else if (typeof value === 'string') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (match) {
+      time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      if (_isoDate(time) !== value) time = NaN;
+    }
+  }
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: "${value}". Use a Date or a YYYY-MM-DD string`);
+  }
+  const d = new Date(time);
+  time = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), time };
+};
+
+/**
+ * Read an instant from a Date, an ISO 8601 string or a millisecond timestamp.
+ * @param {Date|string|number} value
+ * @returns {number}
+ */
+const _instant = (value) => {
+  let time = NaN;
+  if (value instanceof Date) time = value.getTime();
+  else if (typeof value === 'string') time = Date.parse(value);
+  else if (Number.isInteger(value)) time = value;
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid timestamp: "${value}". Use a Date, an ISO 8601 string or milliseconds`);
+  }
+  return time;
+};
+
+/**
+ * Check a format option against the formats a function supports.
+ * @param {string|undefined} format
+ * @param {string[]} formats - Supported formats, default first
+ * @returns {string}
+ */
+const _temporalFormat = (format, formats) => {
+  if (format === undefined) return formats[0];
+  if (!formats.includes(format)) {
+    throw new Error(`Unknown format: "${format}". Use ${formats.join(', ')}`);
+  }
+  return format;
+};
+
+/**
+ * Build the `days` / `holidays` filter for calendar dates. Holidays given
+ * as Dates are read in the timeZone option, like the dates they are
+ * compared with.
+ * @param {Object} options
+ * @returns {function(number): boolean} Takes UTC midnight of a date
+ */
+const _dayFilter = (options) => {
+  const days = options.days === undefined ? 'all' : options.days;
+  if (!DAY_FILTERS.includes(days)) {
+    throw new Error(`Unknown days filter: "${days}". Use ${DAY_FILTERS.join(', ')}`);
+  }
+  if (options.holidays !== undefined && !Array.isArray(options.holidays)) {
+    throw new Error('holidays must be an array of dates');
+  }
+  const timeZone = _timeZone(options);
+  const holidays = new Set((options.holidays || []).map((value) => _calendarDate(value, timeZone).time));
+  return (day) => {
+    const weekday = new Date(day).getUTCDay();
+    const weekend = weekday === 0 || weekday === 6;
+    if (days === 'weekend') return weekend;
+    if (days === 'business') return !weekend && !holidays.has(day);
+    return true;
+  };
+};
+
+/**
+ * Draw until a value passes the day filter. A sparse filter can outlast
+ * MAX_DATE_ATTEMPTS, so the search then falls back to `pickListed`, which
+ * picks among every match in the range and returns undefined when there is none.
+ * @param {function(): number} draw
+ * @param {function(number): boolean} matches
+ * @param {function(): (number|undefined)} pickListed
+ * @param {Object} options - For the error message
+ * @returns {number}
+ */
+const _drawMatching = (draw, matches, pickListed, options) => {
+  for (let attempt = 0; attempt < MAX_DATE_ATTEMPTS; attempt++) {
+    const value = draw();
+    if (matches(value)) return value;
+  }
+  const value = pickListed();
+  if (value === undefined) {
+    throw new Error(`No ${options.days} days found between the from and to dates`);
+  }
+  return value;
+};
+
+/**
+ * Generate a deterministic calendar date between two dates (inclusive).
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string|Date} [options.from='2000-01-01'] - First date (YYYY-MM-DD or Date)
+ * @param {string|Date} [options.to='2049-12-31'] - Last date
+ * @param {string} [options.days='all'] - 'all', 'business' (Monday to Friday) or 'weekend'
+ * @param {Array<string|Date>} [options.holidays] - Dates excluded from business days
+ * @param {string} [options.timeZone='UTC'] - Zone for Date inputs and Date output
+ * @param {string} [options.format='iso'] - 'iso' (YYYY-MM-DD) or 'date' (a Date at
+ *   local midnight in the time zone)
+ * @returns {string|Date}
+ *
+ * @example
+ * date({ from: '2024-01-01', to: '2024-12-31', days: 'business' });
+ * date({ format: 'date', timeZone: 'America/New_York' });
+ */
+const date = (options = {}) => {
+  const timeZone = _timeZone(options);
+  const format = _temporalFormat(options.format, ['iso', 'date']);
+  const from = _calendarDate(options.from === undefined ? DEFAULT_DATE_RANGE[0] : options.from, timeZone);
+  const to = _calendarDate(options.to === undefined ? DEFAULT_DATE_RANGE[1] : options.to, timeZone);
+  if (from.time > to.time) {
+    throw new Error('date() requires from <= to');
+  }
+  const engine = _samplerEngine(options);
+  const span = (to.time - from.time) / DAY_MS + 1;
+  const matches = _dayFilter(options);
+  const day = _drawMatching(() => from.time + _nextBelow(engine, span) * DAY_MS, matches, () => {
+    const days = [];
+    for (let time = from.time; time <= to.time; time += DAY_MS) {
+      if (matches(time)) days.push(time);
+    }
+    return days.length ? days[_nextBelow(engine, days.length)] : undefined;
+  }, options);
+  return format === 'iso' ? _isoDate(day) : new Date(_fromWallClock(day, timeZone));
+};
+
+/**
+ * Generate a deterministic instant between two instants (inclusive), at
+ * millisecond precision.
+ *
+ * @param {Object} [options={}] - Same seed options as date(), plus:
+ * @param {Date|string|number} [options.from='2000-01-01T00:00:00.000Z'] - Earliest instant
+ * @param {Date|string|number} [options.to='2049-12-31T23:59:59.999Z'] - Latest instant
+ * @param {string} [options.days='all'] - Day filter, applied to the local date
+ * @param {Array<string|Date>} [options.holidays] - Dates excluded from business days
+ * @param {string} [options.timeZone='UTC'] - Zone for the ISO offset and day filter
+ * @param {string} [options.format='iso'] - 'iso', 'date' (a Date) or 'ms'
+ * @returns {string|Date|number}
+ *
+ * @example
+ * timestamp({ timeZone: 'Asia/Tokyo' }); // "2031-06-04T15:12:09.331+09:00"
+ */
+const timestamp = (options = {}) => {
+  const timeZone = _timeZone(options);
+  const format = _temporalFormat(options.format, ['iso', 'date', 'ms']);
+  const from = _instant(options.from === undefined ? DEFAULT_TIMESTAMP_RANGE[0] : options.from);
+  const to = _instant(options.to === undefined ? DEFAULT_TIMESTAMP_RANGE[1] : options.to);
+  if (from > to) {
+    throw new Error('timestamp() requires from <= to');
+  }
+  const engine = _samplerEngine(options);
+  const matches = _dayFilter(options);
+  const time = _drawMatching(
+    () => from + _nextBelow(engine, to - from + 1),
+    (t) => matches(_calendarDate(new Date(t), timeZone).time),
+    () => {
+      // The part of [from, to] on each matching local day, weighted by length
+      const parts = [];
+      let total = 0;
+      const last = _calendarDate(new Date(to), timeZone).time;
+      for (let day = _calendarDate(new Date(from), timeZone).time; day <= last; day += DAY_MS) {
+        if (!matches(day)) continue;
+        const start = Math.max(from, _fromWallClock(day, timeZone));
+        const end = Math.min(to, _fromWallClock(day + DAY_MS, timeZone) - 1);
+        if (start > end) continue;
+        parts.push([start, end]);
+        total += end - start + 1;
+      }
+      if (total === 0) return undefined;
+      let offset = _nextBelow(engine, total);
+      for (const [start, end] of parts) {
+        if (offset <= end - start) return start + offset;
+        offset -= end - start + 1;
+      }
+    },
+    options
+  );
+  if (format === 'ms') return time;
+  return format === 'date' ? new Date(time) : _isoInstant(time, timeZone);
+};
+
+/**
+ * Seconds since midnight for an HH:MM or HH:MM:SS string.
+ * @param {string} value
+ * @returns {number}
+ */
+const _secondsOfDay = (value) => {
+  const match = typeof value === 'string' && /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+    throw new Error(`Invalid time: "${value}". Use HH:MM or HH:MM:SS`);
+  }
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+};
+
+/**
+ * Generate a deterministic time of day, to the second.
+ *
+ * @param {Object} [options={}] - Same seed options as date(), plus:
+ * @param {string} [options.from='00:00:00'] - Earliest time (HH:MM or HH:MM:SS)
+ * @param {string} [options.to='23:59:59'] - Latest time
+ * @param {string} [options.format='iso'] - 'iso' (HH:MM:SS) or 'seconds' since midnight
+ * @returns {string|number}
+ *
+ * @example
+ * time({ from: '09:00', to: '17:30' }); // office hours
+ */
+const time = (options = {}) => {
+  const format = _temporalFormat(options.format, ['iso', 'seconds']);
+  const from = _secondsOfDay(options.from === undefined ? '00:00:00' : options.from);
+  const to = _secondsOfDay(options.to === undefined ? '23:59:59' : options.to);
+  if (from > to) {
+    throw new Error('time() requires from <= to');
+  }
+  const seconds = from + _nextBelow(_samplerEngine(options), to - from + 1);
+  if (format === 'seconds') return seconds;
+  return `${_pad(Math.floor(seconds / 3600))}:${_pad(Math.floor(seconds / 60) % 60)}:${_pad(seconds % 60)}`;
+};
+
+const DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d{1,3})?)S)?)?$/;
+
+/**
+ * Milliseconds in a duration given as a number or an ISO 8601 duration of
+ * weeks, days, hours, minutes and seconds (months and years vary in length).
+ * @param {number|string} value
+ * @returns {number}
+ */
+const _durationMs = (value) => {
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value === 'string' && /^\d+$/.test(value)) return Number(value);
+  const match = typeof value === 'string' && DURATION_PATTERN.exec(value);
+  if (!match || value === 'P' || value.endsWith('T')) {
+    throw new Error(`Invalid duration: "${value}". Use milliseconds or an ISO 8601 duration such as "PT1H30M"`);
+  }
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Math.round(((Number(weeks) * 7 + Number(days)) * 86400 + Number(hours) * 3600 +
+    Number(minutes) * 60 + Number(seconds)) * 1000);
+};
+
+/** Format milliseconds as an ISO 8601 duration, e.g. "P1DT2H3M4.5S". */
+const _isoDuration = (ms) => {
+  const days = Math.floor(ms / DAY_MS);
+  const hours = Math.floor(ms / 3600000) % 24;
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = (ms % 60000) / 1000;
+  const clock = (hours ? `${hours}H` : '') + (minutes ? `${minutes}M` : '') + (seconds ? `${seconds}S` : '');
+  if (!days && !clock) return 'PT0S';
+  return `P${days ? `${days}D` : ''}${clock ? `T${clock}` : ''}`;
+};
+
+/**
+ * Generate a deterministic duration, to the millisecond.
+ *
+ * @param {Object} [options={}] - Same seed options as date(), plus:
+ * @param {number|string} [options.min=0] - Shortest duration, in ms or ISO 8601
+ * @param {number|string} [options.max='P1D'] - Longest duration
+ * @param {string} [options.format='ms'] - 'ms' or 'iso' (e.g. "PT1H2M3.456S")
+ * @returns {number|string}
+ *
+ * @example
+ * duration({ min: 'PT5M', max: 'PT2H', format: 'iso' });
+ */
+const duration = (options = {}) => {
+  const format = _temporalFormat(options.format, ['ms', 'iso']);
+  const min = _durationMs(options.min === undefined ? 0 : options.min);
+  const max = _durationMs(options.max === undefined ? DAY_MS : options.max);
+  if (min > max) {
+    throw new Error('duration() requires min <= max');
+  }
+  const ms = min + _nextBelow(_samplerEngine(options), max - min + 1);
+  return format === 'iso' ? _isoDuration(ms) : ms;
+};
+
+/**
+ * Pick a deterministic day of the week.
+ *
+ * @param {Object} [options={}] - Same seed options as date(), plus:
+ * @param {string} [options.days='all'] - 'all', 'business' or 'weekend'
+ * @param {string} [options.format='name'] - 'name' ("Monday"), 'short' ("Mon")
+ *   or 'number' (ISO: 1 = Monday, 7 = Sunday)
+ * @returns {string|number}
+ */
+const weekday = (options = {}) => {
+  const format = _temporalFormat(options.format, ['name', 'short', 'number']);
+  _dayFilter(options);
+  let first = 1;
+  let count = 7;
+  if (options.days === 'business') count = 5;
+  if (options.days === 'weekend') [first, count] = [6, 2];
+  const number = first + _nextBelow(_samplerEngine(options), count);
+  if (format === 'number') return number;
+  return format === 'short' ? WEEKDAYS[number - 1].slice(0, 3) : WEEKDAYS[number - 1];
+};
+
+/**
+ * Generate a deterministic birth date for someone aged between minAge and
+ * maxAge (inclusive) on the reference date. The reference defaults to today,
+ * so pass `now` for fixtures that must not change from day to day.
+ *
+ * @param {Object} [options={}] - Same options as date(), plus:
+ * @param {number} [options.minAge=18] - Youngest age in whole years
+ * @param {number} [options.maxAge=80] - Oldest age in whole years
+ * @param {number|Date|function(): (number|Date)} [options.now] - Reference
+ *   instant (default: Date.now)
+ * @returns {string|Date}
+ *
+ * @example
+ * birthdate({ minAge: 21, maxAge: 30, now: Date.UTC(2025, 0, 1) });
+ */
+const birthdate = (options = {}) => {
+  const minAge = options.minAge === undefined ? 18 : options.minAge;
+  const maxAge = options.maxAge === undefined ? 80 : options.maxAge;
+  if (!Number.isInteger(minAge) || !Number.isInteger(maxAge) || minAge < 0 || minAge > maxAge) {
+    throw new Error('birthdate() requires integer ages with 0 <= minAge <= maxAge');
+  }
+  const today = _calendarDate(new Date(_clock(options)), _timeZone(options));
+  // Same month and day, years earlier; 29 February becomes the 28th in common years
+  const yearsBefore = (years) => {
+    const year = today.year - years;
+    return Date.UTC(year, today.month - 1, Math.min(today.day, new Date(Date.UTC(year, today.month, 0)).getUTCDate()));
+  };
+  return date({
+    ...options,
+    from: _isoDate(yearsBefore(maxAge + 1) + DAY_MS),
+    to: _isoDate(yearsBefore(minAge))
+  });
+};
+
+// ─── Zodiac ──────────────────────────────────────────────────────────────────
+
+const CHINESE_ANIMALS = Object.freeze([
+  'Rat', 'Ox', 'Tiger', 'Rabbit', 'Dragon', 'Snake',
+  'Horse', 'Goat', 'Monkey', 'Rooster', 'Dog', 'Pig'
+]);
+
+const CHINESE_ELEMENTS = Object.freeze(['Wood', 'Fire', 'Earth', 'Metal', 'Water']);
+
+/**
+ * Lunar New Year for 1900-2101 as month * 100 + day, in China Standard Time.
+ */
+const LUNAR_NEW_YEAR = Object.freeze([
+  131, 219, 208, 129, 216, 204, 125, 213, 202, 122, // 1900-1909
+  210, 130, 218, 206, 126, 214, 203, 123, 211, 201, // 1910-1919
+  220, 208, 128, 216, 205, 124, 213, 202, 123, 210, // 1920-1929
+  130, 217, 206, 126, 214, 204, 124, 211, 131, 219, // 1930-1939
+  208, 127, 215, 205, 125, 213, 202, 122, 210, 129, // 1940-1949
+  217, 206, 127, 214, 204, 124, 212, 131, 218, 208, // 1950-1959
+  128, 215, 205, 125, 213, 202, 121, 209, 130, 217, // 1960-1969
+  206, 127, 215, 203, 123, 211, 131, 218, 207, 128, // 1970-1979
+  216, 205, 125, 213, 202, 220, 209, 129, 217, 206, // 1980-1989
+  127, 215, 204, 123, 210, 131, 219, 207, 128, 216, // 1990-1999
+  205, 124, 212, 201, 122, 209, 129, 218, 207, 126, // 2000-2009
+  214, 203, 123, 210, 131, 219, 208, 128, 216, 205, // 2010-2019
+  125, 212, 201, 122, 210, 129, 217, 207, 126, 213, // 2020-2029
+  202, 123, 211, 131, 219, 208, 128, 215, 204, 124, // 2030-2039
+  212, 201, 122, 210, 130, 217, 206, 126, 214, 202, // 2040-2049
+  123, 211, 201, 219, 208, 128, 215, 204, 124, 212, // 2050-2059
+  202, 121, 209, 129, 217, 205, 126, 214, 203, 123, // 2060-2069
+  211, 131, 219, 207, 127, 215, 205, 124, 212, 202, // 2070-2079
+  122, 209, 129, 217, 206, 126, 214, 203, 124, 210, // 2080-2089
+  130, 218, 207, 127, 215, 205, 125, 212, 201, 121, // 2090-2099
+  209, 129 // 2100-2101
+]);
+
+const FIRST_LUNAR_YEAR = 1900;
+const LAST_LUNAR_YEAR = FIRST_LUNAR_YEAR + LUNAR_NEW_YEAR.length - 2;
+
+/** Years drawn from in random-date mode. */
+const DEFAULT_ZODIAC_YEARS = Object.freeze([1901, 2100]);
+
+/**
+ * Draw a date uniformly from whole years.
+ * @param {Object} options - { years, seed, hash, algorithm, engine }
+ * @returns {Object} As _calendarDate()
+ */
+const _randomDate = (options) => {
+  const [first, last] = options.years === undefined ? DEFAULT_ZODIAC_YEARS : options.years;
+  if (!Number.isInteger(first) || !Number.isInteger(last) || first > last) {
+    throw new Error('years must be a [first, last] pair of integers');
+  }
+  const start = Date.UTC(first, 0, 1);
+  const days = (Date.UTC(last + 1, 0, 1) - start) / DAY_MS;
+  return _calendarDate(new Date(start + _nextBelow(_samplerEngine(options), days) * DAY_MS));
+};
+
+/** Resolve the date option: a date, 'random', or undefined. */
+const _zodiacDate = (options) => (
+  options.date === undefined || options.date === 'random'
+    ? _randomDate(options)
+    : _calendarDate(options.date)
+);
+
+/** Index into ZODIAC_SIGNS for a month and day. */
+const _signIndex = (month, day) => {
+  const i = (month + 9) % 12; // the sign that starts in this month
+  return day >= ZODIAC_SIGNS[i].startDay ? i : (i + 11) % 12;
 };
 
 /**
- * Generate a deterministic hex color.
+ * Determine your deterministic zodiac sign.
+ *
+ * Without a date this is the classic seeded sign name. With `date`, it is the
+ * Western sign for that birth date; `date: 'random'` draws the date from the
+ * seed. Dates within `cuspDays` of a boundary name the neighbouring sign as
+ * `cusp`, since the boundaries move by a day from year to year.
  *
  * @param {Object} [options={}] - Options
- * @param {number|string} [options.seed] - Custom seed (default: 814)
- * @returns {string} e.g. "#a81414"
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string|Date} [options.date] - YYYY-MM-DD, a Date (read in UTC) or 'random'
+ * @param {number[]} [options.years=[1901, 2100]] - Range for random dates
+ * @param {number} [options.cuspDays=2] - Days either side of a boundary counted as a cusp
+ * @returns {string|Object} e.g. "Gemini", or with a date
+ *   { name, element, modality, start, end, cusp, date }
+ *
+ * @example
+ * zodiac({ date: '1990-05-20' });
+ * // { name: 'Taurus', element: 'Earth', modality: 'Fixed', start: { month: 4, day: 20 },
+ * //   end: { month: 5, day: 20 }, cusp: 'Gemini', date: '1990-05-20' }
  */
-const color = (options = {}) => {
-  const seed = _normalizeSeed(options.seed);
-  const prefix = (_firstDigit(seed) + 2).toString(16);
-  const fill = String(_fillDigits(seed, 5));
-  return '#' + prefix + fill;
+const zodiac = (options = {}) => {
+  if (options.date === undefined) {
+    const engine = _engineFor(options);
+    if (engine) return ZODIAC_SIGNS[_nextBelow(engine, 12)].name;
+    const seed = _normalizeSeed(options.seed, options.hash);
+    const signIndex = _lastN(seed, 2) % 12;
+    return ZODIAC_SIGNS[signIndex].name;
+  }
+
+  const cuspDays = options.cuspDays === undefined ? 2 : options.cuspDays;
+  if (!Number.isInteger(cuspDays) || cuspDays < 0) {
+    throw new Error('cuspDays must be a non-negative integer');
+  }
+  const birth = _zodiacDate(options);
+  const index = _signIndex(birth.month, birth.day);
+  const sign = ZODIAC_SIGNS[index];
+  const next = ZODIAC_SIGNS[(index + 1) % 12];
+  const end = new Date(Date.UTC(2001, next.month - 1, next.startDay) - DAY_MS);
+
+  // Distance to the sign's first day and to the next sign's first day
+  const startYear = birth.month < sign.month ? birth.year - 1 : birth.year;
+  const intoSign = (birth.time - Date.UTC(startYear, sign.month - 1, sign.startDay)) / DAY_MS;
+  const nextYear = next.month < birth.month ? birth.year + 1 : birth.year;
+  const toNext = (Date.UTC(nextYear, next.month - 1, next.startDay) - birth.time) / DAY_MS;
+  let cusp = null;
+  if (intoSign < cuspDays) cusp = ZODIAC_SIGNS[(index + 11) % 12].name;
+  else if (toNext <= cuspDays) cusp = next.name;
+
+  return {
+    name: sign.name,
+    element: sign.element,
+    modality: sign.modality,
+    start: { month: sign.month, day: sign.startDay },
+    end: { month: end.getUTCMonth() + 1, day: end.getUTCDate() },
+    cusp,
+    date: _isoDate(birth.time)
+  };
+};
+
+/** Gregorian timestamp of Lunar New Year in a table year. */
+const _lunarNewYear = (year) => {
+  const md = LUNAR_NEW_YEAR[year - FIRST_LUNAR_YEAR];
+  return Date.UTC(year, Math.floor(md / 100) - 1, md % 100);
+};
+
+/**
+ * Chinese zodiac sign for a birth date, using Lunar New Year boundaries from
+ * a bundled table (1900-2101), so January and early February births belong to
+ * the previous lunar year.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string|Date} [options.date] - YYYY-MM-DD or a Date (read in UTC);
+ *   without one, a date is drawn from the seed
+ * @param {number} [options.year] - A lunar year instead of a date
+ * @param {number[]} [options.years=[1901, 2100]] - Range for random dates
+ * @returns {Object} { animal, element, yinYang, year, start, end, date }
+ *
+ * @example
+ * chineseZodiac({ date: '2024-02-09' }); // Rabbit, Water: still lunar year 2023
+ * chineseZodiac({ year: 2024 });         // { animal: 'Dragon', element: 'Wood', ... }
+ */
+const chineseZodiac = (options = {}) => {
+  let year;
+  let birth = null;
+  if (options.year !== undefined) {
+    year = options.year;
+    if (!Number.isInteger(year) || year < FIRST_LUNAR_YEAR || year > LAST_LUNAR_YEAR) {
+      throw new Error(`chineseZodiac() supports years ${FIRST_LUNAR_YEAR} to ${LAST_LUNAR_YEAR}`);
+    }
+  } else {
+    const { time: day } = _zodiacDate(options);
+    year = new Date(day).getUTCFullYear();
+    const known = year >= FIRST_LUNAR_YEAR && year <= LAST_LUNAR_YEAR + 1;
+    if (known && day < _lunarNewYear(year)) year--;
+    if (year < FIRST_LUNAR_YEAR || year > LAST_LUNAR_YEAR) {
+      throw new Error(`chineseZodiac() supports dates from ${_isoDate(_lunarNewYear(FIRST_LUNAR_YEAR))} ` +
+        `to ${_isoDate(_lunarNewYear(LAST_LUNAR_YEAR + 1) - DAY_MS)}`);
+    }
+    birth = _isoDate(day);
+  }
+
+  const cycle = year - 4; // 4 CE began a sexagenary cycle with a Yang Wood Rat
+  return {
+    animal: CHINESE_ANIMALS[cycle % 12],
+    element: CHINESE_ELEMENTS[Math.floor((cycle % 10) / 2)],
+    yinYang: cycle % 2 === 0 ? 'Yang' : 'Yin',
+    year,
+    start: _isoDate(_lunarNewYear(year)),
+    end: _isoDate(_lunarNewYear(year + 1) - DAY_MS),
+    date: birth
+  };
+};
+
+// ─── Response Sets ───────────────────────────────────────────────────────────
+
+/** Functions that draw from response sets. */
+const RESPONSE_KINDS = Object.freeze(['magic8', 'fortune']);
+
+/** Collection and locale used when none is given. */
+const DEFAULT_COLLECTION = 'classic';
+const DEFAULT_LOCALE = 'en';
+
+/** Registered sets: kind -> "collection/locale" -> frozen responses. */
+const RESPONSE_SETS = new Map(RESPONSE_KINDS.map((kind) => [kind, new Map()]));
+
+/** Sentiment of each classic 8-ball answer: 10 positive, 5 neutral, 5 negative. */
+const _magic8Sentiment = (i) => (i < 10 ? 'positive' : i < 15 ? 'neutral' : 'negative');
+
+const _checkResponseKind = (kind) => {
+  if (!RESPONSE_KINDS.includes(kind)) {
+    throw new Error(`Unknown response kind: "${kind}". Use ${RESPONSE_KINDS.join(' or ')}`);
+  }
+};
+
+/**
+ * Normalize responses to frozen { text, ...metadata } objects.
+ * @param {Array<string|Object>} responses
+ * @returns {Object[]}
+ */
+const _normalizeResponses = (responses) => {
+  if (!Array.isArray(responses) || responses.length === 0) {
+    throw new Error('responses must be a non-empty array');
+  }
+  return Object.freeze(responses.map((response) => {
+    const entry = typeof response === 'string' ? { text: response } : response;
+    if (entry === null || typeof entry !== 'object' || typeof entry.text !== 'string') {
+      throw new Error('Each response must be a string or an object with a text string');
+    }
+    return Object.freeze({ ...entry });
+  }));
+};
+
+/**
+ * Register a named collection of responses for magic8() or fortune(), or a
+ * locale pack for an existing collection. Registering the same collection
+ * and locale again replaces it; the built-in classic English sets cannot be
+ * replaced. Locale packs for the classic collection translate it entry for
+ * entry, so they must have the same length and the same seed gives the same
+ * answer in every language.
+ *
+ * @param {string} kind - 'magic8' or 'fortune'
+ * @param {Array<string|Object>} responses - Strings, or { text, ...metadata }
+ *   objects (e.g. { text, sentiment })
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.collection='classic'] - Collection name
+ * @param {string} [options.locale='en'] - Locale tag, e.g. 'es' or 'pt-BR'
+ * @returns {Object[]} The registered responses
+ *
+ * @example
+ * registerResponses('fortune', ['Ship it.', 'Write the test first.'], { collection: 'team-retro' });
+ * fortune({ collection: 'team-retro' });
+ */
+const registerResponses = (kind, responses, options = {}) => {
+  _checkResponseKind(kind);
+  const collection = options.collection === undefined ? DEFAULT_COLLECTION : options.collection;
+  const locale = options.locale === undefined ? DEFAULT_LOCALE : options.locale;
+  if (typeof collection !== 'string' || collection === '' || typeof locale !== 'string' || locale === '') {
+    throw new Error('collection and locale must be non-empty strings');
+  }
+  const key = `${collection}/${locale}`;
+  const sets = RESPONSE_SETS.get(kind);
+  if (sets.has(key) && collection === DEFAULT_COLLECTION && locale === DEFAULT_LOCALE) {
+    throw new Error(`Cannot replace the built-in ${kind} responses`);
+  }
+  const list = _normalizeResponses(responses);
+  const classic = sets.get(`${DEFAULT_COLLECTION}/${DEFAULT_LOCALE}`);
+  if (classic && collection === DEFAULT_COLLECTION && list.length !== classic.length) {
+    throw new Error(`Locale packs for the classic ${kind} collection need ${classic.length} responses`);
+  }
+  sets.set(key, list);
+  return list;
+};
+
+/**
+ * Look up a registered response set. A locale such as 'es-MX' falls back to
+ * 'es' when there is no exact match.
+ *
+ * @param {string} kind - 'magic8' or 'fortune'
+ * @param {Object} [options={}] - { collection, locale }
+ * @returns {Object[]} Frozen { text, ...metadata } responses
+ */
+const getResponses = (kind, options = {}) => {
+  _checkResponseKind(kind);
+  const collection = options.collection === undefined ? DEFAULT_COLLECTION : options.collection;
+  const locale = options.locale === undefined ? DEFAULT_LOCALE : options.locale;
+  const sets = RESPONSE_SETS.get(kind);
+  const list = sets.get(`${collection}/${locale}`) || sets.get(`${collection}/${String(locale).split('-')[0]}`);
+  if (!list) {
+    throw new Error(`No ${kind} responses for collection "${collection}" and locale "${locale}"`);
+  }
+  return list;
+};
+
+registerResponses('magic8', MAGIC_8_RESPONSES.map((text, i) => ({ text, sentiment: _magic8Sentiment(i) })));
+registerResponses('magic8', MAGIC_8_RESPONSES_ES.map((text, i) => ({ text, sentiment: _magic8Sentiment(i) })), {
+  locale: 'es'
+});
+registerResponses('fortune', FORTUNES);
+
+/**
+ * Pick a response. The classic collections keep their original seed
+ * formulas; every other collection draws an unbiased index from the engine
+ * so collections of any length are covered evenly.
+ * @param {string} kind
+ * @param {Object} options
+ * @param {function(number): number} classicIndex - Legacy index from the seed
+ * @returns {string|Object}
+ */
+const _respond = (kind, options, classicIndex) => {
+  const list = getResponses(kind, options);
+  const classic = options.collection === undefined || options.collection === DEFAULT_COLLECTION;
+  const engine = classic ? _engineFor(options) : _samplerEngine(options);
+  const index = engine
+    ? _nextBelow(engine, list.length)
+    : classicIndex(_normalizeSeed(options.seed, options.hash));
+  return options.details ? list[index] : list[index].text;
+};
+
+/**
+ * Shake the Magic 8-Ball deterministically.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.collection='classic'] - Registered collection
+ * @param {string} [options.locale='en'] - Locale pack ('en' and 'es' are built in)
+ * @param {boolean} [options.details=false] - Return the response object
+ * @returns {string|Object} The answer, or { text, sentiment } with details
+ */
+const magic8 = (options = {}) => _respond('magic8', options, (seed) => seed % 20);
+
+/**
+ * Receive a deterministic fortune.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {Engine} [options.engine] - Engine to draw from instead of the seed
+ * @param {string} [options.collection='classic'] - Registered collection
+ * @param {string} [options.locale='en'] - Locale pack
+ * @param {boolean} [options.details=false] - Return the response object
+ * @returns {string|Object} The fortune, or { text, ...metadata } with details
+ */
+const fortune = (options = {}) => _respond('fortune', options, (seed) => _digitSum(seed) % 20);
+
+// ─── Generator ───────────────────────────────────────────────────────────────
+
+/**
+ * Version of the snapshot format produced by Pdrng#getState().
+ * Bump whenever a change would make restored streams diverge.
+ */
+const STATE_VERSION = 1;
+
+/**
+ * Validate a snapshot from Pdrng#getState() and rebuild its engine.
+ * @param {Object} snapshot
+ * @returns {Engine} Restored engine
+ */
+const _restoreEngine = (snapshot) => {
+  if (snapshot === null || typeof snapshot !== 'object') {
+    throw new Error('Invalid state: expected a snapshot object');
+  }
+  const { version, algorithm, seed, position, state } = snapshot;
+  if (version !== STATE_VERSION) {
+    throw new Error(`Unsupported state version: ${version} (expected ${STATE_VERSION})`);
+  }
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown algorithm: "${algorithm}"`);
+  }
+  if (typeof seed !== 'number' || _normalizeSeed(seed) !== seed) {
+    throw new Error('Invalid state: seed must be a normalized seed');
+  }
+  if (!Number.isSafeInteger(position) || position < 0) {
+    throw new Error('Invalid state: position must be a non-negative integer');
+  }
+  const engine = createEngine(algorithm, seed);
+  const size = engine.getState().length;
+  const valid = Array.isArray(state) && state.length === size &&
+    state.every((w) => Number.isInteger(w) && w >= 0 && w <= 0xffffffff);
+  if (!valid) {
+    throw new Error(`Invalid state: expected ${size} state words for "${algorithm}"`);
+  }
+  engine.setState(state);
+  return engine;
+};
+
+/**
+ * Stateful generator. Every method mirrors the stateless function of the same
+ * name, but each call draws from the next position in a reproducible stream,
+ * so consecutive calls produce different outcomes.
+ *
+ * Every call draws from one engine, so outcomes are uniform; the classic
+ * algorithm uses the counter-based classic engine rather than the digit-based
+ * selection of the stateless functions.
+ *
+ * @example
+ * const gen = new Pdrng('brian');
+ * gen.coin();     // "heads"
+ * gen.coin();     // "heads"
+ * gen.dice(20);   // 10
+ */
+class Pdrng {
+  /**
+   * @param {number|string|bigint} [seed] - Custom seed (default: 814)
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+   * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+   */
+  constructor(seed, options = {}) {
+    const algorithm = options.algorithm === undefined ? 'classic' : options.algorithm;
+    this._seed = _normalizeSeed(seed, options.hash);
+    this._algorithm = algorithm;
+    this._engine = createEngine(algorithm, this._seed);
+    this._position = 0;
+  }
+
+  /**
+   * Normalized seed of the stream.
+   * @returns {number}
+   */
+  get seed() {
+    return this._seed;
+  }
+
+  /**
+   * Engine algorithm of the stream.
+   * @returns {string}
+   */
+  get algorithm() {
+    return this._algorithm;
+  }
+
+  /**
+   * Number of calls made so far.
+   * @returns {number}
+   */
+  get position() {
+    return this._position;
+  }
+
+  /**
+   * Capture the current position as a JSON-safe snapshot.
+   *
+   * @returns {Object} { version, algorithm, seed, position, state }
+   */
+  getState() {
+    return {
+      version: STATE_VERSION,
+      algorithm: this._algorithm,
+      seed: this._seed,
+      position: this._position,
+      state: this._engine.getState()
+    };
+  }
+
+  /**
+   * Resume from a snapshot taken with getState(). Throws if the snapshot
+   * is malformed, from another format version or from another algorithm.
+   *
+   * @param {Object} snapshot
+   * @returns {Pdrng} this
+   */
+  setState(snapshot) {
+    const engine = _restoreEngine(snapshot);
+    if (snapshot.algorithm !== this._algorithm) {
+      throw new Error(`State algorithm "${snapshot.algorithm}" does not match generator algorithm "${this._algorithm}"`);
+    }
+    this._seed = snapshot.seed;
+    this._position = snapshot.position;
+    this._engine = engine;
+    return this;
+  }
+
+  /**
+   * Snapshot used by JSON.stringify().
+   * @returns {Object}
+   */
+  toJSON() {
+    return this.getState();
+  }
+
+  /**
+   * Create a generator from a snapshot taken with getState().
+   *
+   * @param {Object} snapshot
+   * @returns {Pdrng}
+   */
+  static fromState(snapshot) {
+    _restoreEngine(snapshot);
+    return new Pdrng(snapshot.seed, { algorithm: snapshot.algorithm }).setState(snapshot);
+  }
+
+  /**
+   * Create a child generator for a label or "/"-separated label path.
+   * The child depends only on this generator's seed and the path, never on
+   * its position, so fork('loot') is the same stream however many calls
+   * were made before it. Children keep the parent's algorithm.
+   *
+   * @param {string|number} path - e.g. "world/level-3/chest-7"
+   * @returns {Pdrng}
+   */
+  fork(path) {
+    return new Pdrng(deriveSeed(this._seed, path), { algorithm: this._algorithm });
+  }
+
+  /**
+   * Create `n` independent child generators, equivalent to
+   * fork('0'), fork('1'), ... fork(String(n - 1)).
+   *
+   * @param {number} n - Number of children
+   * @returns {Pdrng[]}
+   */
+  split(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error('split() requires a non-negative integer');
+    }
+    return Array.from({ length: n }, (_, i) => this.fork(i));
+  }
+
+  /**
+   * Build the options for the next call and advance the stream.
+   * @param {Object} [options={}] - Caller options (engine is replaced)
+   * @returns {Object}
+   */
+  _next(options = {}) {
+    this._position++;
+    return { ...options, engine: this._engine };
+  }
+}
+
+/**
+ * Stateless functions mirrored on Pdrng, with the number of positional
+ * arguments that come before their options object.
+ */
+const GENERATOR_METHODS = Object.freeze([
+  ['pdrng', pdrng, 1],
+  ['float', float, 1],
+  ['range', range, 2],
+  ['floatRange', floatRange, 2],
+  ['fill', fill, 1],
+  ['bytes', bytes, 1],
+  ['floats', floats, 1],
+  ['array', array, 2],
+  ['uuid', uuid, 0],
+  ['ulid', ulid, 0],
+  ['nanoid', nanoid, 1],
+  ['oddOrEven', oddOrEven, 0],
+  ['redOrBlack', redOrBlack, 0],
+  ['coin', coin, 0],
+  ['dice', dice, 1],
+  ['card', card, 0],
+  ['roulette', roulette, 0],
+  ['rps', rps, 0],
+  ['magic8', magic8, 0],
+  ['zodiac', zodiac, 0],
+  ['chineseZodiac', chineseZodiac, 0],
+  ['date', date, 0],
+  ['time', time, 0],
+  ['timestamp', timestamp, 0],
+  ['duration', duration, 0],
+  ['weekday', weekday, 0],
+  ['birthdate', birthdate, 0],
+  ['tarot', tarot, 0],
+  ['tarotCard', tarotCard, 0],
+  ['tarotSpread', tarotSpread, 1],
+  ['fortune', fortune, 0],
+  ['spin', spin, 1],
+  ['roll', roll, 1],
+  ['bingo', bingo, 0],
+  ['bingoCard', bingoCard, 0],
+  ['color', color, 0],
+  ['palette', palette, 1],
+  ['normal', normal, 2],
+  ['logNormal', logNormal, 2],
+  ['exponential', exponential, 1],
+  ['gamma', gamma, 2],
+  ['beta', beta, 2],
+  ['poisson', poisson, 1],
+  ['binomial', binomial, 2],
+  ['geometric', geometric, 1],
+  ['triangular', triangular, 3],
+  ['pareto', pareto, 2],
+  ['shuffle', shuffle, 1],
+  ['shuffleInPlace', shuffleInPlace, 1],
+  ['sample', sample, 2],
+  ['pick', pick, 2]
+]);
+
+for (const [name, fn, arity] of GENERATOR_METHODS) {
+  Pdrng.prototype[name] = function (...args) {
+    const positional = args.slice(0, arity);
+    positional.length = arity;
+    return fn(...positional, this._next(args[arity]));
+  };
+}
+
+/**
+ * Create a stateful generator that advances on every call.
+ *
+ * @param {number|string|bigint} [seed] - Custom seed (default: 814)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @returns {Pdrng}
+ */
+const createGenerator = (seed, options = {}) => new Pdrng(seed, options);
+
+// ─── Streams ─────────────────────────────────────────────────────────────────
+
+const GENERATOR_ARITY = new Map(GENERATOR_METHODS.map(([name, , arity]) => [name, arity]));
+
+/**
+ * A lazy, restartable sequence of seeded values from one generator method.
+ * Every iteration starts a fresh generator, so iterating twice gives the
+ * same values. Streams are infinite unless limited with take(n).
+ */
+class ValueStream {
+  /**
+   * @param {Object} [options={}] - Options
+   * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+   * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+   * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+   * @param {string} [options.method='pdrng'] - Generator method to call, e.g. 'range' or 'dice'
+   * @param {Array} [options.args=[]] - Positional arguments for the method
+   * @param {number} [options.limit=Infinity] - Number of values
+   * Any other options are passed to the method on every call.
+   */
+  constructor(options = {}) {
+    const { seed, algorithm, hash, method = 'pdrng', args = [], limit = Infinity, ...callOptions } = options;
+    if (!GENERATOR_ARITY.has(method)) {
+      throw new Error(`Unknown stream method: "${method}"`);
+    }
+    if (!Array.isArray(args)) {
+      throw new Error('Stream args must be an array');
+    }
+    if (limit !== Infinity && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error('Stream limit must be a non-negative integer');
+    }
+    this._options = options;
+    this._generator = { seed, algorithm, hash };
+    this._method = method;
+    this._args = [...args];
+    this._args.length = GENERATOR_ARITY.get(method);
+    this._callOptions = callOptions;
+    this.limit = limit;
+  }
+
+  /**
+   * A stream of the first `n` values (fewer if this one is shorter).
+   * @param {number} n
+   * @returns {ValueStream}
+   */
+  take(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error('take() requires a non-negative integer');
+    }
+    return new ValueStream({ ...this._options, limit: Math.min(this.limit, n) });
+  }
+
+  /**
+   * Collect a finite stream into an array.
+   * @returns {Array}
+   */
+  toArray() {
+    if (this.limit === Infinity) {
+      throw new Error('toArray() needs a finite stream; call take(n) first');
+    }
+    return [...this];
+  }
+
+  * [Symbol.iterator]() {
+    const { seed, ...generatorOptions } = this._generator;
+    const gen = new Pdrng(seed, generatorOptions);
+    for (let i = 0; i < this.limit; i++) {
+      yield gen[this._method](...this._args, this._callOptions);
+    }
+  }
+
+  /**
+   * Values are produced on demand, so a slow consumer never builds a backlog.
+   */
+  async * [Symbol.asyncIterator]() {
+    yield * this[Symbol.iterator]();
+  }
+}
+
+/**
+ * Create a lazy stream of seeded values for for...of and for await...of.
+ *
+ * @param {Object} [options={}] - Same options as the ValueStream constructor
+ * @returns {ValueStream}
+ *
+ * @example
+ * for (const n of stream({ seed: 'run-1' }).take(3)) console.log(n);
+ * stream({ method: 'dice', args: [20], algorithm: 'sfc32' }).take(10).toArray();
+ */
+const stream = (options = {}) => new ValueStream(options);
+
+// ─── Global Patching ─────────────────────────────────────────────────────────
+
+/** Installed layers, oldest first. */
+const INSTALLED = [];
+
+/**
+ * Replace a property and remember how to put it back.
+ * @param {Object} target
+ * @param {string} key
+ * @param {Function} value
+ * @returns {{ target: Object, key: string, saved: Object|undefined }}
+ */
+const _patch = (target, key, value) => {
+  const saved = Object.getOwnPropertyDescriptor(target, key);
+  Object.defineProperty(target, key, { value, writable: true, configurable: true, enumerable: false });
+  return { target, key, saved };
+};
+
+const _unpatch = ({ target, key, saved }) => {
+  if (saved) Object.defineProperty(target, key, saved);
+  else delete target[key];
+};
+
+/**
+ * Remove one layer. Layers may be removed out of order (e.g. overlapping
+ * async scopes): a later layer that patched the same property inherits
+ * this layer's saved original instead of the globals being restored.
+ * @param {Object} layer
+ * @returns {boolean} Whether the layer was still installed
+ */
+const _removeLayer = (layer) => {
+  const index = INSTALLED.indexOf(layer);
+  if (index === -1) return false;
+  for (const patch of layer.patches) {
+    const above = INSTALLED.slice(index + 1)
+      .flatMap((later) => later.patches)
+      .find((p) => p.target === patch.target && p.key === patch.key);
+    if (above) above.saved = patch.saved;
+    else _unpatch(patch);
+  }
+  INSTALLED.splice(index, 1);
+  return true;
+};
+
+/**
+ * Replace Math.random (and optionally crypto.getRandomValues and
+ * crypto.randomUUID) with a seeded stream, so code you don't control
+ * becomes reproducible. Installs nest: uninstall() restores the previous
+ * layer, and the last one restores the originals.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {boolean} [options.crypto=false] - Also replace crypto.getRandomValues and crypto.randomUUID
+ * @returns {function(): boolean} Removes this layer; returns false if it was already removed
+ *
+ * @example
+ * const restore = install({ seed: 'test-1' });
+ * Math.random(); // same value on every run
+ * restore();
+ */
+const install = (options = {}) => {
+  const engine = _samplerEngine(options);
+  const patches = [_patch(Math, 'random', () => _nextFloat(engine))];
+  if (options.crypto) {
+    const webCrypto = globalThis.crypto;
+    if (!webCrypto || typeof webCrypto.getRandomValues !== 'function') {
+      throw new Error('crypto.getRandomValues is not available to replace');
+    }
+    patches.push(_patch(webCrypto, 'getRandomValues', (array) => {
+      if (!ArrayBuffer.isView(array) || array instanceof DataView ||
+          array instanceof Float32Array || array instanceof Float64Array) {
+        throw new Error('getRandomValues() requires an integer typed array');
+      }
+      if (array.byteLength > 65536) {
+        throw new Error('getRandomValues() is limited to 65536 bytes');
+      }
+      return fill(array, { engine });
+    }));
+    patches.push(_patch(webCrypto, 'randomUUID', () => uuid({ version: 4, engine })));
+  }
+  const layer = { patches };
+  INSTALLED.push(layer);
+  return () => _removeLayer(layer);
+};
+
+/**
+ * Remove the most recent install() layer.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.all=false] - Remove every layer and restore the originals
+ * @returns {boolean} Whether anything was installed
+ */
+const uninstall = (options = {}) => {
+  if (INSTALLED.length === 0) return false;
+  do {
+    _removeLayer(INSTALLED[INSTALLED.length - 1]);
+  } while (options.all && INSTALLED.length > 0);
+  return true;
+};
+
+/**
+ * Run `fn` with a seeded Math.random, restoring the previous one afterwards,
+ * even if `fn` throws. When `fn` returns a promise the seed stays installed
+ * until it settles. Async scopes share the global, so overlapping ones see
+ * whichever seed was installed last.
+ *
+ * @param {number|string|bigint} seed - Seed for the scope
+ * @param {Function} fn - Function to run
+ * @param {Object} [options={}] - Same options as install()
+ * @returns {*} The result of fn (a promise if fn is async)
+ *
+ * @example
+ * withSeed('fixture', () => shuffleWithLodash(items));
+ * await withSeed(42, async () => { await flakyCode(); });
+ */
+const withSeed = (seed, fn, options = {}) => {
+  if (typeof fn !== 'function') {
+    throw new Error('withSeed() requires a function');
+  }
+  const restore = install({ ...options, seed });
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    restore();
+    throw err;
+  }
+  if (result && typeof result.then === 'function') {
+    return Promise.resolve(result).finally(restore);
+  }
+  restore();
+  return result;
 };
 
 // ─── Attach Methods ──────────────────────────────────────────────────────────
 
 pdrng.float = float;
 pdrng.range = range;
+pdrng.floatRange = floatRange;
+pdrng.fill = fill;
+pdrng.bytes = bytes;
+pdrng.floats = floats;
 pdrng.array = array;
 pdrng.uuid = uuid;
+pdrng.isUuid = isUuid;
+pdrng.uuidTimestamp = uuidTimestamp;
+pdrng.UUID_NAMESPACES = UUID_NAMESPACES;
+pdrng.ulid = ulid;
+pdrng.isUlid = isUlid;
+pdrng.ulidTimestamp = ulidTimestamp;
+pdrng.nanoid = nanoid;
+pdrng.isNanoid = isNanoid;
 pdrng.oddOrEven = oddOrEven;
 pdrng.redOrBlack = redOrBlack;
 pdrng.coin = coin;
 pdrng.dice = dice;
 pdrng.card = card;
 pdrng.roulette = roulette;
+pdrng.settleBet = settleBet;
+pdrng.settleBets = settleBets;
+pdrng.ROULETTE_WHEELS = ROULETTE_WHEELS;
+pdrng.ROULETTE_PAYOUTS = ROULETTE_PAYOUTS;
 pdrng.rps = rps;
 pdrng.magic8 = magic8;
 pdrng.zodiac = zodiac;
+pdrng.chineseZodiac = chineseZodiac;
+pdrng.ZODIAC_SIGNS = ZODIAC_SIGNS;
+pdrng.CHINESE_ANIMALS = CHINESE_ANIMALS;
+pdrng.date = date;
+pdrng.time = time;
+pdrng.timestamp = timestamp;
+pdrng.duration = duration;
+pdrng.weekday = weekday;
+pdrng.birthdate = birthdate;
+pdrng.WEEKDAYS = WEEKDAYS;
+pdrng.DAY_FILTERS = DAY_FILTERS;
 pdrng.tarot = tarot;
+pdrng.tarotCard = tarotCard;
+pdrng.tarotSpread = tarotSpread;
+pdrng.TAROT_DECK = TAROT_DECK;
+pdrng.TAROT_SPREADS = TAROT_SPREADS;
 pdrng.fortune = fortune;
+pdrng.registerResponses = registerResponses;
+pdrng.getResponses = getResponses;
+pdrng.RESPONSE_KINDS = RESPONSE_KINDS;
 pdrng.spin = spin;
 pdrng.roll = roll;
+pdrng.DiceNotationError = DiceNotationError;
 pdrng.bingo = bingo;
+pdrng.bingoCard = bingoCard;
+pdrng.checkBingo = checkBingo;
+pdrng.createBingoCaller = createBingoCaller;
+pdrng.BingoCaller = BingoCaller;
+pdrng.BINGO_PATTERNS = BINGO_PATTERNS;
+pdrng.FREE = FREE;
 pdrng.color = color;
+pdrng.palette = palette;
+pdrng.contrastRatio = contrastRatio;
+pdrng.COLOR_FORMATS = COLOR_FORMATS;
+pdrng.COLOR_PRESETS = COLOR_PRESETS;
+pdrng.PALETTE_SCHEMES = PALETTE_SCHEMES;
+pdrng.normal = normal;
+pdrng.logNormal = logNormal;
+pdrng.exponential = exponential;
+pdrng.gamma = gamma;
+pdrng.beta = beta;
+pdrng.poisson = poisson;
+pdrng.binomial = binomial;
+pdrng.geometric = geometric;
+pdrng.triangular = triangular;
+pdrng.pareto = pareto;
+pdrng.createWeightedTable = createWeightedTable;
+pdrng.WeightedTable = WeightedTable;
+pdrng.shuffle = shuffle;
+pdrng.shuffleInPlace = shuffleInPlace;
+pdrng.sample = sample;
+pdrng.pick = pick;
+pdrng.createDeck = createDeck;
+pdrng.Deck = Deck;
+pdrng.evaluateHand = evaluateHand;
+pdrng.compareHands = compareHands;
 pdrng.randomSeed = randomSeed;
+pdrng.createGenerator = createGenerator;
+pdrng.Pdrng = Pdrng;
+pdrng.stream = stream;
+pdrng.ValueStream = ValueStream;
+pdrng.install = install;
+pdrng.uninstall = uninstall;
+pdrng.withSeed = withSeed;
+pdrng.createEngine = createEngine;
+pdrng.deriveSeed = deriveSeed;
+pdrng.seedFrom = seedFrom;
+pdrng.HASHES = HASHES;
+pdrng.ALGORITHMS = ALGORITHMS;
+pdrng.MODES = MODES;
 pdrng.DEFAULT_SEED = DEFAULT_SEED;
 
 // ─── Exports ─────────────────────────────────────────────────────────────────
@@ -694,23 +5274,102 @@ export {
   pdrng,
   float,
   range,
+  floatRange,
+  fill,
+  bytes,
+  floats,
   array,
   uuid,
+  isUuid,
+  uuidTimestamp,
+  UUID_NAMESPACES,
+  ulid,
+  isUlid,
+  ulidTimestamp,
+  nanoid,
+  isNanoid,
   oddOrEven,
   redOrBlack,
   coin,
   dice,
   card,
   roulette,
+  settleBet,
+  settleBets,
+  ROULETTE_WHEELS,
+  ROULETTE_PAYOUTS,
   rps,
   magic8,
   zodiac,
+  chineseZodiac,
+  ZODIAC_SIGNS,
+  CHINESE_ANIMALS,
+  date,
+  time,
+  timestamp,
+  duration,
+  weekday,
+  birthdate,
+  WEEKDAYS,
+  DAY_FILTERS,
   tarot,
+  tarotCard,
+  tarotSpread,
+  TAROT_DECK,
+  TAROT_SPREADS,
   fortune,
+  registerResponses,
+  getResponses,
+  RESPONSE_KINDS,
   spin,
   roll,
+  DiceNotationError,
   bingo,
+  bingoCard,
+  checkBingo,
+  createBingoCaller,
+  BingoCaller,
+  BINGO_PATTERNS,
+  FREE,
   color,
+  palette,
+  contrastRatio,
+  COLOR_FORMATS,
+  COLOR_PRESETS,
+  PALETTE_SCHEMES,
+  normal,
+  logNormal,
+  exponential,
+  gamma,
+  beta,
+  poisson,
+  binomial,
+  geometric,
+  triangular,
+  pareto,
+  createWeightedTable,
+  WeightedTable,
+  shuffle,
+  shuffleInPlace,
+  sample,
+  pick,
+  createDeck,
+  Deck,
+  evaluateHand,
+  compareHands,
   randomSeed,
+  createGenerator,
+  Pdrng,
+  stream,
+  ValueStream,
+  install,
+  uninstall,
+  withSeed,
+  createEngine,
+  ALGORITHMS,
+  MODES,
+  deriveSeed,
+  seedFrom,
+  HASHES,
   DEFAULT_SEED
 };
@@ -0,0 +1,29 @@
+/**
+ * pdrng/jest - Seed Math.random per test in Jest
+ *
+ *   import { seedEachTest } from 'pdrng/jest';
+ *   seedEachTest();                      // in a test file or a setupFilesAfterEnv entry
+ *   seedEachTest({ seed: 'ci', crypto: true });
+ *
+ * Every test gets its own seed, derived from its full name (Jest joins
+ * names with spaces, e.g. "parser handles ties"), so a test sees the same
+ * random values however the suite is filtered or ordered. Uses Jest's
+ * global beforeEach, afterEach and expect.
+ *
+ * @module pdrng/jest
+ * @license MIT
+ */
+
+import { seedTests, testSeed } from './testing.js';
+
+/**
+ * Install a seeded Math.random before each test and restore it after.
+ *
+ * @param {Object} [options={}] - Same options as install(); `seed` is the base seed
+ */
+const seedEachTest = (options = {}) => seedTests(
+  { beforeEach, afterEach, testName: () => expect.getState().currentTestName },
+  options
+);
+
+export { seedEachTest, testSeed };
@@ -0,0 +1,28 @@
+/**
+ * Numeric helpers shared by the core module and pdrng/stats.
+ * Internal: not part of the package exports.
+ *
+ * @module pdrng/math
+ * @license MIT
+ */
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, g = 7).
+ * @param {number} x - Positive number
+ * @returns {number}
+ */
+const logGamma = (x) => {
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let a = c[0];
+  for (let i = 1; i < c.length; i++) a += c[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+export { logGamma };
@@ -0,0 +1,437 @@
+/**
+ * pdrng/stats - Statistical quality tests for pdrng outputs
+ *
+ * Collects a sample from an engine, an algorithm name or any pdrng-style
+ * function (called once per seed), then runs classic randomness tests on it.
+ * Every test returns { name, statistic, pValue, passed, details }; a test
+ * that cannot run on the sample reports passed: null with a reason.
+ *
+ * @module pdrng/stats
+ * @license MIT
+ */
+
+import { createEngine } from './index.js';
+import { logGamma } from './math.js';
+
+const TWO_32 = 0x100000000;
+
+/** Tests run by runSuite(), in order. */
+const STATS_TESTS = Object.freeze([
+  'chiSquare', 'serialCorrelation', 'runs', 'gap', 'birthdaySpacings', 'bitFrequency', 'entropy'
+]);
+
+// ─── Distributions ───────────────────────────────────────────────────────────
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x), by series for
+ * x < a + 1 and by continued fraction otherwise.
+ * @param {number} a
+ * @param {number} x
+ * @returns {number}
+ */
+const _gammaQ = (a, x) => {
+  if (x <= 0) return 1;
+  const logPrefix = -x + a * Math.log(x) - logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 1000; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return Math.max(0, 1 - sum * Math.exp(logPrefix));
+  }
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.min(1, Math.exp(logPrefix) * h);
+};
+
+/** Upper-tail p-value of a chi-square statistic. */
+const _chiSquareP = (statistic, df) => _gammaQ(df / 2, statistic / 2);
+
+/** Two-sided p-value of a standard normal z-score (erfc via Q(1/2, z²/2)). */
+const _normalP = (z) => (Number.isFinite(z) ? _gammaQ(0.5, (z * z) / 2) : 0);
+
+/** Two-sided p-value of observing `count` under Poisson(lambda). */
+const _poissonP = (count, lambda) => {
+  const atMost = _gammaQ(count + 1, lambda);
+  const atLeast = count === 0 ? 1 : 1 - _gammaQ(count, lambda);
+  return Math.min(1, 2 * Math.min(atMost, atLeast));
+};
+
+// ─── Sampling ────────────────────────────────────────────────────────────────
+
+/**
+ * Collect a sample of integer categories in [0, k).
+ *
+ * Engines (or algorithm names) contribute raw 32-bit outputs (k = 2^32).
+ * Functions are called once per seed as fn({ seed }); integer results need
+ * `min`/`max`, anything else is treated as a float in [0, 1) and binned.
+ *
+ * @param {Object|string|function} source - Engine, algorithm name or function
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.samples=10000] - Sample size
+ * @param {Array} [options.seeds] - Seeds to call a function with (default: 0..samples-1)
+ * @param {number|string|bigint} [options.seed] - Seed for an algorithm name
+ * @param {number} [options.min] - Smallest integer a function returns
+ * @param {number} [options.max] - Largest integer a function returns
+ * @param {number} [options.bins=64] - Bins for float functions and the chi-square test
+ * @returns {{ values: number[], k: number, source: string }}
+ */
+const collect = (source, options = {}) => {
+  const samples = options.samples === undefined ? 10000 : options.samples;
+  if (typeof source === 'string') {
+    return collect(createEngine(source, options.seed), { ...options, label: source });
+  }
+  if (source && typeof source.next === 'function') {
+    if (!Number.isInteger(samples) || samples < 2) {
+      throw new Error('stats requires at least 2 samples');
+    }
+    const values = Array.from({ length: samples }, () => source.next() >>> 0);
+    return { values, k: TWO_32, source: options.label || 'engine' };
+  }
+  if (typeof source !== 'function') {
+    throw new Error('stats requires an engine, algorithm name or function');
+  }
+
+  const seeds = options.seeds || Array.from({ length: samples }, (_, i) => i);
+  if (seeds.length < 2) {
+    throw new Error('stats requires at least 2 samples');
+  }
+  const discrete = options.min !== undefined || options.max !== undefined;
+  if (discrete && (!Number.isInteger(options.min) || !Number.isInteger(options.max) || options.min >= options.max)) {
+    throw new Error('stats requires integer min < max');
+  }
+  const k = discrete ? options.max - options.min + 1 : (options.bins || 64);
+  const values = seeds.map((seed) => {
+    const x = Number(source({ seed }));
+    if (discrete) {
+      if (!Number.isInteger(x) || x < options.min || x > options.max) {
+        throw new Error(`stats expected an integer in [${options.min}, ${options.max}], got ${x}`);
+      }
+      return x - options.min;
+    }
+    if (!(x >= 0 && x < 1)) {
+      throw new Error(`stats expected a float in [0, 1), got ${x}; pass min and max for integers`);
+    }
+    return Math.floor(x * k);
+  });
+  return { values, k, source: options.label || source.name || 'function' };
+};
+
+/** Build a test result. `passed` is null when the test was skipped. */
+const _result = (name, statistic, pValue, alpha, details) => ({
+  name,
+  statistic,
+  pValue,
+  passed: pValue === null ? null : pValue >= alpha,
+  details
+});
+
+const _alpha = (options) => (options.alpha === undefined ? 0.01 : options.alpha);
+
+/** Map each value to one of `bins` bins and return observed and exact expected counts. */
+const _binCounts = ({ values, k }, maxBins) => {
+  const bins = Math.max(2, Math.min(k, maxBins, Math.floor(values.length / 5)));
+  const observed = new Array(bins).fill(0);
+  for (const c of values) observed[Math.floor((c * bins) / k)]++;
+  const expected = observed.map((_, b) => (
+    (Math.ceil(((b + 1) * k) / bins) - Math.ceil((b * k) / bins)) * values.length / k
+  ));
+  return { bins, observed, expected };
+};
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+/**
+ * Pearson chi-square test of uniformity over equal-width bins.
+ * @param {Object} sample - From collect()
+ * @param {Object} [options={}] - { alpha = 0.01, bins = 64 }
+ * @returns {Object} Test result
+ */
+const chiSquare = (sample, options = {}) => {
+  const { bins, observed, expected } = _binCounts(sample, options.bins || 64);
+  const statistic = observed.reduce((sum, o, i) => sum + ((o - expected[i]) ** 2) / expected[i], 0);
+  return _result('chiSquare', statistic, _chiSquareP(statistic, bins - 1), _alpha(options), { bins, observed });
+};
+
+/**
+ * Lag-1 serial correlation coefficient (Knuth), compared with its expected
+ * value -1/(n-1) for independent values.
+ * @param {Object} sample - From collect()
+ * @param {Object} [options={}] - { alpha = 0.01 }
+ * @returns {Object} Test result
+ */
+const serialCorrelation = ({ values, k }, options = {}) => {
+  const n = values.length;
+  const u = values.map((c) => c / k);
+  let sum = 0;
+  let sumSq = 0;
+  let sumLag = 0;
+  for (let i = 0; i < n; i++) {
+    sum += u[i];
+    sumSq += u[i] * u[i];
+    sumLag += u[i] * u[(i + 1) % n];
+  }
+  const denominator = n * sumSq - sum * sum;
+  const r = denominator === 0 ? 1 : (n * sumLag - sum * sum) / denominator;
+  const mean = -1 / (n - 1);
+  const sd = Math.sqrt((n * (n - 3)) / (n + 1)) / (n - 1);
+  return _result('serialCorrelation', r, n < 4 ? null : _normalP((r - mean) / sd), _alpha(options), {
+    expected: mean
+  });
+};
+
+/**
+ * Wald-Wolfowitz runs test on values below / at-or-above the midpoint.
+ * @param {Object} sample - From collect()
+ * @param {Object} [options={}] - { alpha = 0.01 }
+ * @returns {Object} Test result
+ */
+const runs = ({ values, k }, options = {}) => {
+  const high = values.map((c) => c * 2 >= k);
+  const n1 = high.filter(Boolean).length;
+  const n2 = high.length - n1;
+  const n = high.length;
+  if (n1 === 0 || n2 === 0) {
+    return _result('runs', 1, 0, _alpha(options), { reason: 'every value on one side' });
+  }
+  let count = 1;
+  for (let i = 1; i < n; i++) if (high[i] !== high[i - 1]) count++;
+  const mean = (2 * n1 * n2) / n + 1;
+  const variance = (2 * n1 * n2 * (2 * n1 * n2 - n)) / (n * n * (n - 1));
+  return _result('runs', count, _normalP((count - mean) / Math.sqrt(variance)), _alpha(options), {
+    expected: mean
+  });
+};
+
+/**
+ * Knuth's gap test: lengths of gaps between values in the lower half of the
+ * range should follow a geometric distribution.
+ * @param {Object} sample - From collect()
+ * @param {Object} [options={}] - { alpha = 0.01 }
+ * @returns {Object} Test result
+ */
+const gap = ({ values, k }, options = {}) => {
+  const h = Math.floor(k / 2);
+  const p = h / k;
+  const gaps = [];
+  let length = -1;
+  for (const c of values) {
+    if (c < h) {
+      if (length >= 0) gaps.push(length);
+      length = 0;
+    } else if (length >= 0) {
+      length++;
+    }
+  }
+  let t = 1;
+  while (t < 16 && gaps.length * (1 - p) ** (t + 1) >= 5) t++;
+  if (gaps.length * (1 - p) ** t < 5 || gaps.length * p < 5) {
+    return _result('gap', null, null, _alpha(options), { reason: 'not enough gaps' });
+  }
+  const observed = new Array(t + 1).fill(0);
+  for (const g of gaps) observed[Math.min(g, t)]++;
+  const expected = observed.map((_, r) => gaps.length * (r < t ? p * (1 - p) ** r : (1 - p) ** t));
+  const statistic = observed.reduce((sum, o, i) => sum + ((o - expected[i]) ** 2) / expected[i], 0);
+  return _result('gap', statistic, _chiSquareP(statistic, t), _alpha(options), { gaps: gaps.length, observed });
+};
+
+/**
+ * Marsaglia's birthday spacings test. Consecutive values are combined into
+ * "birthdays" in a year of about 2^24 days; the number of repeated spacings
+ * between sorted birthdays is Poisson with mean m^3 / 4n.
+ * @param {Object} sample - From collect()
+ * @param {Object} [options={}] - { alpha = 0.01 }
+ * @returns {Object} Test result
+ */
+const birthdaySpacings = ({ values, k }, options = {}) => {
+  const target = 2 ** 24;
+  let digits = 1;
+  while (k ** digits < target) digits++;
+  const year = k > target ? target : k ** digits;
+  const toDay = k > target
+    ? (i) => Math.floor((values[i] / k) * target)
+    : (i) => {
+      let day = 0;
+      for (let j = 0; j < digits; j++) day = day * k + values[i + j];
+      return day;
+    };
+
+  const m = Math.min(512, Math.floor(values.length / digits));
+  const groups = Math.floor(values.length / (m * digits));
+  if (m < 16 || groups < 1) {
+    return _result('birthdaySpacings', null, null, _alpha(options), { reason: 'not enough samples' });
+  }
+  let repeats = 0;
+  for (let g = 0; g < groups; g++) {
+    const days = Array.from({ length: m }, (_, i) => toDay((g * m + i) * digits)).sort((a, b) => a - b);
+    const spacings = days.slice(1).map((d, i) => d - days[i]).sort((a, b) => a - b);
+    for (let i = 1; i < spacings.length; i++) if (spacings[i] === spacings[i - 1]) repeats++;
+  }
+  const lambda = (groups * m ** 3) / (4 * year);
+  return _result('birthdaySpacings', repeats, _poissonP(repeats, lambda), _alpha(options), {
+    expected: lambda,
+    groups,
+    birthdays: m,
+    days: year
+  });
+};
+
+/**
+ * Bit frequency (monobit) test: the total number of set bits across all
+ * values, against the exact mean and variance of the popcount of a uniform
+ * value in [0, k).
+ * @param {Object} sample - From collect()
+ * @param {Object} [options={}] - { alpha = 0.01 }
+ * @returns {Object} Test result
+ */
+const bitFrequency = ({ values, k }, options = {}) => {
+  const bits = Math.ceil(Math.log2(k));
+  const popcount = (x) => {
+    let count = 0;
+    for (let v = x; v > 0; v = Math.floor(v / 2)) count += v % 2;
+    return count;
+  };
+  let mean;
+  let variance;
+  if (k === 2 ** bits) {
+    mean = bits / 2;
+    variance = bits / 4;
+  } else if (k <= 2 ** 20) {
+    let sum = 0;
+    let sumSq = 0;
+    for (let c = 0; c < k; c++) {
+      const p = popcount(c);
+      sum += p;
+      sumSq += p * p;
+    }
+    mean = sum / k;
+    variance = sumSq / k - mean * mean;
+  } else {
+    // Per-bit frequencies, treating bits as independent
+    mean = 0;
+    variance = 0;
+    for (let j = 0; j < bits; j++) {
+      const block = 2 ** (j + 1);
+      const q = (Math.floor(k / block) * (block / 2) + Math.max(0, (k % block) - block / 2)) / k;
+      mean += q;
+      variance += q * (1 - q);
+    }
+  }
+  const ones = values.reduce((sum, c) => sum + popcount(c), 0);
+  const n = values.length;
+  const z = (ones - n * mean) / Math.sqrt(n * variance);
+  return _result('bitFrequency', z, variance === 0 ? null : _normalP(z), _alpha(options), {
+    ones,
+    expected: n * mean,
+    bits
+  });
+};
+
+/**
+ * Shannon entropy of the binned sample, with a G-test p-value against the
+ * maximum entropy of a uniform distribution.
+ * @param {Object} sample - From collect()
+ * @param {Object} [options={}] - { alpha = 0.01, bins = 64 }
+ * @returns {Object} Test result; statistic is the entropy in bits
+ */
+const entropy = (sample, options = {}) => {
+  const { bins, observed, expected } = _binCounts(sample, options.bins || 64);
+  const n = sample.values.length;
+  let h = 0;
+  let g = 0;
+  observed.forEach((o, i) => {
+    if (o === 0) return;
+    h -= (o / n) * Math.log2(o / n);
+    g += 2 * o * Math.log(o / expected[i]);
+  });
+  const maxEntropy = -expected.reduce((sum, e) => sum + (e / n) * Math.log2(e / n), 0);
+  return _result('entropy', h, _chiSquareP(g, bins - 1), _alpha(options), { bins, maxEntropy });
+};
+
+const TEST_FUNCTIONS = { chiSquare, serialCorrelation, runs, gap, birthdaySpacings, bitFrequency, entropy };
+
+// ─── Suite ───────────────────────────────────────────────────────────────────
+
+/**
+ * Collect a sample and run the statistical test suite on it.
+ *
+ * @param {Object|string|function} source - Engine, algorithm name or function (see collect())
+ * @param {Object} [options={}] - collect() options, plus:
+ * @param {number} [options.alpha=0.01] - Significance level
+ * @param {string[]} [options.tests] - Subset of STATS_TESTS to run
+ * @returns {Object} { source, samples, alpha, passed, tests }
+ *
+ * @example
+ * import { runSuite } from 'pdrng/stats';
+ * import { dice } from 'pdrng';
+ *
+ * runSuite('sfc32').passed;                                          // true
+ * runSuite((o) => dice(6, o), { min: 1, max: 6 }).passed;            // false (classic)
+ * runSuite((o) => dice(6, { ...o, mode: 'uniform' }), { min: 1, max: 6 }).passed;
+ */
+const runSuite = (source, options = {}) => {
+  const names = options.tests || STATS_TESTS;
+  for (const name of names) {
+    if (!STATS_TESTS.includes(name)) {
+      throw new Error(`Unknown stats test: "${name}"`);
+    }
+  }
+  const sample = collect(source, options);
+  const tests = names.map((name) => TEST_FUNCTIONS[name](sample, options));
+  return {
+    source: sample.source,
+    samples: sample.values.length,
+    alpha: _alpha(options),
+    passed: tests.every((test) => test.passed !== false),
+    tests
+  };
+};
+
+/**
+ * Format a runSuite() report as a plain-text table.
+ *
+ * @param {Object} report - From runSuite()
+ * @returns {string}
+ */
+const formatReport = (report) => {
+  const lines = [`${report.source}: ${report.samples} samples, alpha ${report.alpha}`];
+  for (const test of report.tests) {
+    const status = test.passed === null ? 'SKIP' : test.passed ? 'PASS' : 'FAIL';
+    const p = test.pValue === null ? '-' : test.pValue.toFixed(4);
+    lines.push(`  ${status}  ${test.name.padEnd(18)} p = ${p}`);
+  }
+  lines.push(report.passed ? 'PASSED' : 'FAILED');
+  return lines.join('\n');
+};
+
+export {
+  runSuite,
+  formatReport,
+  collect,
+  chiSquare,
+  serialCorrelation,
+  runs,
+  gap,
+  birthdaySpacings,
+  bitFrequency,
+  entropy,
+  STATS_TESTS
+};
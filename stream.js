@@ -0,0 +1,145 @@
+/**
+ * pdrng/stream - Node.js Readable streams of seeded data
+ *
+ * Pipe reproducible values or bytes into files, sockets and test fixtures.
+ * Data is produced only when the consumer asks for it, so a slow writer
+ * applies backpressure instead of filling memory.
+ *
+ *   import { valueReadable, byteReadable } from 'pdrng/stream';
+ *   valueReadable({ seed: 'run-1', method: 'dice', args: [6], limit: 100 }).pipe(process.stdout);
+ *   byteReadable({ seed: 'run-1', length: 1024 * 1024 }).pipe(createWriteStream('fixture.bin'));
+ *
+ * @module pdrng/stream
+ * @license MIT
+ */
+
+import { Readable } from 'node:stream';
+import { createEngine, fill, stream, ValueStream } from './index.js';
+
+// ─── Values ──────────────────────────────────────────────────────────────────
+
+/** Output formats of valueReadable(). */
+const FORMATS = Object.freeze(['lines', 'objects']);
+
+/** Target size of one chunk of lines, in characters. */
+const LINE_CHUNK = 16384;
+
+const _jsonReplacer = (_key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+/** One value as a line: strings and numbers as-is, everything else as JSON. */
+const _line = (value) => (value !== null && typeof value === 'object'
+  ? JSON.stringify(value, _jsonReplacer)
+  : String(value)) + '\n';
+
+/**
+ * Create a Readable of seeded values from a ValueStream.
+ *
+ * @param {ValueStream|Object} [source={}] - A ValueStream, or options for stream()
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.format='lines'] - 'lines' for newline-delimited
+ *   text (objects as JSON), 'objects' for an object-mode stream of the values
+ * @returns {Readable}
+ *
+ * @example
+ * valueReadable({ seed: 42, method: 'range', args: [1, 100], limit: 10 }).pipe(process.stdout);
+ * for await (const card of valueReadable(stream({ method: 'card' }).take(5), { format: 'objects' })) {}
+ */
+const valueReadable = (source = {}, options = {}) => {
+  const { format = 'lines' } = options;
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown stream format: "${format}"`);
+  }
+  const values = (source instanceof ValueStream ? source : stream(source))[Symbol.iterator]();
+
+  if (format === 'objects') {
+    return new Readable({
+      objectMode: true,
+      read() {
+        for (;;) {
+          const { value, done } = values.next();
+          if (done) {
+            this.push(null);
+            return;
+          }
+          if (!this.push(value)) return;
+        }
+      }
+    });
+  }
+
+  return new Readable({
+    encoding: 'utf8',
+    read() {
+      for (;;) {
+        let chunk = '';
+        let done = false;
+        while (chunk.length < LINE_CHUNK) {
+          const next = values.next();
+          if (next.done) {
+            done = true;
+            break;
+          }
+          chunk += _line(next.value);
+        }
+        const more = chunk === '' || this.push(chunk);
+        if (done) {
+          this.push(null);
+          return;
+        }
+        if (!more) return;
+      }
+    }
+  });
+};
+
+// ─── Bytes ───────────────────────────────────────────────────────────────────
+
+/** Default size of one chunk of bytes. */
+const BYTE_CHUNK = 65536;
+
+/**
+ * Create a Readable of seeded random bytes. The output matches bytes(length)
+ * with the same seed, whatever the chunk size.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number|string|bigint} [options.seed] - Custom seed (default: 814)
+ * @param {string} [options.algorithm='classic'] - Engine algorithm (see ALGORITHMS)
+ * @param {string} [options.hash='classic'] - Text seed hash (see HASHES)
+ * @param {number} [options.length=Infinity] - Total number of bytes
+ * @param {number} [options.chunkSize=65536] - Bytes per chunk, rounded up to a multiple of 4
+ * @returns {Readable}
+ *
+ * @example
+ * byteReadable({ seed: 'fixture', length: 4096 }).pipe(createWriteStream('fixture.bin'));
+ */
+const byteReadable = (options = {}) => {
+  const { algorithm = 'classic', seed, hash, length = Infinity, chunkSize = BYTE_CHUNK } = options;
+  if (length !== Infinity && (!Number.isInteger(length) || length < 0)) {
+    throw new Error('Stream length must be a non-negative integer');
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error('chunkSize must be a positive integer');
+  }
+  // Whole words per chunk, so chunk boundaries never drop bytes of a word
+  const size = Math.ceil(chunkSize / 4) * 4;
+  const engine = createEngine(algorithm, seed, { hash });
+  let remaining = length;
+
+  return new Readable({
+    read() {
+      for (;;) {
+        if (remaining === 0) {
+          this.push(null);
+          return;
+        }
+        const n = Math.min(size, remaining);
+        remaining -= n;
+        if (!this.push(fill(new Uint8Array(n), { engine }))) return;
+      }
+    }
+  });
+};
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+export { valueReadable, byteReadable, FORMATS };
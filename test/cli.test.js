@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { run, parseArgs, COMMANDS } from '../cli.js';
+import { coin, roll, uuid, range, spin, palette, bingoCard, tarotCard, createGenerator, isUuid } from '../index.js';
+
+/** Run the CLI with captured output. */
+const cli = async (argv, stdinText = '') => {
+  const out = [];
+  const err = [];
+  const code = await run(argv, {
+    stdout: (line) => out.push(line),
+    stderr: (line) => err.push(line),
+    stdin: async () => stdinText
+  });
+  return { code, out, err };
+};
+
+// ─── parseArgs() ────────────────────────────────────────────────────────────
+
+describe('parseArgs()', () => {
+  it('should split the command, positionals, options and flags', () => {
+    expect(parseArgs(['range', '1', '100', '--seed', 'brian', '--mode=uniform', '--json'])).toEqual({
+      command: 'range',
+      positional: ['1', '100'],
+      options: { seed: 'brian', mode: 'uniform' },
+      flags: { json: true, help: false, version: false }
+    });
+  });
+
+  it('should keep integer seeds as numbers and parse numeric options', () => {
+    expect(parseArgs(['coin', '--seed', '814']).options.seed).toBe(814);
+    expect(parseArgs(['coin', '--seed', '99999999999999999999']).options.seed).toBe(99999999999999999999n);
+    expect(parseArgs(['uuid', '--version', '7', '--now', '0']).options).toEqual({ version: 7, now: 0 });
+  });
+
+  it('should camel-case flags and stop at --', () => {
+    const parsed = parseArgs(['spin', '--some-flag', 'x', '--', '--not-a-flag']);
+    expect(parsed.options).toEqual({ someFlag: 'x' });
+    expect(parsed.positional).toEqual(['--not-a-flag']);
+  });
+
+  it('should parse true and false as booleans', () => {
+    expect(parseArgs(['bingoCard', '--freeCenter', 'false']).options).toEqual({ freeCenter: false });
+    expect(parseArgs(['tarotCard', '--reversals=true']).options).toEqual({ reversals: true });
+  });
+
+  it('should read -n as --count', () => {
+    expect(parseArgs(['coin', '-n', '3']).options).toEqual({ count: 3 });
+    expect(parseArgs(['coin', '--count', '3']).options).toEqual({ count: 3 });
+  });
+});
+
+// ─── run() ──────────────────────────────────────────────────────────────────
+
+describe('run()', () => {
+  it('should mirror the library for each example', async () => {
+    expect((await cli(['coin', '--seed', 'brian'])).out).toEqual([coin({ seed: 'brian' })]);
+    expect((await cli(['roll', '2d6+3'])).out).toEqual([String(roll('2d6+3').total)]);
+    expect((await cli(['range', '1', '100'])).out).toEqual([String(range(1, 100))]);
+    expect((await cli(['spin', 'a', 'b', 'c'])).out).toEqual([spin(['a', 'b', 'c'])]);
+  });
+
+  it('should print JSON with --json', async () => {
+    const { code, out } = await cli(['roll', '2d6+3', '--json']);
+    expect(code).toBe(0);
+    expect(JSON.parse(out[0])).toEqual(roll('2d6+3'));
+  });
+
+  it('should draw --count values from a generator', async () => {
+    const { out } = await cli(['uuid', '--count', '5']);
+    const gen = createGenerator();
+    expect(out).toEqual(Array.from({ length: 5 }, () => gen.uuid()));
+    expect(new Set(out).size).toBe(5);
+    out.forEach((id) => expect(isUuid(id)).toBe(true));
+  });
+
+  it('should print a JSON array for -n with --json', async () => {
+    const { out } = await cli(['dice', '20', '-n', '3', '--seed', '42', '--algorithm', 'sfc32', '--json']);
+    const gen = createGenerator(42, { algorithm: 'sfc32' });
+    expect(JSON.parse(out[0])).toEqual([gen.dice(20), gen.dice(20), gen.dice(20)]);
+  });
+
+  it('should read one seed per line from stdin', async () => {
+    const { out } = await cli(['coin', '--seed', '-'], 'alice\nbob\n\n814\n');
+    expect(out).toEqual([coin({ seed: 'alice' }), coin({ seed: 'bob' }), coin({ seed: 814 })]);
+  });
+
+  it('should pass other flags through as options', async () => {
+    const { out } = await cli(['uuid', '--version', '5', '--namespace', 'dns', '--name', 'www.example.com']);
+    expect(out).toEqual([uuid({ version: 5, namespace: 'dns', name: 'www.example.com' })]);
+    expect((await cli(['sample', '2', 'a', 'b', 'c'])).out[0].split(' ')).toHaveLength(2);
+    expect((await cli(['spin', 'a', 'b', '--weights', '0,1'])).out).toEqual(['b']);
+    const holidays = ['date', '--from', '2024-12-24', '--to', '2024-12-26', '--days', 'business', '--holidays', '2024-12-24,2024-12-25'];
+    expect((await cli(holidays)).out).toEqual(['2024-12-26']);
+  });
+
+  it('should take the palette size as --size', async () => {
+    const { out } = await cli(['palette', 'spaced', '--size', '7', '--json']);
+    expect(out).toHaveLength(1);
+    expect(JSON.parse(out[0])).toEqual(palette('spaced', { count: 7 }));
+    expect(JSON.parse(out[0])).toHaveLength(7);
+    const repeated = await cli(['palette', 'spaced', '--count', '2', '--size', '3', '--json']);
+    expect(JSON.parse(repeated.out[0]).map((colors) => colors.length)).toEqual([3, 3]);
+  });
+
+  it('should exit 2 for options the command does not take', async () => {
+    const { code, out, err } = await cli(['coin', '--wheel', 'american']);
+    expect(code).toBe(2);
+    expect(out).toEqual([]);
+    expect(err[0]).toBe('pdrng: coin does not take --wheel');
+    expect((await cli(['uuid', '--size', '3'])).code).toBe(2);
+    expect((await cli(['roulette', '--wheel', 'american', '--seed', '3', '--algorithm', 'sfc32'])).code).toBe(0);
+  });
+
+  it('should turn options off with false', async () => {
+    const card = JSON.parse((await cli(['bingoCard', '--seed', '5', '--freeCenter', 'false', '--json'])).out[0]);
+    expect(card).toEqual(bingoCard({ seed: 5, freeCenter: false }));
+    expect(card).not.toEqual(bingoCard({ seed: 5 }));
+    for (let seed = 0; seed < 20; seed++) {
+      const drawn = JSON.parse((await cli(['tarotCard', '--seed', String(seed), '--reversals', 'false', '--json'])).out[0]);
+      expect(drawn).toEqual(tarotCard({ seed, reversals: false }));
+      expect(drawn.reversed).toBe(false);
+    }
+  });
+
+  it('should exit 1 with a readable message for library errors', async () => {
+    const { code, err } = await cli(['roll', '2d6x']);
+    expect(code).toBe(1);
+    expect(err).toEqual(['pdrng: Invalid dice notation: "2d6x" (unexpected "x" at position 3)']);
+    expect((await cli(['spin', 'a', 'b', '--weights', '1,2,3'])).code).toBe(1);
+  });
+
+  it('should exit 2 for usage errors', async () => {
+    for (const argv of [['nope'], ['spin'], ['roll'], ['range', '1', 'x'], ['dice', '--count', '0'], ['coin', '--seed'], []]) {
+      const { code, err } = await cli(argv);
+      expect(code).toBe(2);
+      expect(err.length).toBeGreaterThan(0);
+    }
+  });
+
+  it('should print help and the version', async () => {
+    const help = await cli(['--help']);
+    expect(help.code).toBe(0);
+    expect(help.out[0]).toContain('Usage: pdrng <command>');
+    Object.keys(COMMANDS).forEach((name) => expect(help.out[0]).toContain(name));
+    expect((await cli(['--version'])).out).toEqual(['1.0.0']);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import fake, {
+  createFaker,
+  DATA_KEYS,
+  firstName,
+  lastName,
+  fullName,
+  email,
+  username,
+  phone,
+  streetAddress,
+  city,
+  company,
+  sentence,
+  paragraph,
+  person
+} from '../fake.js';
+import * as en from '../data/en.js';
+import { createEngine } from '../index.js';
+
+// ─── Generators ─────────────────────────────────────────────────────────────
+
+describe('fake generators', () => {
+  it('should return the pinned values for the default seed', () => {
+    expect(firstName()).toBe('Ava');
+    expect(fullName()).toBe('Ava Reed');
+    expect(email()).toBe('areed@example.net');
+    expect(phone()).toBe('(449) 601-2334');
+    expect(streetAddress()).toBe('1694 Madison Way');
+  });
+
+  it('should be deterministic for every generator', () => {
+    const generators = [firstName, lastName, fullName, email, username, phone,
+      streetAddress, city, company, sentence, paragraph, person];
+    for (const gen of generators) {
+      expect(gen({ seed: 'fixture' })).toEqual(gen({ seed: 'fixture' }));
+    }
+  });
+
+  it('should draw names from the data module', () => {
+    for (let seed = 0; seed < 30; seed++) {
+      expect(en.firstNames).toContain(firstName({ seed }));
+      expect(en.lastNames).toContain(lastName({ seed }));
+      expect(en.cities).toContain(city({ seed }));
+    }
+  });
+
+  it('should build ASCII emails on reserved example domains', () => {
+    for (let seed = 0; seed < 30; seed++) {
+      expect(email({ seed })).toMatch(/^[a-z0-9.]+@example\.(com|net|org)$/);
+    }
+    expect(email({ firstName: 'José', lastName: "O'Neil", domain: 'test.dev', seed: 3 }))
+      .toMatch(/^(jose\.oneil|joneil)@test\.dev$/);
+  });
+
+  it('should fill phone formats with a leading 2-9 digit', () => {
+    for (let seed = 0; seed < 30; seed++) {
+      expect(phone({ seed })).toMatch(/^\([2-9]\d\d\) \d{3}-\d{4}$/);
+    }
+    expect(phone({ format: '+44 #### ######' })).toMatch(/^\+44 [2-9]\d{3} \d{6}$/);
+  });
+
+  it('should honor sentence and paragraph counts', () => {
+    const s = sentence({ words: 5 });
+    expect(s.split(' ')).toHaveLength(5);
+    expect(s).toMatch(/^[A-Z][a-z ]+\.$/);
+    expect(paragraph({ sentences: [2, 2] }).match(/\./g)).toHaveLength(2);
+    expect(() => sentence({ words: 0 })).toThrow('words must be');
+    expect(() => paragraph({ sentences: [3, 1] })).toThrow('sentences must be');
+  });
+
+  it('should accept an engine and advance it', () => {
+    const engine = createEngine('sfc32', 'fixtures');
+    const names = Array.from({ length: 5 }, () => fullName({ engine }));
+    expect(new Set(names).size).toBeGreaterThan(1);
+  });
+});
+
+// ─── person() ───────────────────────────────────────────────────────────────
+
+describe('person()', () => {
+  it('should return a consistent record', () => {
+    const p = person({ seed: 'alice' });
+    expect(p.fullName).toBe(`${p.firstName} ${p.lastName}`);
+    expect(p.email).toContain(p.lastName.toLowerCase());
+    expect(p.username).toContain(p.firstName.toLowerCase().charAt(0));
+    expect(p.address).toEqual({ street: expect.any(String), city: expect.any(String) });
+    expect(typeof p.company).toBe('string');
+  });
+
+  it('should differ across seeds', () => {
+    expect(person({ seed: 1 })).not.toEqual(person({ seed: 2 }));
+  });
+});
+
+// ─── createFaker() ──────────────────────────────────────────────────────────
+
+describe('createFaker()', () => {
+  it('should swap in custom lists and keep the defaults for the rest', () => {
+    const custom = createFaker({ firstNames: ['Ada'], cities: ['Gotham'] });
+    const p = custom.person({ seed: 5 });
+    expect(p.firstName).toBe('Ada');
+    expect(p.address.city).toBe('Gotham');
+    expect(en.lastNames).toContain(p.lastName);
+  });
+
+  it('should match the default faker when given the default data', () => {
+    expect(createFaker(en).person({ seed: 9 })).toEqual(fake.person({ seed: 9 }));
+  });
+
+  it('should build valid emails and usernames from non-Latin names', () => {
+    const custom = createFaker({ firstNames: ['太郎'], lastNames: ['山田'] });
+    for (let seed = 0; seed < 20; seed++) {
+      expect(custom.email({ seed })).toMatch(/^[a-z0-9][a-z0-9.]*[a-z0-9]@example\.(com|net|org)$/);
+      expect(custom.username({ seed })).toMatch(/^[a-z][a-z0-9_]+$/);
+    }
+    expect(custom.email({ seed: 1 })).toBe(custom.email({ seed: 1 }));
+    const p = custom.person({ seed: 3 });
+    expect(p.fullName).toBe('太郎 山田');
+    expect(p.email).not.toMatch(/^[.@]/);
+  });
+
+  it('should throw for empty or invalid lists', () => {
+    expect(DATA_KEYS).toContain('loremWords');
+    expect(() => createFaker({ cities: [] })).toThrow('Fake data "cities" must be a non-empty array');
+    expect(() => createFaker({ phoneFormat: 'none' })).toThrow('phoneFormat');
+  });
+});
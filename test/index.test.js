@@ -1,25 +1,103 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
 import pdrng, {
   float,
   range,
+  floatRange,
+  fill,
+  bytes,
+  floats,
   array,
   uuid,
+  isUuid,
+  uuidTimestamp,
+  UUID_NAMESPACES,
+  ulid,
+  isUlid,
+  ulidTimestamp,
+  nanoid,
+  isNanoid,
   oddOrEven,
   redOrBlack,
   coin,
   dice,
   card,
   roulette,
+  settleBet,
+  settleBets,
+  ROULETTE_WHEELS,
+  ROULETTE_PAYOUTS,
   rps,
   magic8,
   zodiac,
+  chineseZodiac,
+  ZODIAC_SIGNS,
+  CHINESE_ANIMALS,
+  date,
+  time,
+  timestamp,
+  duration,
+  weekday,
+  birthdate,
+  WEEKDAYS,
   tarot,
+  tarotCard,
+  tarotSpread,
+  TAROT_DECK,
+  TAROT_SPREADS,
   fortune,
+  registerResponses,
+  getResponses,
+  RESPONSE_KINDS,
   spin,
   roll,
+  DiceNotationError,
   bingo,
+  bingoCard,
+  checkBingo,
+  createBingoCaller,
+  BingoCaller,
+  BINGO_PATTERNS,
+  FREE,
   color,
+  palette,
+  contrastRatio,
+  COLOR_FORMATS,
+  COLOR_PRESETS,
+  PALETTE_SCHEMES,
+  normal,
+  logNormal,
+  exponential,
+  gamma,
+  beta,
+  poisson,
+  binomial,
+  geometric,
+  triangular,
+  pareto,
+  createWeightedTable,
+  WeightedTable,
+  shuffle,
+  shuffleInPlace,
+  sample,
+  pick,
+  createDeck,
+  Deck,
+  evaluateHand,
+  compareHands,
   randomSeed,
+  createGenerator,
+  Pdrng,
+  stream,
+  ValueStream,
+  install,
+  uninstall,
+  withSeed,
+  createEngine,
+  ALGORITHMS,
+  MODES,
+  deriveSeed,
+  seedFrom,
+  HASHES,
   DEFAULT_SEED
 } from '../index.js';
 
@@ -158,6 +236,83 @@ describe('range()', () => {
     // fallback: 50 + (814 % 51) = 50 + 49 = 99
     expect(range(50, 100)).toBe(99);
   });
+
+  it('should support negative bounds', () => {
+    expect(range(-20, -10)).toBe(-20);
+    for (let seed = 0; seed < 50; seed++) {
+      const result = range(-5, 5, { seed, mode: 'uniform' });
+      expect(result).toBeGreaterThanOrEqual(-5);
+      expect(result).toBeLessThanOrEqual(5);
+    }
+  });
+
+  it('should return a BigInt for BigInt bounds', () => {
+    expect(range(0n, 10n ** 30n)).toBe(814n);
+    const big = range(1n, 2n ** 80n, { mode: 'uniform' });
+    expect(typeof big).toBe('bigint');
+    expect(big >= 1n && big <= 2n ** 80n).toBe(true);
+    expect(range(1n, 2n ** 80n, { mode: 'uniform' })).toBe(big);
+  });
+
+  it('should be roughly uniform across seeds in uniform mode', () => {
+    const counts = new Array(10).fill(0);
+    for (let seed = 0; seed < 5000; seed++) {
+      counts[range(1, 10, { seed, mode: 'uniform' }) - 1]++;
+    }
+    counts.forEach((c) => {
+      expect(c).toBeGreaterThan(400);
+      expect(c).toBeLessThan(600);
+    });
+  });
+
+  it('should throw when min > max', () => {
+    expect(() => range(10, 1)).toThrow('range() requires min <= max');
+  });
+
+  it('should throw for non-integer bounds', () => {
+    expect(() => range(1.5, 3)).toThrow('range() requires integer bounds');
+    expect(() => range('1', 3)).toThrow('range() requires integer bounds');
+  });
+
+  it('should throw when a Number span is not safe', () => {
+    expect(() => range(0, 2 ** 60)).toThrow('use BigInt bounds');
+  });
+
+  it('should throw for an unknown mode', () => {
+    expect(MODES).toEqual(['classic', 'uniform']);
+    expect(() => range(1, 10, { mode: 'fair' })).toThrow('Unknown mode: "fair"');
+  });
+});
+
+// ─── Utility: floatRange() ──────────────────────────────────────────────────
+
+describe('floatRange()', () => {
+  it('should return a float in [min, max)', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const result = floatRange(-2.5, 7.5, { seed });
+      expect(result).toBeGreaterThanOrEqual(-2.5);
+      expect(result).toBeLessThan(7.5);
+    }
+  });
+
+  it('should be deterministic', () => {
+    expect(floatRange(1, 2)).toBe(floatRange(1, 2));
+    expect(floatRange(1, 2, { algorithm: 'sfc32' })).toBe(floatRange(1, 2, { algorithm: 'sfc32' }));
+  });
+
+  it('should return min when min equals max', () => {
+    expect(floatRange(3, 3)).toBe(3);
+  });
+
+  it('should throw for invalid bounds', () => {
+    expect(() => floatRange(2, 1)).toThrow('floatRange() requires min <= max');
+    expect(() => floatRange(0, Infinity)).toThrow('floatRange() requires finite bounds');
+  });
+
+  it('should advance on a generator', () => {
+    const gen = createGenerator('float');
+    expect(gen.floatRange(0, 1)).not.toBe(gen.floatRange(0, 1));
+  });
 });
 
 // ─── Utility: array() ───────────────────────────────────────────────────────
@@ -183,6 +338,12 @@ describe('array()', () => {
     const result = array(3, 3, { seed: 42 });
     expect(result).toHaveLength(3);
   });
+
+  it('should keep sub-seeds distinct for seeds with a 0 digit', () => {
+    const result = array(5, 3, { seed: 105 });
+    expect(result[0]).toBe(105);
+    expect(new Set(result).size).toBe(5);
+  });
 });
 
 // ─── Utility: uuid() ────────────────────────────────────────────────────────
@@ -205,6 +366,226 @@ describe('uuid()', () => {
   it('should produce different UUIDs for different seeds', () => {
     expect(uuid({ seed: 1 })).not.toBe(uuid({ seed: 2 }));
   });
+
+  it('should keep the classic output when no version is given', () => {
+    expect(uuid()).toBe('e5c3d4b2-07e5-4f6d-9b29-b290e5c307e5');
+  });
+
+  it('should draw full-entropy v4 UUIDs from the seeded stream', () => {
+    const ids = new Set();
+    for (let seed = 0; seed < 200; seed++) {
+      const id = uuid({ version: 4, seed });
+      expect(isUuid(id, 4)).toBe(true);
+      ids.add(id);
+    }
+    expect(ids.size).toBe(200);
+    expect(uuid({ version: 4, seed: 'a' })).toBe(uuid({ version: 4, seed: 'a' }));
+  });
+
+  it('should match the RFC 9562 v5 test vector', () => {
+    expect(uuid({ version: 5, namespace: 'dns', name: 'www.example.com' }))
+      .toBe('2ed6657d-e927-568b-95e1-2665a8aea6a2');
+    expect(uuid({ version: 5, namespace: UUID_NAMESPACES.dns, name: 'www.example.com' }))
+      .toBe('2ed6657d-e927-568b-95e1-2665a8aea6a2');
+  });
+
+  it('should ignore the seed for v5 UUIDs', () => {
+    const a = uuid({ version: 5, namespace: 'url', name: 'https://example.com', seed: 1 });
+    const b = uuid({ version: 5, namespace: 'url', name: 'https://example.com', seed: 2 });
+    expect(a).toBe(b);
+    expect(isUuid(a, 5)).toBe(true);
+  });
+
+  it('should throw for a bad v5 namespace or name', () => {
+    expect(() => uuid({ version: 5, namespace: 'nope', name: 'x' })).toThrow('namespace UUID');
+    expect(() => uuid({ version: 5, namespace: 'dns' })).toThrow('string name');
+  });
+
+  it('should round-trip the v7 timestamp', () => {
+    const id = uuid({ version: 7, now: 1700000000123, seed: 42 });
+    expect(isUuid(id, 7)).toBe(true);
+    expect(uuidTimestamp(id)).toBe(1700000000123);
+  });
+
+  it('should sort v7 UUIDs by time', () => {
+    const ids = [3, 1, 2].map((now) => uuid({ version: 7, now: now * 1000 }));
+    expect([...ids].sort()).toEqual([ids[1], ids[2], ids[0]]);
+  });
+
+  it('should accept a Date or function as the v7 clock', () => {
+    const date = new Date('2026-01-01T00:00:00Z');
+    expect(uuidTimestamp(uuid({ version: 7, now: date }))).toBe(date.getTime());
+    expect(uuidTimestamp(uuid({ version: 7, now: () => 42 }))).toBe(42);
+    expect(() => uuid({ version: 7, now: -1 })).toThrow('now must be');
+  });
+
+  it('should throw for unsupported versions', () => {
+    expect(() => uuid({ version: 3 })).toThrow('Unsupported UUID version: 3');
+  });
+});
+
+// ─── Utility: isUuid() ──────────────────────────────────────────────────────
+
+describe('isUuid()', () => {
+  it('should validate format, variant and version', () => {
+    expect(isUuid('2ed6657d-e927-568b-95e1-2665a8aea6a2')).toBe(true);
+    expect(isUuid('2ED6657D-E927-568B-95E1-2665A8AEA6A2', 5)).toBe(true);
+    expect(isUuid('2ed6657d-e927-568b-95e1-2665a8aea6a2', 4)).toBe(false);
+    expect(isUuid('2ed6657d-e927-568b-c5e1-2665a8aea6a2')).toBe(false);
+    expect(isUuid('2ed6657de927568b95e12665a8aea6a2')).toBe(false);
+    expect(isUuid(42)).toBe(false);
+  });
+
+  it('should throw when reading the timestamp of a non-v7 UUID', () => {
+    expect(() => uuidTimestamp(uuid({ version: 4 }))).toThrow('Not a v7 UUID');
+  });
+});
+
+// ─── Utility: ulid() ────────────────────────────────────────────────────────
+
+describe('ulid()', () => {
+  it('should return a valid ULID that round-trips its timestamp', () => {
+    const id = ulid({ now: 1700000000123 });
+    expect(id).toBe('01HF7YAT3VTJ96CV0H5WAE0QCF');
+    expect(isUlid(id)).toBe(true);
+    expect(ulidTimestamp(id)).toBe(1700000000123);
+  });
+
+  it('should be deterministic for a fixed clock', () => {
+    expect(ulid({ now: 5, seed: 'a' })).toBe(ulid({ now: 5, seed: 'a' }));
+    expect(ulid({ now: 5, seed: 'a' })).not.toBe(ulid({ now: 5, seed: 'b' }));
+  });
+
+  it('should sort lexicographically by time', () => {
+    expect(ulid({ now: 1000 }) < ulid({ now: 2000 })).toBe(true);
+  });
+
+  it('should reject invalid ULIDs', () => {
+    expect(isUlid('01HF7YAT3VTJ96CV0H5WAE0QC')).toBe(false);
+    expect(isUlid('81HF7YAT3VTJ96CV0H5WAE0QCF')).toBe(false);
+    expect(isUlid('01HF7YAT3VTJ96CV0H5WAE0QCU')).toBe(false);
+    expect(() => ulidTimestamp('nope')).toThrow('Not a ULID');
+  });
+
+  it('should advance on a generator', () => {
+    const gen = createGenerator('ids');
+    expect(gen.ulid({ now: 0 })).not.toBe(gen.ulid({ now: 0 }));
+  });
+});
+
+// ─── Utility: nanoid() ──────────────────────────────────────────────────────
+
+describe('nanoid()', () => {
+  it('should return 21 URL-safe characters by default', () => {
+    const id = nanoid();
+    expect(id).toMatch(/^[A-Za-z0-9_-]{21}$/);
+    expect(isNanoid(id)).toBe(true);
+  });
+
+  it('should support a custom size and alphabet', () => {
+    const id = nanoid(10, { alphabet: '0123456789', seed: 7 });
+    expect(id).toMatch(/^\d{10}$/);
+    expect(isNanoid(id, { size: 10, alphabet: '0123456789' })).toBe(true);
+    expect(isNanoid(id)).toBe(false);
+  });
+
+  it('should be deterministic', () => {
+    expect(nanoid(21, { seed: 'x' })).toBe(nanoid(21, { seed: 'x' }));
+  });
+
+  it('should throw for invalid arguments', () => {
+    expect(() => nanoid(0)).toThrow('positive integer size');
+    expect(() => nanoid(5, { alphabet: 'a' })).toThrow('at least 2 characters');
+  });
+});
+
+// ─── Bulk Generation ─────────────────────────────────────────────────────────
+
+describe('fill()', () => {
+  it('should fill a Uint32Array with the engine stream', () => {
+    const engine = createEngine('classic', 814);
+    expect([...fill(new Uint32Array(5))]).toEqual(Array.from({ length: 5 }, () => engine.next()));
+  });
+
+  it('should match next() for every algorithm', () => {
+    for (const algorithm of ALGORITHMS) {
+      const engine = createEngine(algorithm, 'bulk');
+      const words = fill(new Uint32Array(100), { seed: 'bulk', algorithm });
+      expect([...words]).toEqual(Array.from({ length: 100 }, () => engine.next()));
+    }
+  });
+
+  it('should write bytes little-endian', () => {
+    const [word] = fill(new Uint32Array(1));
+    expect([...bytes(4)]).toEqual([word & 0xff, (word >>> 8) & 0xff, (word >>> 16) & 0xff, word >>> 24]);
+  });
+
+  it('should give the same bits for unaligned views', () => {
+    const view = new Uint8Array(new ArrayBuffer(16), 1, 10);
+    expect([...fill(view)]).toEqual([...bytes(10)]);
+  });
+
+  it('should fill every integer typed array type', () => {
+    for (const Type of [Int8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, BigInt64Array, BigUint64Array]) {
+      const array = fill(new Type(64), { seed: Type.name });
+      expect(array).toBeInstanceOf(Type);
+      expect(new Set(array).size).toBeGreaterThan(32);
+    }
+    expect(fill(new BigUint64Array(1))[0]).toBe(new BigUint64Array(fill(new Uint32Array(2)).buffer)[0]);
+  });
+
+  it('should fill float arrays with values in [0, 1)', () => {
+    const values = fill(new Float32Array(1000), { seed: 'f32' });
+    values.forEach((x) => expect(x >= 0 && x < 1).toBe(true));
+    const [hi, lo] = fill(new Uint32Array(2));
+    expect(fill(new Float64Array(1))[0]).toBe(((hi >>> 5) * 67108864 + (lo >>> 6)) / 9007199254740992);
+  });
+
+  it('should use next() for engines without fillWords()', () => {
+    let n = 0;
+    const engine = { next: () => n++ };
+    expect([...fill(new Uint32Array(3), { engine })]).toEqual([0, 1, 2]);
+  });
+
+  it('should reject values that are not typed arrays', () => {
+    expect(() => fill([1, 2, 3])).toThrow('fill() requires a typed array');
+    expect(() => fill(new DataView(new ArrayBuffer(4)))).toThrow('fill() requires a typed array');
+  });
+});
+
+describe('bytes() and floats()', () => {
+  it('should return typed arrays of the requested length', () => {
+    expect(bytes(10)).toBeInstanceOf(Uint8Array);
+    expect(bytes(0)).toHaveLength(0);
+    expect(floats(5000)).toBeInstanceOf(Float64Array);
+    expect(floats(5000)).toHaveLength(5000);
+    expect([...floats(3, { seed: 'x' })]).toEqual([...floats(3, { seed: 'x' })]);
+  });
+
+  it('should continue across blocks as one stream', () => {
+    const long = floats(5000, { algorithm: 'sfc32' });
+    const engine = createEngine('sfc32');
+    const words = fill(new Uint32Array(2 * 5000), { engine });
+    expect(long[4999]).toBe(((words[9998] >>> 5) * 67108864 + (words[9999] >>> 6)) / 9007199254740992);
+  });
+
+  it('should spread floats evenly', () => {
+    const bins = new Array(10).fill(0);
+    floats(10000, { seed: 'even' }).forEach((x) => bins[Math.floor(x * 10)]++);
+    bins.forEach((count) => expect(Math.abs(count - 1000)).toBeLessThan(150));
+  });
+
+  it('should validate the length', () => {
+    expect(() => bytes(-1)).toThrow('bytes() requires a non-negative integer length');
+    expect(() => floats(1.5)).toThrow('floats() requires a non-negative integer length');
+  });
+
+  it('should advance on a generator', () => {
+    const gen = createGenerator('bulk', { algorithm: 'xoshiro128**' });
+    expect([...gen.bytes(8)]).not.toEqual([...gen.bytes(8)]);
+    const classic = createGenerator('bulk');
+    expect([...classic.floats(2)]).not.toEqual([...classic.floats(2)]);
+  });
 });
 
 // ─── Utility: oddOrEven() ───────────────────────────────────────────────────
@@ -283,6 +664,22 @@ describe('dice()', () => {
     expect(result).toBeGreaterThanOrEqual(1);
     expect(result).toBeLessThanOrEqual(6);
   });
+
+  it('should be roughly uniform across seeds in uniform mode', () => {
+    const counts = new Array(6).fill(0);
+    for (let seed = 0; seed < 6000; seed++) {
+      counts[dice(6, { seed, mode: 'uniform' }) - 1]++;
+    }
+    counts.forEach((c) => {
+      expect(c).toBeGreaterThan(880);
+      expect(c).toBeLessThan(1120);
+    });
+  });
+
+  it('should throw for invalid sides', () => {
+    expect(() => dice(0)).toThrow('dice() requires a positive integer number of sides');
+    expect(() => dice(2.5)).toThrow('dice() requires a positive integer number of sides');
+  });
 });
 
 // ─── Game: card() ───────────────────────────────────────────────────────────
@@ -336,6 +733,124 @@ describe('roulette()', () => {
   it('should be deterministic', () => {
     expect(roulette()).toEqual(roulette());
   });
+
+  it('should report dozen, column, high/low and wheel', () => {
+    expect(roulette()).toEqual({
+      number: 14, color: 'red', parity: 'even', dozen: 2, column: 2, highLow: 'low', wheel: 'european'
+    });
+    expect(roulette({ seed: 36 })).toMatchObject({ dozen: 3, column: 3, highLow: 'high' });
+  });
+
+  it('should give zero null dozen, column and high/low', () => {
+    expect(roulette({ seed: 37 })).toMatchObject({ dozen: null, column: null, highLow: null });
+  });
+
+  it('should add a 00 pocket on the American wheel', () => {
+    expect(ROULETTE_WHEELS).toEqual(['european', 'french', 'american']);
+    const result = roulette({ wheel: 'american', seed: 37 });
+    expect(result).toMatchObject({ number: '00', color: 'green', parity: 'zero', wheel: 'american' });
+    const seen = new Set();
+    for (let seed = 0; seed < 400; seed++) {
+      seen.add(roulette({ wheel: 'american', seed, mode: 'uniform' }).number);
+    }
+    expect(seen.size).toBe(38);
+  });
+
+  it('should keep European numbers on the French wheel', () => {
+    expect(roulette({ wheel: 'french' })).toMatchObject({ number: 14, wheel: 'french' });
+  });
+
+  it('should throw for an unknown wheel', () => {
+    expect(() => roulette({ wheel: 'mini' })).toThrow('Unknown roulette wheel: "mini"');
+  });
+});
+
+describe('settleBet()', () => {
+  const spin = roulette(); // 14, red, even, dozen 2, column 2, low
+  const zero = roulette({ seed: 37 });
+
+  it('should pay the standard odds on winning inside bets', () => {
+    expect(settleBet({ type: 'straight', numbers: [14], amount: 2 }, spin).payout).toBe(70);
+    expect(settleBet({ type: 'split', numbers: [14, 17], amount: 10 }, spin))
+      .toEqual({ type: 'split', amount: 10, won: true, payout: 170 });
+    expect(settleBet({ type: 'street', numbers: [13, 14, 15], amount: 1 }, spin).payout).toBe(11);
+    expect(settleBet({ type: 'corner', numbers: [13, 14, 16, 17], amount: 1 }, spin).payout).toBe(8);
+    expect(settleBet({ type: 'line', numbers: [13, 14, 15, 16, 17, 18], amount: 1 }, spin).payout).toBe(5);
+  });
+
+  it('should pay outside bets', () => {
+    expect(settleBet({ type: 'dozen', value: 2, amount: 1 }, spin).payout).toBe(2);
+    expect(settleBet({ type: 'column', value: 2, amount: 1 }, spin).payout).toBe(2);
+    for (const type of ['red', 'even', 'low']) {
+      expect(settleBet({ type, amount: 3 }, spin).payout).toBe(3);
+    }
+    for (const type of ['black', 'odd', 'high']) {
+      expect(settleBet({ type, amount: 3 }, spin)).toMatchObject({ won: false, payout: -3 });
+    }
+  });
+
+  it('should lose every outside bet on zero', () => {
+    expect(settleBet({ type: 'dozen', value: 1, amount: 4 }, zero).payout).toBe(-4);
+    expect(settleBet({ type: 'even', amount: 4 }, zero).payout).toBe(-4);
+    expect(settleBet({ type: 'straight', numbers: [0], amount: 1 }, zero).payout).toBe(35);
+  });
+
+  it('should return half the stake on even-money bets on the French wheel', () => {
+    const french = roulette({ seed: 37, wheel: 'french' });
+    expect(settleBet({ type: 'red', amount: 10 }, french).payout).toBe(-5);
+    expect(settleBet({ type: 'column', value: 1, amount: 10 }, french).payout).toBe(-10);
+  });
+
+  it('should accept zero bets that exist on each wheel', () => {
+    const american = roulette({ wheel: 'american', seed: 37 });
+    expect(settleBet({ type: 'split', numbers: [0, '00'], amount: 1 }, american).won).toBe(true);
+    expect(settleBet({ type: 'street', numbers: ['00', 2, 3], amount: 1 }, american).won).toBe(true);
+    expect(settleBet({ type: 'corner', numbers: [0, 1, 2, 3], amount: 1 }, zero).payout).toBe(8);
+    expect(() => settleBet({ type: 'corner', numbers: [0, 1, 2, 3], amount: 1 }, american))
+      .toThrow('Invalid corner bet on the american wheel: 0, 1, 2, 3');
+    expect(() => settleBet({ type: 'straight', numbers: ['00'], amount: 1 }, zero)).toThrow('Invalid straight bet');
+  });
+
+  it('should reject groups that are not adjacent on the layout', () => {
+    expect(() => settleBet({ type: 'split', numbers: [3, 4], amount: 1 }, spin)).toThrow('Invalid split bet');
+    expect(() => settleBet({ type: 'street', numbers: [2, 3, 4], amount: 1 }, spin)).toThrow('Invalid street bet');
+    expect(() => settleBet({ type: 'corner', numbers: [3, 4, 6, 7], amount: 1 }, spin)).toThrow('Invalid corner bet');
+  });
+
+  it('should validate the bet', () => {
+    expect(() => settleBet({ type: 'basket', amount: 1 }, spin)).toThrow('Unknown bet type: "basket"');
+    expect(() => settleBet({ type: 'red', amount: 0 }, spin)).toThrow('Bet amount must be a positive number');
+    expect(() => settleBet({ type: 'dozen', value: 4, amount: 1 }, spin)).toThrow('A dozen bet needs a value of 1, 2 or 3');
+  });
+
+  it('should publish the payout table', () => {
+    expect(ROULETTE_PAYOUTS).toMatchObject({ straight: 35, split: 17, street: 11, corner: 8, line: 5, dozen: 2 });
+    expect(Object.isFrozen(ROULETTE_PAYOUTS)).toBe(true);
+  });
+});
+
+describe('settleBets()', () => {
+  it('should total the net result', () => {
+    const result = settleBets([
+      { type: 'red', amount: 5 },
+      { type: 'column', value: 2, amount: 5 },
+      { type: 'straight', numbers: [0], amount: 1 }
+    ], roulette());
+    expect(result.bets.map((b) => b.payout)).toEqual([5, 10, -1]);
+    expect(result.net).toBe(14);
+  });
+
+  it('should run a reproducible bankroll simulation', () => {
+    const simulate = () => {
+      const gen = createGenerator('casino');
+      let bankroll = 100;
+      for (let i = 0; i < 50; i++) {
+        bankroll += settleBet({ type: 'black', amount: 1 }, gen.roulette({ wheel: 'american' })).payout;
+      }
+      return bankroll;
+    };
+    expect(simulate()).toBe(simulate());
+  });
 });
 
 // ─── Game: rps() ────────────────────────────────────────────────────────────
@@ -368,6 +883,26 @@ describe('magic8()', () => {
   it('should be deterministic', () => {
     expect(magic8()).toBe(magic8());
   });
+
+  it('should list each classic answer once', () => {
+    const texts = getResponses('magic8').map((r) => r.text);
+    expect(texts).toHaveLength(20);
+    expect(new Set(texts).size).toBe(20);
+    expect(texts).toContain('Concentrate and ask again.');
+  });
+
+  it('should tag answers with a sentiment', () => {
+    expect(magic8({ details: true })).toEqual({ text: 'Reply hazy, try again.', sentiment: 'neutral' });
+    const counts = {};
+    getResponses('magic8').forEach((r) => { counts[r.sentiment] = (counts[r.sentiment] || 0) + 1; });
+    expect(counts).toEqual({ positive: 10, neutral: 5, negative: 5 });
+  });
+
+  it('should answer in Spanish with the same index as English', () => {
+    expect(magic8({ locale: 'es' })).toBe('Respuesta confusa, vuelve a intentarlo.');
+    expect(magic8({ locale: 'es-MX', seed: 3, details: true })).toEqual({ text: 'Sí, definitivamente.', sentiment: 'positive' });
+    expect(magic8({ seed: 3 })).toBe('Yes — definitely.');
+  });
 });
 
 // ─── Game: zodiac() ─────────────────────────────────────────────────────────
@@ -384,6 +919,91 @@ describe('zodiac()', () => {
   it('should be deterministic', () => {
     expect(zodiac()).toBe(zodiac());
   });
+
+  it('should return the Western sign for a birth date', () => {
+    expect(zodiac({ date: '1990-05-23' })).toEqual({
+      name: 'Gemini',
+      element: 'Air',
+      modality: 'Mutable',
+      start: { month: 5, day: 21 },
+      end: { month: 6, day: 20 },
+      cusp: null,
+      date: '1990-05-23'
+    });
+    expect(zodiac({ date: new Date(Date.UTC(2000, 0, 1)) }).name).toBe('Capricorn');
+    expect(zodiac({ date: '2000-12-31' })).toMatchObject({ name: 'Capricorn', end: { month: 1, day: 19 } });
+  });
+
+  it('should find the sign on every boundary', () => {
+    for (const sign of ZODIAC_SIGNS) {
+      const start = `2001-${String(sign.month).padStart(2, '0')}-${String(sign.startDay).padStart(2, '0')}`;
+      expect(zodiac({ date: start }).name).toBe(sign.name);
+    }
+    expect(zodiac({ date: '2001-03-20' }).name).toBe('Pisces');
+  });
+
+  it('should name the neighbouring sign near a cusp', () => {
+    expect(zodiac({ date: '1990-05-20' })).toMatchObject({ name: 'Taurus', cusp: 'Gemini' });
+    expect(zodiac({ date: '2000-03-21' })).toMatchObject({ name: 'Aries', cusp: 'Pisces' });
+    expect(zodiac({ date: '2000-03-21', cuspDays: 0 }).cusp).toBeNull();
+    expect(zodiac({ date: '2000-12-21', cuspDays: 1 })).toMatchObject({ name: 'Sagittarius', cusp: 'Capricorn' });
+  });
+
+  it('should draw a seeded random date', () => {
+    const result = zodiac({ date: 'random', seed: 'x' });
+    expect(result).toMatchObject({ name: 'Pisces', date: '1918-02-22' });
+    expect(zodiac({ date: 'random', seed: 'x' })).toEqual(result);
+    for (let seed = 0; seed < 50; seed++) {
+      const year = Number(zodiac({ date: 'random', seed, years: [1990, 1991] }).date.slice(0, 4));
+      expect(year === 1990 || year === 1991).toBe(true);
+    }
+  });
+
+  it('should reject invalid dates and options', () => {
+    expect(() => zodiac({ date: '2023-02-30' })).toThrow('Invalid date: "2023-02-30"');
+    expect(() => zodiac({ date: '05-20' })).toThrow('Invalid date');
+    expect(() => zodiac({ date: 'random', years: [2000, 1990] })).toThrow('years must be');
+    expect(() => zodiac({ date: '2000-01-01', cuspDays: -1 })).toThrow('cuspDays must be');
+  });
+});
+
+describe('chineseZodiac()', () => {
+  it('should use the Lunar New Year as the boundary', () => {
+    expect(chineseZodiac({ date: '2024-02-09' })).toEqual({
+      animal: 'Rabbit',
+      element: 'Water',
+      yinYang: 'Yin',
+      year: 2023,
+      start: '2023-01-22',
+      end: '2024-02-09',
+      date: '2024-02-09'
+    });
+    expect(chineseZodiac({ date: '2024-02-10' })).toMatchObject({ animal: 'Dragon', element: 'Wood', yinYang: 'Yang' });
+  });
+
+  it('should look up a lunar year', () => {
+    expect(chineseZodiac({ year: 1900 })).toMatchObject({ animal: 'Rat', element: 'Metal', start: '1900-01-31' });
+    expect(chineseZodiac({ year: 2033 })).toMatchObject({ animal: 'Ox', start: '2033-01-31', end: '2034-02-18' });
+    expect(chineseZodiac({ year: 2024 }).date).toBeNull();
+  });
+
+  it('should cycle animals every 12 years and elements every 10', () => {
+    const years = Array.from({ length: 60 }, (_, i) => chineseZodiac({ year: 1984 + i }));
+    expect(years.slice(0, 12).map((y) => y.animal)).toEqual(CHINESE_ANIMALS);
+    expect(new Set(years.map((y) => `${y.element} ${y.animal}`)).size).toBe(60);
+  });
+
+  it('should draw a seeded date without a date or year', () => {
+    expect(chineseZodiac().date).toBe(zodiac({ date: 'random' }).date);
+    expect(chineseZodiac({ seed: 'y' })).toEqual(chineseZodiac({ seed: 'y' }));
+  });
+
+  it('should reject dates outside the table', () => {
+    expect(chineseZodiac({ date: '2101-01-28' }).year).toBe(2100);
+    expect(() => chineseZodiac({ date: '1900-01-30' }))
+      .toThrow('chineseZodiac() supports dates from 1900-01-31 to 2101-01-28');
+    expect(() => chineseZodiac({ year: 2101 })).toThrow('chineseZodiac() supports years 1900 to 2100');
+  });
 });
 
 // ─── Game: tarot() ──────────────────────────────────────────────────────────
@@ -402,6 +1022,91 @@ describe('tarot()', () => {
   });
 });
 
+describe('TAROT_DECK', () => {
+  it('should hold 22 Major and 56 Minor Arcana', () => {
+    expect(TAROT_DECK).toHaveLength(78);
+    expect(TAROT_DECK.filter((c) => c.arcana === 'major')).toHaveLength(22);
+    expect(new Set(TAROT_DECK.map((c) => c.name)).size).toBe(78);
+    expect(TAROT_DECK[0]).toEqual({ name: 'The Fool', arcana: 'major', suit: null, rank: null, number: 0 });
+    expect(TAROT_DECK[21].name).toBe('The World');
+    expect(TAROT_DECK[77]).toEqual({ name: 'King of Pentacles', arcana: 'minor', suit: 'Pentacles', rank: 'King', number: 14 });
+  });
+});
+
+describe('tarotCard()', () => {
+  it('should draw a structured card with an orientation', () => {
+    expect(tarotCard()).toEqual({
+      name: 'Page of Cups', arcana: 'minor', suit: 'Cups', rank: 'Page', number: 11, reversed: false
+    });
+    expect(tarotCard({ seed: 'x' })).toEqual(tarotCard({ seed: 'x' }));
+  });
+
+  it('should reverse about half the cards', () => {
+    let reversed = 0;
+    for (let seed = 0; seed < 400; seed++) if (tarotCard({ seed }).reversed) reversed++;
+    expect(reversed).toBeGreaterThan(150);
+    expect(reversed).toBeLessThan(250);
+  });
+
+  it('should draw upright only without reversals', () => {
+    for (let seed = 0; seed < 50; seed++) expect(tarotCard({ seed, reversals: false }).reversed).toBe(false);
+  });
+
+  it('should draw from the Major Arcana only with deck: "major"', () => {
+    for (let seed = 0; seed < 50; seed++) expect(tarotCard({ seed, deck: 'major' }).arcana).toBe('major');
+    expect(() => tarotCard({ deck: 'thoth' })).toThrow('Unknown tarot deck: "thoth"');
+  });
+});
+
+describe('tarotSpread()', () => {
+  it('should lay out a three-card spread by default', () => {
+    const result = tarotSpread();
+    expect(result.spread).toBe('threeCard');
+    expect(result.cards.map((c) => c.position)).toEqual(['Past', 'Present', 'Future']);
+    expect(result.cards[0]).toMatchObject({ meaning: 'Influences from the past', card: { name: 'Page of Cups' } });
+  });
+
+  it('should deal every named spread without repeating a card', () => {
+    for (const name of Object.keys(TAROT_SPREADS)) {
+      const { cards } = tarotSpread(name, { seed: 'reading' });
+      expect(cards).toHaveLength(TAROT_SPREADS[name].length);
+      expect(new Set(cards.map((c) => c.card.name)).size).toBe(cards.length);
+      cards.forEach((c) => expect(typeof c.meaning).toBe('string'));
+    }
+    expect(TAROT_SPREADS.celticCross).toHaveLength(10);
+  });
+
+  it('should deal the whole deck without repeats', () => {
+    const positions = Array.from({ length: 78 }, (_, i) => `P${i}`);
+    expect(new Set(tarotSpread(positions).cards.map((c) => c.card.name)).size).toBe(78);
+    expect(() => tarotSpread(positions.slice(0, 23), { deck: 'major' }))
+      .toThrow('A tarot spread can have at most 22 positions with the major deck');
+  });
+
+  it('should accept custom positions', () => {
+    const result = tarotSpread(['Situation', { position: 'Action', meaning: 'What to do' }]);
+    expect(result.spread).toBe('custom');
+    expect(result.cards.map(({ position, meaning }) => ({ position, meaning }))).toEqual([
+      { position: 'Situation', meaning: null },
+      { position: 'Action', meaning: 'What to do' }
+    ]);
+  });
+
+  it('should reject unknown or empty spreads', () => {
+    expect(() => tarotSpread('horseshoe')).toThrow('Unknown tarot spread: "horseshoe"');
+    expect(() => tarotSpread([])).toThrow('A tarot spread needs at least one position');
+    expect(() => tarotSpread([''])).toThrow('Tarot spread positions must be');
+  });
+
+  it('should draw fresh spreads from a generator', () => {
+    const gen = createGenerator('tarot');
+    const first = gen.tarotSpread('single').cards[0].card;
+    const second = gen.tarotSpread('single').cards[0].card;
+    expect(first).not.toEqual(second);
+    expect(createGenerator('tarot').tarotSpread('single').cards[0].card).toEqual(first);
+  });
+});
+
 // ─── Game: fortune() ────────────────────────────────────────────────────────
 
 describe('fortune()', () => {
@@ -418,6 +1123,72 @@ describe('fortune()', () => {
   });
 });
 
+describe('registerResponses()', () => {
+  it('should draw from a registered collection', () => {
+    registerResponses('fortune', ['Ship it.', 'Write the test first.', { text: 'Retro later.', mood: 'meh' }], {
+      collection: 'test-retro'
+    });
+    expect(fortune({ collection: 'test-retro' })).toBe('Write the test first.');
+    expect(fortune({ collection: 'test-retro', seed: 3, details: true })).toEqual({ text: 'Retro later.', mood: 'meh' });
+  });
+
+  it('should spread draws evenly over any length', () => {
+    registerResponses('magic8', ['a', 'b', 'c', 'd', 'e', 'f', 'g'], { collection: 'test-seven' });
+    const counts = {};
+    for (let seed = 0; seed < 2800; seed++) {
+      const text = magic8({ collection: 'test-seven', seed });
+      counts[text] = (counts[text] || 0) + 1;
+    }
+    expect(Object.keys(counts)).toHaveLength(7);
+    Object.values(counts).forEach((n) => expect(Math.abs(n - 400)).toBeLessThan(80));
+  });
+
+  it('should spread fortunes evenly over registered locale collections', () => {
+    registerResponses('fortune', ['Uno.', 'Dos.', 'Tres.', 'Cuatro.', 'Cinco.'], { collection: 'test-spread', locale: 'es' });
+    const counts = {};
+    for (let seed = 0; seed < 2000; seed++) {
+      const text = fortune({ collection: 'test-spread', locale: 'es', seed });
+      counts[text] = (counts[text] || 0) + 1;
+    }
+    expect(Object.keys(counts)).toHaveLength(5);
+    Object.values(counts).forEach((n) => expect(Math.abs(n - 400)).toBeLessThan(80));
+  });
+
+  it('should register locale packs and fall back to the language', () => {
+    registerResponses('fortune', ['Uno.', 'Dos.'], { collection: 'test-locale', locale: 'es' });
+    registerResponses('fortune', ['One.', 'Two.'], { collection: 'test-locale' });
+    expect(getResponses('fortune', { collection: 'test-locale', locale: 'es-AR' }).map((r) => r.text)).toEqual(['Uno.', 'Dos.']);
+    expect(['One.', 'Two.']).toContain(fortune({ collection: 'test-locale' }));
+  });
+
+  it('should replace a collection registered again', () => {
+    registerResponses('fortune', ['Old.'], { collection: 'test-replace' });
+    registerResponses('fortune', ['New.'], { collection: 'test-replace' });
+    expect(fortune({ collection: 'test-replace' })).toBe('New.');
+  });
+
+  it('should protect the classic collections', () => {
+    expect(() => registerResponses('magic8', ['Yes.'])).toThrow('Cannot replace the built-in magic8 responses');
+    expect(() => registerResponses('fortune', ['Bonne chance.'], { locale: 'fr' }))
+      .toThrow('Locale packs for the classic fortune collection need 20 responses');
+  });
+
+  it('should validate arguments', () => {
+    expect(RESPONSE_KINDS).toEqual(['magic8', 'fortune']);
+    expect(() => registerResponses('tarot', ['x'])).toThrow('Unknown response kind: "tarot"');
+    expect(() => registerResponses('fortune', [], { collection: 'test-empty' })).toThrow('responses must be a non-empty array');
+    expect(() => registerResponses('fortune', [{ mood: 'x' }], { collection: 'test-bad' }))
+      .toThrow('Each response must be a string or an object with a text string');
+    expect(() => fortune({ collection: 'missing' })).toThrow('No fortune responses for collection "missing" and locale "en"');
+  });
+
+  it('should return frozen responses', () => {
+    const list = getResponses('fortune');
+    expect(Object.isFrozen(list)).toBe(true);
+    expect(Object.isFrozen(list[0])).toBe(true);
+  });
+});
+
 // ─── Game: spin() ───────────────────────────────────────────────────────────
 
 describe('spin()', () => {
@@ -472,6 +1243,140 @@ describe('roll()', () => {
   it('should be deterministic', () => {
     expect(roll('3d8+2')).toEqual(roll('3d8+2'));
   });
+
+  it('should not repeat the same die for seeds with a zero digit', () => {
+    const { rolls } = roll('6d20', { seed: 1000 });
+    expect(new Set(rolls).size).toBeGreaterThan(1);
+  });
+
+  it('should return a per-term breakdown', () => {
+    const result = roll('2d6+3');
+    expect(result.terms).toHaveLength(2);
+    expect(result.terms[0]).toMatchObject({ type: 'dice', notation: '2d6', sign: 1, value: 6 });
+    expect(result.terms[0].dice.map((d) => d.value)).toEqual([5, 1]);
+    expect(result.terms[1]).toEqual({ type: 'constant', sign: 1, value: 3 });
+  });
+
+  it('should keep the highest dice with kh', () => {
+    const { terms, total } = roll('4d6kh3', { seed: 1 });
+    const values = terms[0].dice.map((d) => d.value);
+    const kept = terms[0].dice.filter((d) => d.kept).map((d) => d.value);
+    expect(kept).toHaveLength(3);
+    expect(total).toBe(values.reduce((a, b) => a + b, 0) - Math.min(...values));
+  });
+
+  it('should keep the lowest dice with kl', () => {
+    const { terms, total } = roll('2d20kl1', { seed: 'disadvantage' });
+    const values = terms[0].dice.map((d) => d.value);
+    expect(total).toBe(Math.min(...values));
+  });
+
+  it('should treat a bare d modifier as drop lowest', () => {
+    expect(roll('4d6d1', { seed: 1 }).total).toBe(roll('4d6kh3', { seed: 1 }).total);
+  });
+
+  it('should add a bonus die for each exploding maximum', () => {
+    const { terms } = roll('3d6!', { seed: 5 });
+    const dice = terms[0].dice;
+    expect(dice.length).toBeGreaterThan(3);
+    dice.forEach((die, i) => {
+      if (i > 0) expect(die.exploded).toBe(dice[i - 1].value === 6);
+    });
+  });
+
+  it('should reroll matching dice', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const { terms } = roll('4d6r1', { seed });
+      for (const die of terms[0].dice) {
+        expect(die.value).not.toBe(1);
+        die.rerolled.forEach((v) => expect(v).toBe(1));
+      }
+    }
+  });
+
+  it('should reroll at most once with ro', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      roll('4d6ro<3', { seed }).terms[0].dice.forEach((die) => {
+        expect(die.rerolled.length).toBeLessThanOrEqual(1);
+      });
+    }
+  });
+
+  it('should roll percentile and Fudge dice', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const d100 = roll('d%', { seed }).total;
+      expect(d100).toBeGreaterThanOrEqual(1);
+      expect(d100).toBeLessThanOrEqual(100);
+      roll('4dF', { seed }).rolls.forEach((v) => expect([-1, 0, 1]).toContain(v));
+    }
+  });
+
+  it('should combine multiple terms with arithmetic', () => {
+    const result = roll('1d20 + 1d4 - 1d6 + 5');
+    const [d20, d4, d6] = result.terms;
+    expect(d6.sign).toBe(-1);
+    expect(result.modifier).toBe(5);
+    expect(result.total).toBe(d20.value + d4.value - d6.value + 5);
+  });
+
+  it('should count successes against a target', () => {
+    const { terms, total } = roll('6d10>=7', { seed: 3 });
+    const hits = terms[0].dice.filter((d) => d.value >= 7).length;
+    expect(terms[0].successes).toBe(hits);
+    expect(total).toBe(hits);
+  });
+
+  it('should keep the classic formula whatever the case or spacing', () => {
+    for (const seed of [1, 42, 814, 'brian']) {
+      const classic = roll('2d6+3', { seed });
+      expect(roll('2D6+3', { seed }).total).toBe(classic.total);
+      expect(roll(' 2d6 + 3 ', { seed }).rolls).toEqual(classic.rolls);
+      expect(roll('d20', { seed }).total).toBe(roll('1d20', { seed }).total);
+    }
+  });
+
+  it('should draw from the selected algorithm', () => {
+    expect(roll('2d6+3', { algorithm: 'sfc32' })).toEqual(roll('2d6+3', { algorithm: 'sfc32' }));
+    expect(roll('2d6+3', { algorithm: 'sfc32' }).total).toBeGreaterThanOrEqual(5);
+  });
+
+  it('should report the position of parse errors', () => {
+    expect(() => roll('2d6x')).toThrow(DiceNotationError);
+    try {
+      roll('2d6x');
+    } catch (err) {
+      expect(err.position).toBe(3);
+      expect(err.notation).toBe('2d6x');
+      expect(err.message).toContain('Invalid dice notation');
+    }
+  });
+
+  it('should reject conditions that would never stop rolling', () => {
+    expect(() => roll('1d6!>=1')).toThrow(DiceNotationError);
+    expect(() => roll('1d6r<7')).toThrow(DiceNotationError);
+    expect(() => roll('1d1!=1')).toThrow('explode condition matches every face');
+    expect(() => roll('4dF!<2')).toThrow('explode condition matches every face');
+    expect(() => roll('4dFr<=1')).toThrow('reroll condition matches every face');
+    expect(() => roll('4dF!=1')).not.toThrow();
+    expect(roll('1d6r<6').total).toBe(6);
+  });
+
+  it('should check huge dice without listing their faces', () => {
+    expect(() => roll('1d1000000!>=1')).toThrow('explode condition matches every face');
+    expect(roll('1d1000000!').total).toBeGreaterThanOrEqual(1);
+  });
+
+  it('should limit the number of dice and sides', () => {
+    expect(roll('1000d2').rolls).toHaveLength(1000);
+    expect(() => roll('1001d6')).toThrow('at most 1000 dice per term at position 0');
+    expect(() => roll('1d1000000000!')).toThrow('dice can have at most 1000000 sides at position 2');
+    expect(() => roll('2d6+1d1000001')).toThrow(DiceNotationError);
+  });
+
+  it('should reject zero-sided dice and duplicate keep modifiers', () => {
+    expect(() => roll('2d0')).toThrow(DiceNotationError);
+    expect(() => roll('4d6kh2kl1')).toThrow(DiceNotationError);
+  });
 });
 
 // ─── Game: bingo() ──────────────────────────────────────────────────────────
@@ -495,7 +1400,168 @@ describe('bingo()', () => {
   it('should be deterministic', () => {
     expect(bingo()).toBe(bingo());
   });
-});
+
+  it('should call every number in uniform mode', () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 2000; seed++) {
+      seen.add(bingo({ seed, mode: 'uniform' }));
+    }
+    expect(seen.size).toBe(75);
+  });
+});
+
+// ─── Game: bingoCard() ──────────────────────────────────────────────────────
+
+describe('bingoCard()', () => {
+  it('should fill B/I/N/G/O columns from their ranges with a free center', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const { variant, rows } = bingoCard({ seed });
+      expect(variant).toBe(75);
+      expect(rows).toHaveLength(5);
+      expect(rows[2][2]).toBe(FREE);
+      for (let c = 0; c < 5; c++) {
+        const column = rows.map((row) => row[c]).filter((v) => v !== FREE);
+        expect(new Set(column).size).toBe(column.length);
+        column.forEach((v) => {
+          expect(v).toBeGreaterThanOrEqual(c * 15 + 1);
+          expect(v).toBeLessThanOrEqual(c * 15 + 15);
+        });
+      }
+    }
+  });
+
+  it('should allow a numbered center', () => {
+    expect(typeof bingoCard({ freeCenter: false }).rows[2][2]).toBe('number');
+  });
+
+  it('should be deterministic and vary by seed', () => {
+    expect(bingoCard({ seed: 'a' })).toEqual(bingoCard({ seed: 'a' }));
+    expect(bingoCard({ seed: 'a' })).not.toEqual(bingoCard({ seed: 'b' }));
+  });
+
+  it('should build valid 90-ball tickets', () => {
+    for (let seed = 0; seed < 100; seed++) {
+      const { variant, rows } = bingoCard({ seed, variant: 90 });
+      expect(variant).toBe(90);
+      expect(rows).toHaveLength(3);
+      rows.forEach((row) => expect(row.filter((v) => v !== null)).toHaveLength(5));
+      for (let c = 0; c < 9; c++) {
+        const column = rows.map((row) => row[c]).filter((v) => v !== null);
+        expect(column.length).toBeGreaterThan(0);
+        expect([...column].sort((a, b) => a - b)).toEqual(column);
+        column.forEach((v) => {
+          expect(v).toBeGreaterThanOrEqual(c === 0 ? 1 : c * 10);
+          expect(v).toBeLessThanOrEqual(c === 8 ? 90 : c * 10 + 9);
+        });
+      }
+    }
+  });
+
+  it('should throw for unknown variants', () => {
+    expect(() => bingoCard({ variant: 80 })).toThrow('Unknown bingo variant: 80');
+  });
+});
+
+// ─── Game: checkBingo() ─────────────────────────────────────────────────────
+
+describe('checkBingo()', () => {
+  const card = {
+    variant: 75,
+    rows: [
+      [1, 16, 31, 46, 61],
+      [2, 17, 32, 47, 62],
+      [3, 18, FREE, 48, 63],
+      [4, 19, 34, 49, 64],
+      [5, 20, 35, 50, 65]
+    ]
+  };
+
+  it('should detect rows, columns and diagonals as lines', () => {
+    expect(checkBingo(card, [3, 18, 48, 63])).toBe(true);
+    expect(checkBingo(card, [3, 18, 48, 63], 'row')).toBe(true);
+    expect(checkBingo(card, [3, 18, 48, 63], 'column')).toBe(false);
+    expect(checkBingo(card, [31, 32, 34, 35], 'column')).toBe(true);
+    expect(checkBingo(card, [1, 17, 49, 65], 'diagonal')).toBe(true);
+    expect(checkBingo(card, [1, 17, 49])).toBe(false);
+  });
+
+  it('should detect four corners and blackout', () => {
+    expect(checkBingo(card, new Set([1, 5, 61, 65]), 'corners')).toBe(true);
+    expect(checkBingo(card, [1, 5, 61], 'corners')).toBe(false);
+    const all = card.rows.flat().filter((v) => v !== FREE);
+    expect(checkBingo(card, all, 'blackout')).toBe(true);
+    expect(checkBingo(card, all.slice(1), 'blackout')).toBe(false);
+  });
+
+  it('should accept custom patterns', () => {
+    const x = [[0, 0], [1, 1], [2, 2], [3, 3], [4, 4], [0, 4], [1, 3], [3, 1], [4, 0]];
+    expect(checkBingo(card, [1, 17, 49, 65, 61, 47, 19, 5], x)).toBe(true);
+    expect(checkBingo(card, [1, 17, 49, 65], x)).toBe(false);
+    expect(() => checkBingo(card, [], [[5, 0]])).toThrow('off the card');
+  });
+
+  it('should detect 90-ball lines, two lines and full house', () => {
+    const ticket = bingoCard({ variant: 90, seed: 3 });
+    const numbers = ticket.rows.map((row) => row.filter((v) => v !== null));
+    expect(BINGO_PATTERNS[90]).toEqual(['line', 'twoLines', 'fullHouse']);
+    expect(checkBingo(ticket, numbers[1])).toBe(true);
+    expect(checkBingo(ticket, numbers[1], 'twoLines')).toBe(false);
+    expect(checkBingo(ticket, [...numbers[0], ...numbers[2]], 'twoLines')).toBe(true);
+    expect(checkBingo(ticket, numbers.flat(), 'fullHouse')).toBe(true);
+  });
+
+  it('should throw for patterns of the wrong variant', () => {
+    expect(() => checkBingo(card, [], 'fullHouse')).toThrow('Unknown bingo pattern for 75-ball: "fullHouse"');
+  });
+});
+
+// ─── Game: BingoCaller ──────────────────────────────────────────────────────
+
+describe('BingoCaller', () => {
+  it('should call all 75 numbers once in a reproducible order', () => {
+    const caller = createBingoCaller({ seed: 'friday' });
+    expect(caller).toBeInstanceOf(BingoCaller);
+    const calls = [];
+    for (let n = caller.next(); n !== null; n = caller.next()) calls.push(n);
+    expect(calls).toHaveLength(75);
+    expect([...calls].sort((a, b) => a - b)).toEqual(Array.from({ length: 75 }, (_, i) => i + 1));
+    expect(caller.remaining).toBe(0);
+    expect(caller.called).toEqual(calls);
+    expect(new BingoCaller({ seed: 'friday' }).next()).toBe(calls[0]);
+  });
+
+  it('should call 90 numbers in the 90-ball variant', () => {
+    const caller = createBingoCaller({ variant: 90 });
+    while (caller.next() !== null);
+    expect(new Set(caller.called).size).toBe(90);
+    expect(caller.label(7)).toBe('7');
+  });
+
+  it('should label 75-ball calls', () => {
+    const caller = createBingoCaller();
+    expect(caller.label(14)).toBe('B-14');
+    expect(caller.label(75)).toBe('O-75');
+  });
+
+  it('should replay the same game after reset()', () => {
+    const caller = createBingoCaller();
+    const first = [caller.next(), caller.next()];
+    expect(caller.reset().called).toEqual([]);
+    expect([caller.next(), caller.next()]).toEqual(first);
+  });
+
+  it('should play until a card wins', () => {
+    const cards = [0, 1, 2, 3].map((seed) => bingoCard({ seed }));
+    const caller = createBingoCaller();
+    const { winners, calls } = caller.play(cards);
+    expect(winners.length).toBeGreaterThan(0);
+    expect(caller.called).toHaveLength(calls);
+    winners.forEach((i) => expect(checkBingo(cards[i], caller.called)).toBe(true));
+    const before = caller.called.slice(0, -1);
+    cards.forEach((card) => expect(checkBingo(card, before)).toBe(false));
+    expect(caller.winners(cards)).toEqual(winners);
+  });
+});
 
 // ─── Game: color() ──────────────────────────────────────────────────────────
 
@@ -517,6 +1583,114 @@ describe('color()', () => {
     const result = color({ seed: 123 });
     expect(result).toMatch(/^#[0-9a-f]{6}$/i);
   });
+
+  it('should output every format', () => {
+    expect(COLOR_FORMATS).toEqual(['hex', 'rgb', 'hsl', 'oklch']);
+    expect(color({ format: 'hex' })).toBe('#5edf9a');
+    expect(color({ format: 'rgb' })).toBe('rgb(94, 223, 154)');
+    expect(color({ format: 'hsl' })).toBe('hsl(148, 67%, 62%)');
+    expect(color({ format: 'oklch' })).toBe('oklch(81.4% 0.152 157.0)');
+  });
+
+  it('should reach letters a-f in every channel', () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 200; seed++) {
+      color({ seed, format: 'hex' }).slice(1).split('').forEach((c) => seen.add(c));
+    }
+    expect(seen.size).toBe(16);
+  });
+
+  it('should keep presets within their tone ranges', () => {
+    for (const [name, tone] of Object.entries(COLOR_PRESETS)) {
+      for (let seed = 0; seed < 20; seed++) {
+        const [, s, l] = color({ seed, preset: name, format: 'hsl' }).match(/\d+/g).map(Number);
+        expect(s).toBeGreaterThanOrEqual(Math.floor(tone.saturation[0] * 100) - 1);
+        expect(l).toBeGreaterThanOrEqual(Math.floor(tone.lightness[0] * 100) - 1);
+        expect(l).toBeLessThanOrEqual(Math.ceil(tone.lightness[1] * 100) + 1);
+      }
+    }
+  });
+
+  it('should fix the hue when given', () => {
+    expect(color({ hue: 200, format: 'hsl' })).toMatch(/^hsl\(200, /);
+  });
+
+  it('should stay readable on a background', () => {
+    for (let seed = 0; seed < 30; seed++) {
+      expect(contrastRatio(color({ seed, preset: 'pastel', background: '#ffffff' }), '#ffffff')).toBeGreaterThanOrEqual(4.5);
+      expect(contrastRatio(color({ seed, background: '#111', contrast: 7 }), '#111')).toBeGreaterThanOrEqual(7);
+    }
+  });
+
+  it('should throw when the contrast cannot be reached', () => {
+    expect(() => color({ background: '#777777', contrast: 10 })).toThrow('Cannot reach a contrast ratio');
+  });
+
+  it('should throw for unknown formats and presets', () => {
+    expect(() => color({ format: 'cmyk' })).toThrow('Unknown color format: "cmyk"');
+    expect(() => color({ preset: 'neon' })).toThrow('Unknown color preset: "neon"');
+  });
+});
+
+// ─── Game: palette() ────────────────────────────────────────────────────────
+
+describe('palette()', () => {
+  const hues = (colors) => colors.map((c) => Number(c.match(/^hsl\((\d+)/)[1]));
+
+  it('should space hues for each scheme', () => {
+    expect(PALETTE_SCHEMES).toEqual(['analogous', 'complementary', 'triadic', 'spaced']);
+    const [a, b] = hues(palette('complementary', { format: 'hsl' }));
+    expect((b - a + 360) % 360).toBe(180);
+    const tri = hues(palette('triadic', { format: 'hsl' }));
+    expect(tri).toHaveLength(3);
+    expect((tri[1] - tri[0] + 360) % 360).toBe(120);
+    const spaced = hues(palette('spaced', { count: 4, format: 'hsl' }));
+    expect(spaced).toEqual([133, 223, 313, 43]);
+  });
+
+  it('should spread analogous hues around the base', () => {
+    const result = hues(palette('analogous', { hue: 100, spread: 20, format: 'hsl' }));
+    expect(result).toEqual([80, 100, 120]);
+  });
+
+  it('should share one tone across the palette', () => {
+    const tones = palette('spaced', { format: 'hsl', preset: 'dark' }).map((c) => c.replace(/^hsl\(\d+/, ''));
+    expect(new Set(tones).size).toBe(1);
+  });
+
+  it('should be deterministic', () => {
+    expect(palette('triadic', { seed: 'brand' })).toEqual(palette('triadic', { seed: 'brand' }));
+  });
+
+  it('should throw for unknown schemes and bad counts', () => {
+    expect(() => palette('square')).toThrow('Unknown palette scheme: "square"');
+    expect(() => palette('spaced', { count: 0 })).toThrow('positive integer count');
+  });
+});
+
+// ─── Game: contrastRatio() ──────────────────────────────────────────────────
+
+describe('contrastRatio()', () => {
+  it('should return 21 for black on white in any format', () => {
+    expect(contrastRatio('#000', '#ffffff')).toBe(21);
+    expect(contrastRatio('rgb(0, 0, 0)', 'hsl(0, 0%, 100%)')).toBe(21);
+    expect(contrastRatio('oklch(100% 0 0)', '#000000')).toBe(21);
+  });
+
+  it('should be symmetric and 1 for equal colors', () => {
+    expect(contrastRatio('#336699', '#ffcc00')).toBe(contrastRatio('#ffcc00', '#336699'));
+    expect(contrastRatio('#336699', '#336699')).toBe(1);
+  });
+
+  it('should round-trip generated colors through every format', () => {
+    const hex = color({ seed: 9, format: 'hex' });
+    expect(contrastRatio(hex, color({ seed: 9, format: 'rgb' }))).toBe(1);
+    expect(contrastRatio(hex, color({ seed: 9, format: 'oklch' }))).toBeLessThan(1.02);
+  });
+
+  it('should throw for unparseable colors', () => {
+    expect(() => contrastRatio('red', '#000')).toThrow('Invalid color: "red"');
+  });
 });
 
 // ─── Method Attachment ───────────────────────────────────────────────────────
@@ -604,6 +1778,1491 @@ describe('randomSeed()', () => {
   });
 });
 
+// ─── Distributions ───────────────────────────────────────────────────────────
+
+describe('distributions', () => {
+  const N = 20000;
+
+  /**
+   * Draw N samples from one engine stream and return [mean, variance].
+   */
+  const moments = (sample) => {
+    const engine = createEngine('sfc32', 'moments');
+    const xs = Array.from({ length: N }, () => sample({ engine }));
+    const mean = xs.reduce((a, b) => a + b, 0) / N;
+    const variance = xs.reduce((a, b) => a + (b - mean) ** 2, 0) / (N - 1);
+    return [mean, variance];
+  };
+
+  /**
+   * Check sample mean within 4 standard errors and variance within 10%.
+   */
+  const expectMoments = (sample, mean, variance) => {
+    const [m, v] = moments(sample);
+    expect(Math.abs(m - mean)).toBeLessThan(4 * Math.sqrt(variance / N));
+    expect(Math.abs(v - variance) / variance).toBeLessThan(0.1);
+  };
+
+  it('should match normal() moments', () => {
+    expectMoments((o) => normal(3, 2, o), 3, 4);
+  });
+
+  it('should match logNormal() moments', () => {
+    const s2 = 0.25;
+    expectMoments((o) => logNormal(0, 0.5, o), Math.exp(s2 / 2), (Math.exp(s2) - 1) * Math.exp(s2));
+  });
+
+  it('should match exponential() moments', () => {
+    expectMoments((o) => exponential(2, o), 0.5, 0.25);
+  });
+
+  it('should match gamma() moments', () => {
+    expectMoments((o) => gamma(3, 2, o), 6, 12);
+    expectMoments((o) => gamma(0.5, 1, o), 0.5, 0.5);
+  });
+
+  it('should match beta() moments', () => {
+    expectMoments((o) => beta(2, 5, o), 2 / 7, 10 / (49 * 8));
+  });
+
+  it('should match poisson() moments', () => {
+    expectMoments((o) => poisson(3, o), 3, 3);
+    expectMoments((o) => poisson(80, o), 80, 80);
+  });
+
+  it('should match binomial() moments', () => {
+    expectMoments((o) => binomial(10, 0.5, o), 5, 2.5);
+    expectMoments((o) => binomial(1000, 0.3, o), 300, 210);
+  });
+
+  it('should match geometric() moments', () => {
+    expectMoments((o) => geometric(0.25, o), 4, 12);
+  });
+
+  it('should match triangular() moments', () => {
+    // mean (a + b + c) / 3, variance (a² + b² + c² - ab - ac - bc) / 18
+    expectMoments((o) => triangular(0, 10, 2, o), 4, (100 + 4 - 20) / 18);
+  });
+
+  it('should match pareto() moments', () => {
+    expectMoments((o) => pareto(5, 2, o), 2.5, (4 * 5) / (16 * 3));
+  });
+
+  it('should stay within each support', () => {
+    const engine = createEngine('pcg32', 9);
+    for (let i = 0; i < 1000; i++) {
+      expect(exponential(1, { engine })).toBeGreaterThan(0);
+      expect(logNormal(0, 1, { engine })).toBeGreaterThan(0);
+      const b = beta(0.5, 0.5, { engine });
+      expect(b).toBeGreaterThanOrEqual(0);
+      expect(b).toBeLessThanOrEqual(1);
+      expect(Number.isInteger(poisson(4, { engine }))).toBe(true);
+      const k = binomial(20, 0.7, { engine });
+      expect(k).toBeGreaterThanOrEqual(0);
+      expect(k).toBeLessThanOrEqual(20);
+      expect(geometric(0.5, { engine })).toBeGreaterThanOrEqual(1);
+      const t = triangular(-1, 1, 0, { engine });
+      expect(t).toBeGreaterThanOrEqual(-1);
+      expect(t).toBeLessThanOrEqual(1);
+      expect(pareto(2, 3, { engine })).toBeGreaterThanOrEqual(3);
+    }
+  });
+
+  it('should handle degenerate parameters', () => {
+    expect(normal(5, 0)).toBe(5);
+    expect(poisson(0)).toBe(0);
+    expect(binomial(10, 0)).toBe(0);
+    expect(binomial(10, 1)).toBe(10);
+    expect(binomial(0, 0.5)).toBe(0);
+    expect(geometric(1)).toBe(1);
+  });
+
+  it('should be reproducible per seed', () => {
+    expect(normal(0, 1, { seed: 42 })).toBe(normal(0, 1, { seed: 42 }));
+    expect(gamma(2, 1, { seed: 'brian' })).toBe(gamma(2, 1, { seed: 'brian' }));
+    expect(poisson(30, { seed: 7, algorithm: 'xoshiro128**' })).toBe(poisson(30, { seed: 7, algorithm: 'xoshiro128**' }));
+    expect(normal(0, 1, { seed: 1 })).not.toBe(normal(0, 1, { seed: 2 }));
+  });
+
+  it('should advance on generators', () => {
+    const gen = createGenerator(42);
+    const draws = Array.from({ length: 5 }, () => gen.normal());
+    expect(new Set(draws).size).toBe(5);
+    expect(gen.position).toBe(5);
+  });
+
+  it('should validate parameters', () => {
+    expect(() => normal(0, -1)).toThrow('normal() requires a finite mean and a non-negative stdDev');
+    expect(() => normal(NaN)).toThrow('normal()');
+    expect(() => logNormal(0, -1)).toThrow('logNormal() requires a finite mu and a non-negative sigma');
+    expect(() => exponential(0)).toThrow('exponential() requires a positive rate');
+    expect(() => gamma(0)).toThrow('gamma() requires a positive shape and scale');
+    expect(() => gamma(1, -1)).toThrow('gamma() requires a positive shape and scale');
+    expect(() => beta(1)).toThrow('beta() requires positive shapes a and b');
+    expect(() => poisson(-1)).toThrow('poisson() requires a non-negative lambda');
+    expect(() => binomial(1.5, 0.5)).toThrow('binomial() requires a non-negative integer n and p in [0, 1]');
+    expect(() => binomial(10, 2)).toThrow('binomial()');
+    expect(() => geometric(0)).toThrow('geometric() requires p in (0, 1]');
+    expect(() => triangular(1, 1)).toThrow('triangular() requires finite min < max with min <= mode <= max');
+    expect(() => triangular(0, 1, 2)).toThrow('triangular()');
+    expect(() => pareto(0)).toThrow('pareto() requires a positive shape and scale');
+  });
+});
+
+// ─── Dates and Times ─────────────────────────────────────────────────────────
+
+describe('date()', () => {
+  it('should return an ISO date in the default range', () => {
+    expect(date()).toBe('2002-01-11');
+    expect(date()).toBe(date());
+    for (let seed = 0; seed < 50; seed++) {
+      const value = date({ seed });
+      expect(value >= '2000-01-01' && value <= '2049-12-31').toBe(true);
+    }
+  });
+
+  it('should stay between from and to', () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 200; seed++) seen.add(date({ seed, from: '2024-02-27', to: '2024-03-01' }));
+    expect([...seen].sort()).toEqual(['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01']);
+    expect(date({ from: '2024-05-05', to: '2024-05-05' })).toBe('2024-05-05');
+    expect(() => date({ from: '2024-02-01', to: '2024-01-01' })).toThrow('date() requires from <= to');
+  });
+
+  it('should filter business days and weekends', () => {
+    for (let seed = 0; seed < 100; seed++) {
+      const business = new Date(date({ seed, days: 'business' })).getUTCDay();
+      expect(business >= 1 && business <= 5).toBe(true);
+      expect([0, 6]).toContain(new Date(date({ seed, days: 'weekend' })).getUTCDay());
+    }
+  });
+
+  it('should skip holidays on business days', () => {
+    const options = { from: '2024-12-23', to: '2024-12-27', days: 'business', holidays: ['2024-12-24', '2024-12-25'] };
+    for (let seed = 0; seed < 50; seed++) {
+      expect(['2024-12-23', '2024-12-26', '2024-12-27']).toContain(date({ ...options, seed }));
+    }
+    expect(() => date({ from: '2024-01-06', to: '2024-01-07', days: 'business' }))
+      .toThrow('No business days found between the from and to dates');
+  });
+
+  it('should find a lone matching day in a long range', () => {
+    const holidays = [];
+    for (let time = Date.UTC(2000, 0, 1); time <= Date.UTC(2049, 11, 31); time += 86400000) {
+      const day = new Date(time).toISOString().slice(0, 10);
+      if (day !== '2031-06-04') holidays.push(day);
+    }
+    const options = { days: 'business', holidays, timeZone: 'Asia/Tokyo' };
+    for (let seed = 0; seed < 3; seed++) {
+      expect(date({ ...options, seed })).toBe('2031-06-04');
+      expect(timestamp({ ...options, seed }).startsWith('2031-06-04T')).toBe(true);
+    }
+    expect(() => date({ ...options, to: '2031-06-03' }))
+      .toThrow('No business days found between the from and to dates');
+  });
+
+  it('should read Date holidays in the time zone', () => {
+    const christmas = new Date('2024-12-25T00:00:00+09:00'); // still 24 December in UTC
+    const options = { from: '2024-12-24', to: '2024-12-25', days: 'business', holidays: [christmas], timeZone: 'Asia/Tokyo' };
+    for (let seed = 0; seed < 20; seed++) {
+      expect(date({ ...options, seed })).toBe('2024-12-24');
+      const local = timestamp({ ...options, from: '2024-12-23T15:00:00Z', to: '2024-12-25T14:59:59Z', seed });
+      expect(local.startsWith('2024-12-24')).toBe(true);
+    }
+    expect(date({ ...options, timeZone: 'UTC', seed: 1 })).toBe('2024-12-25');
+  });
+
+  it('should return a Date at local midnight in a time zone', () => {
+    expect(date({ format: 'date' })).toEqual(new Date('2002-01-11T00:00:00Z'));
+    expect(date({ format: 'date', timeZone: 'America/New_York' })).toEqual(new Date('2002-01-11T05:00:00Z'));
+    expect(date({ format: 'date', timeZone: 'Asia/Kolkata', from: '2024-07-01', to: '2024-07-01' }))
+      .toEqual(new Date('2024-06-30T18:30:00Z'));
+  });
+
+  it('should read Date bounds in the time zone', () => {
+    const instant = new Date('2024-03-01T02:00:00Z'); // still 29 February in New York
+    expect(date({ from: instant, to: instant, timeZone: 'America/New_York' })).toBe('2024-02-29');
+    expect(date({ from: instant, to: instant })).toBe('2024-03-01');
+  });
+
+  it('should validate options', () => {
+    expect(() => date({ timeZone: 'Mars/Base' })).toThrow('Invalid time zone: "Mars/Base"');
+    expect(() => date({ days: 'holiday' })).toThrow('Unknown days filter: "holiday"');
+    expect(() => date({ format: 'unix' })).toThrow('Unknown format: "unix". Use iso, date');
+    expect(() => date({ from: '2024-13-01' })).toThrow('Invalid date: "2024-13-01"');
+    expect(() => date({ holidays: '2024-12-25' })).toThrow('holidays must be an array of dates');
+  });
+});
+
+describe('timestamp()', () => {
+  it('should return an ISO instant, Date or milliseconds', () => {
+    expect(timestamp()).toBe('2023-12-19T22:32:32.082Z');
+    expect(timestamp({ format: 'ms' })).toBe(Date.parse('2023-12-19T22:32:32.082Z'));
+    expect(timestamp({ format: 'date' })).toEqual(new Date('2023-12-19T22:32:32.082Z'));
+  });
+
+  it('should write the time zone offset', () => {
+    expect(timestamp({ timeZone: 'Asia/Tokyo' })).toBe('2023-12-20T07:32:32.082+09:00');
+    expect(timestamp({ timeZone: 'America/St_Johns' })).toBe('2023-12-19T19:02:32.082-03:30');
+    expect(Date.parse(timestamp({ timeZone: 'Europe/Paris', seed: 'x' }))).toBe(timestamp({ seed: 'x', format: 'ms' }));
+  });
+
+  it('should stay between from and to', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const ms = timestamp({ seed, from: '2024-01-01T00:00:00Z', to: new Date('2024-01-01T00:00:01Z'), format: 'ms' });
+      expect(ms >= Date.UTC(2024, 0, 1) && ms <= Date.UTC(2024, 0, 1, 0, 0, 1)).toBe(true);
+    }
+    expect(() => timestamp({ from: 'nope' })).toThrow('Invalid timestamp: "nope"');
+    expect(() => timestamp({ from: 10, to: 5 })).toThrow('timestamp() requires from <= to');
+  });
+
+  it('should apply the day filter to the local date', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const local = timestamp({ seed, days: 'weekend', timeZone: 'Pacific/Auckland' });
+      expect([0, 6]).toContain(new Date(local.slice(0, 10)).getUTCDay());
+    }
+  });
+});
+
+describe('time()', () => {
+  it('should return HH:MM:SS', () => {
+    expect(time()).toBe('14:21:46');
+    expect(time({ format: 'seconds' })).toBe(14 * 3600 + 21 * 60 + 46);
+  });
+
+  it('should stay between from and to', () => {
+    for (let seed = 0; seed < 100; seed++) {
+      const value = time({ seed, from: '09:00', to: '17:30' });
+      expect(value >= '09:00:00' && value <= '17:30:00').toBe(true);
+    }
+    expect(time({ from: '12:00:05', to: '12:00:05' })).toBe('12:00:05');
+  });
+
+  it('should reject invalid times', () => {
+    expect(() => time({ from: '25:00' })).toThrow('Invalid time: "25:00"');
+    expect(() => time({ from: '10:00', to: '09:00' })).toThrow('time() requires from <= to');
+  });
+});
+
+describe('duration()', () => {
+  it('should return milliseconds up to a day by default', () => {
+    expect(duration()).toBe(36512488);
+    for (let seed = 0; seed < 50; seed++) {
+      const ms = duration({ seed });
+      expect(ms >= 0 && ms <= 86400000).toBe(true);
+    }
+  });
+
+  it('should accept ISO 8601 bounds and format', () => {
+    expect(duration({ min: 'PT5M', max: 'PT2H', format: 'iso' })).toBe('PT1H23M32.276S');
+    expect(duration({ min: 'P1W', max: 'P1W', format: 'iso' })).toBe('P7D');
+    expect(duration({ min: 'P1DT1.5S', max: 'P1DT1.5S' })).toBe(86401500);
+    expect(duration({ min: 0, max: 0, format: 'iso' })).toBe('PT0S');
+  });
+
+  it('should reject durations with variable length or bad bounds', () => {
+    expect(() => duration({ max: 'P1M' })).toThrow('Invalid duration: "P1M"');
+    expect(() => duration({ max: 'PT' })).toThrow('Invalid duration: "PT"');
+    expect(() => duration({ min: -1 })).toThrow('Invalid duration: "-1"');
+    expect(() => duration({ min: 'PT2H', max: 'PT1H' })).toThrow('duration() requires min <= max');
+  });
+});
+
+describe('weekday()', () => {
+  it('should return a day name, short name or ISO number', () => {
+    expect(weekday()).toBe('Sunday');
+    expect(weekday({ format: 'short' })).toBe('Sun');
+    expect(weekday({ format: 'number' })).toBe(7);
+    expect(WEEKDAYS).toHaveLength(7);
+  });
+
+  it('should filter business days and weekends', () => {
+    const business = new Set();
+    const weekend = new Set();
+    for (let seed = 0; seed < 200; seed++) {
+      business.add(weekday({ seed, days: 'business', format: 'number' }));
+      weekend.add(weekday({ seed, days: 'weekend' }));
+    }
+    expect([...business].sort()).toEqual([1, 2, 3, 4, 5]);
+    expect([...weekend].sort()).toEqual(['Saturday', 'Sunday']);
+  });
+});
+
+describe('birthdate()', () => {
+  const now = Date.UTC(2025, 0, 1);
+
+  it('should give an age between minAge and maxAge', () => {
+    expect(birthdate({ now })).toBe(birthdate({ now }));
+    for (let seed = 0; seed < 200; seed++) {
+      const value = birthdate({ seed, now, minAge: 21, maxAge: 30 });
+      expect(value > '1994-01-01' && value <= '2004-01-01').toBe(true);
+    }
+  });
+
+  it('should count ages on 29 February', () => {
+    let min = '9999';
+    let max = '0000';
+    for (let seed = 0; seed < 2000; seed++) {
+      const value = birthdate({ seed, now: Date.UTC(2024, 1, 29), minAge: 18, maxAge: 20 });
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    expect([min, max]).toEqual(['2003-03-01', '2006-02-28']);
+  });
+
+  it('should return a Date when asked', () => {
+    expect(birthdate({ now, format: 'date' })).toBeInstanceOf(Date);
+  });
+
+  it('should validate ages', () => {
+    expect(() => birthdate({ now, minAge: 30, maxAge: 20 })).toThrow('birthdate() requires integer ages');
+    expect(() => birthdate({ now, minAge: -1 })).toThrow('birthdate() requires integer ages');
+  });
+});
+
+describe('temporal generators', () => {
+  it('should draw new values from a generator', () => {
+    const gen = createGenerator('fixtures');
+    expect(gen.date()).not.toBe(gen.date());
+    const again = createGenerator('fixtures');
+    again.date();
+    again.date();
+    expect(gen.timestamp()).toBe(again.timestamp());
+  });
+});
+
+// ─── Weighted Selection ──────────────────────────────────────────────────────
+
+describe('weighted spin()', () => {
+  const entries = [
+    { value: 'common', weight: 70 },
+    { value: 'rare', weight: 25 },
+    { value: 'epic', weight: 5 }
+  ];
+
+  const frequencies = (draw, n = 20000) => {
+    const engine = createEngine('sfc32', 'weights');
+    const counts = {};
+    for (let i = 0; i < n; i++) {
+      const value = draw({ engine });
+      counts[value] = (counts[value] || 0) + 1;
+    }
+    return counts;
+  };
+
+  it('should accept { value, weight } entries', () => {
+    const counts = frequencies((o) => spin(entries, o));
+    expect(counts.common / 20000).toBeCloseTo(0.7, 1);
+    expect(counts.rare / 20000).toBeCloseTo(0.25, 1);
+    expect(counts.epic / 20000).toBeCloseTo(0.05, 1);
+  });
+
+  it('should accept a parallel weights array', () => {
+    const counts = frequencies((o) => spin(['x', 'y'], { ...o, weights: [1, 3] }));
+    expect(counts.y / 20000).toBeCloseTo(0.75, 1);
+  });
+
+  it('should never pick zero-weight entries', () => {
+    const counts = frequencies((o) => spin(['a', 'b', 'c'], { ...o, weights: [0, 1, 0] }), 1000);
+    expect(counts).toEqual({ b: 1000 });
+  });
+
+  it('should be deterministic per seed', () => {
+    expect(spin(entries, { seed: 42 })).toBe(spin(entries, { seed: 42 }));
+  });
+
+  it('should leave unweighted spins unchanged', () => {
+    expect(spin(['apple', 'banana', 'cherry', 'date'])).toBe('cherry');
+    expect(spin([{ value: 1 }, { value: 2 }])).toEqual({ value: 1 });
+  });
+
+  it('should reject invalid weights', () => {
+    expect(() => spin(['a', 'b'], { weights: [1, -1] })).toThrow('Invalid weight at index 1: -1');
+    expect(() => spin(['a', 'b'], { weights: [1, NaN] })).toThrow('Invalid weight at index 1: NaN');
+    expect(() => spin(['a', 'b'], { weights: [0, 0] })).toThrow('Weights must not all be zero');
+    expect(() => spin(['a', 'b'], { weights: [1] })).toThrow('weights must be an array with one weight per entry');
+    expect(() => spin([{ value: 'a', weight: '1' }])).toThrow('Invalid weight at index 0: 1');
+  });
+});
+
+describe('createWeightedTable()', () => {
+  const table = createWeightedTable(['a', 'b', 'c', 'd'], [1, 2, 3, 4]);
+
+  it('should return a WeightedTable', () => {
+    expect(table).toBeInstanceOf(WeightedTable);
+    expect(table.size).toBe(4);
+    expect(table.values).toEqual(['a', 'b', 'c', 'd']);
+    expect(table.probabilities).toEqual([0.1, 0.2, 0.3, 0.4]);
+  });
+
+  it('should draw in proportion to the weights', () => {
+    const engine = createEngine('xoshiro128**', 3);
+    const counts = [0, 0, 0, 0];
+    for (let i = 0; i < 40000; i++) {
+      counts[table.drawIndex({ engine })]++;
+    }
+    counts.forEach((n, i) => {
+      expect(n / 40000).toBeCloseTo(table.probabilities[i], 1);
+    });
+  });
+
+  it('should handle large tables', () => {
+    const n = 10000;
+    const big = createWeightedTable(Array.from({ length: n }, (_, i) => ({ value: i, weight: i % 2 })));
+    const engine = createEngine('sfc32', 1);
+    for (let i = 0; i < 1000; i++) {
+      expect(big.draw({ engine }) % 2).toBe(1);
+    }
+  });
+
+  it('should be usable with spin() and generators', () => {
+    expect(spin(table, { seed: 7 })).toBe(table.draw({ seed: 7 }));
+    const gen = createGenerator(7);
+    const draws = Array.from({ length: 20 }, () => gen.spin(table));
+    expect(new Set(draws).size).toBeGreaterThan(1);
+  });
+
+  it('should reject invalid input', () => {
+    expect(() => createWeightedTable([])).toThrow('createWeightedTable() requires a non-empty array');
+    expect(() => createWeightedTable(['a'])).toThrow('createWeightedTable() requires { value, weight } entries or a weights array');
+  });
+});
+
+// ─── Shuffling and Sampling ──────────────────────────────────────────────────
+
+describe('shuffle()', () => {
+  const deck = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+  it('should be stable across releases', () => {
+    expect(shuffle(deck)).toEqual([10, 9, 4, 1, 8, 3, 6, 2, 5, 7]);
+    expect(shuffle(deck, { seed: 'playlist' })).toEqual([3, 5, 2, 8, 7, 1, 4, 10, 6, 9]);
+  });
+
+  it('should return a permutation without mutating the input', () => {
+    const input = [...deck];
+    const result = shuffle(input, { seed: 42 });
+    expect(input).toEqual(deck);
+    expect(result).not.toBe(input);
+    expect([...result].sort((a, b) => a - b)).toEqual(deck);
+  });
+
+  it('should shuffle in place with shuffleInPlace()', () => {
+    const input = [...deck];
+    const result = shuffleInPlace(input, { seed: 42 });
+    expect(result).toBe(input);
+    expect(result).toEqual(shuffle(deck, { seed: 42 }));
+  });
+
+  it('should place every element in every position evenly', () => {
+    const engine = createEngine('sfc32', 'shuffle');
+    const counts = Array.from({ length: 4 }, () => [0, 0, 0, 0]);
+    for (let i = 0; i < 8000; i++) {
+      shuffle([0, 1, 2, 3], { engine }).forEach((value, pos) => counts[value][pos]++);
+    }
+    counts.flat().forEach((n) => {
+      expect(n).toBeGreaterThan(1800);
+      expect(n).toBeLessThan(2200);
+    });
+  });
+
+  it('should handle empty and single-element arrays', () => {
+    expect(shuffle([])).toEqual([]);
+    expect(shuffle(['only'])).toEqual(['only']);
+  });
+
+  it('should throw for non-arrays', () => {
+    expect(() => shuffle('abc')).toThrow('shuffle() requires an array');
+    expect(() => shuffleInPlace(null)).toThrow('shuffleInPlace() requires an array');
+  });
+});
+
+describe('sample()', () => {
+  const items = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+  it('should return k distinct elements', () => {
+    const result = sample(items, 4, { seed: 7 });
+    expect(result).toHaveLength(4);
+    expect(new Set(result).size).toBe(4);
+    result.forEach((item) => expect(items).toContain(item));
+  });
+
+  it('should be deterministic per seed', () => {
+    expect(sample(items, 3, { seed: 'brian' })).toEqual(sample(items, 3, { seed: 'brian' }));
+  });
+
+  it('should handle k of 0 and the full length', () => {
+    expect(sample(items, 0)).toEqual([]);
+    expect([...sample(items, 6)].sort()).toEqual(items);
+  });
+
+  it('should validate k', () => {
+    expect(() => sample(items, 7)).toThrow('sample() requires k between 0 and 6');
+    expect(() => sample(items, -1)).toThrow('sample() requires k between 0 and 6');
+    expect(() => sample(items, 1.5)).toThrow('sample() requires k between 0 and 6');
+    expect(() => sample('abc', 1)).toThrow('sample() requires an array');
+  });
+});
+
+describe('pick()', () => {
+  it('should behave like sample() without weights', () => {
+    expect(pick([1, 2, 3, 4], 2, { seed: 5 })).toEqual(sample([1, 2, 3, 4], 2, { seed: 5 }));
+  });
+
+  it('should favor heavier weights for the first pick', () => {
+    const engine = createEngine('sfc32', 'pick');
+    const counts = { a: 0, b: 0, c: 0 };
+    for (let i = 0; i < 10000; i++) {
+      counts[pick(['a', 'b', 'c'], 1, { engine, weights: [1, 2, 7] })[0]]++;
+    }
+    expect(counts.a / 10000).toBeCloseTo(0.1, 1);
+    expect(counts.b / 10000).toBeCloseTo(0.2, 1);
+    expect(counts.c / 10000).toBeCloseTo(0.7, 1);
+  });
+
+  it('should return distinct elements and skip zero weights', () => {
+    const engine = createEngine('pcg32', 1);
+    for (let i = 0; i < 200; i++) {
+      const result = pick(['a', 'b', 'c', 'd'], 3, { engine, weights: [1, 0, 5, 2] });
+      expect([...result].sort()).toEqual(['a', 'c', 'd']);
+    }
+  });
+
+  it('should accept { value, weight } entries', () => {
+    const result = pick([{ value: 'x', weight: 1 }, { value: 'y', weight: 0 }, { value: 'z', weight: 1 }], 2, { seed: 3 });
+    expect([...result].sort()).toEqual(['x', 'z']);
+  });
+
+  it('should validate weights and k', () => {
+    expect(() => pick(['a', 'b'], 1, { weights: [1] })).toThrow('weights must be an array with one weight per entry');
+    expect(() => pick(['a', 'b'], 1, { weights: [1, -2] })).toThrow('Invalid weight at index 1: -2');
+    expect(() => pick(['a', 'b'], 1, { weights: [0, 0] })).toThrow('Weights must not all be zero');
+    expect(() => pick(['a', 'b', 'c'], 2, { weights: [0, 0, 1] })).toThrow('pick() requires k between 0 and 1');
+    expect(() => pick(['a'], 2)).toThrow('pick() requires k between 0 and 1');
+  });
+
+  it('should advance on generators', () => {
+    const gen = createGenerator('playlists');
+    const first = gen.shuffle([1, 2, 3, 4, 5, 6]);
+    const second = gen.shuffle([1, 2, 3, 4, 5, 6]);
+    expect(first).not.toEqual(second);
+    expect(gen.sample([1, 2, 3], 2)).toHaveLength(2);
+    expect(gen.pick([1, 2, 3], 2, { weights: [1, 1, 1] })).toHaveLength(2);
+  });
+});
+
+// ─── Cards ───────────────────────────────────────────────────────────────────
+
+describe('createDeck()', () => {
+  it('should build a standard 52-card deck in order', () => {
+    const deck = createDeck();
+    expect(deck).toBeInstanceOf(Deck);
+    expect(deck.remaining).toBe(52);
+    expect(deck.cards[0]).toEqual({ rank: 'Ace', suit: 'Spades', code: 'AS', name: 'Ace of Spades' });
+    expect(deck.cards[51].code).toBe('KC');
+    expect(new Set(deck.cards.map((c) => c.code)).size).toBe(52);
+  });
+
+  it('should use structured card objects', () => {
+    const card = createDeck().cards.find((c) => c.code === '8D');
+    expect(card).toEqual({ rank: '8', suit: 'Diamonds', code: '8D', name: '8 of Diamonds' });
+    expect(createDeck().cards.find((c) => c.rank === '10').code).toBe('TS');
+  });
+
+  it('should add jokers and build multi-deck shoes', () => {
+    expect(createDeck({ jokers: 2 }).remaining).toBe(54);
+    expect(createDeck({ jokers: 2 }).cards.filter((c) => c.rank === 'Joker')).toHaveLength(2);
+    expect(createDeck({ decks: 6 }).remaining).toBe(312);
+  });
+
+  it('should shuffle reproducibly per seed', () => {
+    const a = createDeck({ seed: 'table-1' }).shuffle().cards.map((c) => c.code);
+    const b = createDeck({ seed: 'table-1' }).shuffle().cards.map((c) => c.code);
+    const c = createDeck({ seed: 'table-2' }).shuffle().cards.map((c) => c.code);
+    expect(a).toEqual(b);
+    expect(a).not.toEqual(c);
+    expect([...a].sort()).toEqual(createDeck().cards.map((card) => card.code).sort());
+  });
+
+  it('should draw new randomness on every shuffle', () => {
+    const deck = createDeck({ seed: 1, algorithm: 'sfc32' });
+    const first = deck.shuffle().cards.map((c) => c.code);
+    const second = deck.reset().shuffle().cards.map((c) => c.code);
+    expect(first).not.toEqual(second);
+  });
+
+  it('should draw, deal and burn from the top', () => {
+    const deck = createDeck();
+    expect(deck.draw().code).toBe('AS');
+    expect(deck.deal(2).map((c) => c.code)).toEqual(['2S', '3S']);
+    deck.burn();
+    expect(deck.burned.map((c) => c.code)).toEqual(['4S']);
+    expect(deck.remaining).toBe(48);
+  });
+
+  it('should deal hands round the table', () => {
+    const deck = createDeck();
+    const hands = deck.dealHands(3, 2);
+    expect(hands.map((h) => h.map((c) => c.code))).toEqual([['AS', '4S'], ['2S', '5S'], ['3S', '6S']]);
+    expect(deck.remaining).toBe(46);
+  });
+
+  it('should never deal duplicates from a single deck', () => {
+    const deck = createDeck({ seed: 99 }).shuffle();
+    const dealt = deck.dealHands(4, 13).flat().map((c) => c.code);
+    expect(new Set(dealt).size).toBe(52);
+    expect(deck.remaining).toBe(0);
+  });
+
+  it('should reset to a full deck', () => {
+    const deck = createDeck().shuffle();
+    deck.deal(10);
+    deck.burn(2);
+    deck.reset();
+    expect(deck.remaining).toBe(52);
+    expect(deck.burned).toEqual([]);
+  });
+
+  it('should throw when running out of cards', () => {
+    const deck = createDeck();
+    deck.deal(50);
+    expect(() => deck.deal(3)).toThrow('Not enough cards: requested 3, 2 remaining');
+    expect(() => deck.dealHands(2, 2)).toThrow('Not enough cards: requested 4, 2 remaining');
+    expect(() => deck.deal(-1)).toThrow('Card count must be a non-negative integer');
+  });
+
+  it('should validate options', () => {
+    expect(() => createDeck({ decks: 0 })).toThrow('Deck requires a positive integer number of decks');
+    expect(() => createDeck({ jokers: -1 })).toThrow('Deck requires a non-negative integer number of jokers');
+  });
+});
+
+describe('evaluateHand()', () => {
+  const cases = [
+    [['AS', 'KS', 'QS', 'JS', 'TS'], 9, 'Royal Flush'],
+    [['9H', '8H', '7H', '6H', '5H'], 8, 'Straight Flush'],
+    [['7C', '7D', '7H', '7S', '2D'], 7, 'Four of a Kind'],
+    [['3C', '3D', '3H', '9S', '9D'], 6, 'Full House'],
+    [['2D', '7D', '9D', 'JD', 'KD'], 5, 'Flush'],
+    [['5C', '6D', '7H', '8S', '9D'], 4, 'Straight'],
+    [['QC', 'QD', 'QH', '2S', '9D'], 3, 'Three of a Kind'],
+    [['JC', 'JD', '4H', '4S', '9D'], 2, 'Two Pair'],
+    [['AC', 'AD', '4H', '7S', '9D'], 1, 'One Pair'],
+    [['AC', 'JD', '4H', '7S', '9D'], 0, 'High Card']
+  ];
+
+  for (const [hand, category, name] of cases) {
+    it(`should rank ${name}`, () => {
+      const result = evaluateHand(hand);
+      expect(result.category).toBe(category);
+      expect(result.name).toBe(name);
+      expect(result.cards).toHaveLength(5);
+    });
+  }
+
+  it('should treat A-2-3-4-5 as a five-high straight', () => {
+    const result = evaluateHand(['AS', '2D', '3H', '4C', '5S']);
+    expect(result.name).toBe('Straight');
+    expect(result.ranks).toEqual([4, 5]);
+    expect(compareHands(['AS', '2D', '3H', '4C', '5S'], ['2S', '3D', '4H', '5C', '6S'])).toBe(-1);
+  });
+
+  it('should pick the best five of seven', () => {
+    const result = evaluateHand(['2C', '3C', 'AH', 'KH', 'QH', 'JH', 'TH']);
+    expect(result.name).toBe('Royal Flush');
+    expect(result.cards.map((c) => c.code).sort()).toEqual(['AH', 'JH', 'KH', 'QH', 'TH']);
+  });
+
+  it('should accept card objects from a deck', () => {
+    const deck = createDeck();
+    expect(evaluateHand(deck.deal(5)).name).toBe('Straight Flush');
+  });
+
+  it('should accept "10" as a rank code', () => {
+    expect(evaluateHand(['10S', 'JS', 'QS', 'KS', 'AS']).name).toBe('Royal Flush');
+  });
+
+  it('should reject bad input', () => {
+    expect(() => evaluateHand(['AS', 'KS'])).toThrow('evaluateHand() requires 5 to 7 cards');
+    expect(() => evaluateHand(['AS', 'KS', 'QS', 'JS', 'ZZ'])).toThrow('Invalid card: "ZZ"');
+    expect(() => evaluateHand(['AS', 'KS', 'QS', 'JS', 'JK'])).toThrow('Invalid card: "JK"');
+  });
+});
+
+describe('compareHands()', () => {
+  it('should order categories', () => {
+    expect(compareHands(['AS', 'AD', '3H', '4C', '6S'], ['KS', 'QD', 'JH', '9C', '7S'])).toBe(1);
+    expect(compareHands(['2C', '3C', '4C', '5C', '7C'], ['5C', '6D', '7H', '8S', '9D'])).toBe(1);
+  });
+
+  it('should break ties with kickers', () => {
+    expect(compareHands(['AS', 'AD', 'KH', '4C', '6S'], ['AH', 'AC', 'QH', '9C', '7S'])).toBe(1);
+    expect(compareHands(['JC', 'JD', '4H', '4S', '2D'], ['JH', 'JS', '4C', '4D', '3D'])).toBe(-1);
+  });
+
+  it('should report exact ties', () => {
+    expect(compareHands(['AS', 'KD', 'QH', 'JC', '9S'], ['AH', 'KC', 'QD', 'JS', '9D'])).toBe(0);
+  });
+});
+
+// ─── Generator ───────────────────────────────────────────────────────────────
+
+describe('createGenerator()', () => {
+  it('should return a Pdrng instance', () => {
+    const gen = createGenerator(42);
+    expect(gen).toBeInstanceOf(Pdrng);
+    expect(gen.seed).toBe(42);
+    expect(gen.position).toBe(0);
+  });
+
+  it('should normalize seeds like the stateless functions', () => {
+    expect(createGenerator().seed).toBe(814);
+    expect(createGenerator('brian').seed).toBe(814);
+    expect(new Pdrng(-42).seed).toBe(42);
+  });
+
+  it('should advance on every call', () => {
+    const gen = createGenerator();
+    gen.coin();
+    gen.dice(20);
+    expect(gen.position).toBe(2);
+  });
+
+  it('should produce different outcomes across calls', () => {
+    const gen = createGenerator();
+    const flips = Array.from({ length: 20 }, () => gen.coin());
+    expect(flips).toContain('heads');
+    expect(flips).toContain('tails');
+  });
+
+  it('should roll uniform dice with the classic algorithm', () => {
+    const gen = createGenerator(1);
+    const counts = new Array(6).fill(0);
+    for (let i = 0; i < 60000; i++) counts[gen.dice(6) - 1]++;
+    // Chi-square with 5 degrees of freedom; 20.52 is the p = 0.001 critical value
+    const chiSquare = counts.reduce((sum, c) => sum + (c - 10000) ** 2 / 10000, 0);
+    expect(chiSquare).toBeLessThan(20.52);
+  });
+
+  it('should draw uniform ranges with the classic algorithm', () => {
+    const gen = createGenerator(1);
+    const counts = new Array(20).fill(0);
+    for (let i = 0; i < 40000; i++) counts[gen.range(1, 20) - 1]++;
+    // Chi-square with 19 degrees of freedom; 43.82 is the p = 0.001 critical value
+    const chiSquare = counts.reduce((sum, c) => sum + (c - 2000) ** 2 / 2000, 0);
+    expect(chiSquare).toBeLessThan(43.82);
+  });
+
+  it('should reproduce the same stream for the same seed', () => {
+    const a = createGenerator('brian');
+    const b = createGenerator('brian');
+    const draw = (gen) => [gen.coin(), gen.dice(20), gen.roll('2d6'), gen.float(), gen.card()];
+    expect(draw(a)).toEqual(draw(b));
+    expect(draw(a)).toEqual(draw(b));
+  });
+
+  it('should produce different streams for different seeds', () => {
+    const a = createGenerator(1);
+    const b = createGenerator(2);
+    const draw = (gen) => Array.from({ length: 5 }, () => gen.pdrng(6));
+    expect(draw(a)).not.toEqual(draw(b));
+  });
+
+  it('should pass positional arguments through', () => {
+    const gen = createGenerator();
+    for (let i = 0; i < 50; i++) {
+      const value = gen.dice(20);
+      expect(value).toBeGreaterThanOrEqual(1);
+      expect(value).toBeLessThanOrEqual(20);
+    }
+    expect(gen.range(5, 9)).toBeGreaterThanOrEqual(5);
+    expect(gen.array(4, 2)).toHaveLength(4);
+    expect(['x', 'y']).toContain(gen.spin(['x', 'y']));
+  });
+
+  it('should apply default arguments when omitted', () => {
+    const gen = createGenerator();
+    const value = gen.dice();
+    expect(value).toBeGreaterThanOrEqual(1);
+    expect(value).toBeLessThanOrEqual(6);
+  });
+
+  it('should propagate errors from the stateless functions', () => {
+    const gen = createGenerator();
+    expect(() => gen.roll('abc')).toThrow('Invalid dice notation');
+    expect(() => gen.spin([])).toThrow('spin() requires a non-empty array');
+  });
+
+  it('should not change the stateless results', () => {
+    createGenerator().coin();
+    expect(coin()).toBe('tails');
+    expect(pdrng()).toBe(814);
+  });
+
+  it('should be accessible on pdrng', () => {
+    expect(typeof pdrng.createGenerator).toBe('function');
+    expect(pdrng.Pdrng).toBe(Pdrng);
+  });
+});
+
+// ─── Streams ─────────────────────────────────────────────────────────────────
+
+describe('stream()', () => {
+  it('should yield the same values as a generator with the same seed', () => {
+    const gen = createGenerator('stream');
+    const expected = Array.from({ length: 5 }, () => gen.pdrng());
+    expect(stream({ seed: 'stream' }).take(5).toArray()).toEqual(expected);
+  });
+
+  it('should restart on every iteration', () => {
+    const values = stream({ seed: 7 }).take(4);
+    expect([...values]).toEqual([...values]);
+  });
+
+  it('should be infinite until take()', () => {
+    let count = 0;
+    for (const n of stream()) {
+      expect(typeof n).toBe('number');
+      if (++count === 1000) break;
+    }
+    expect(count).toBe(1000);
+    expect(stream().limit).toBe(Infinity);
+    expect(() => stream().toArray()).toThrow('toArray() needs a finite stream');
+  });
+
+  it('should keep the shorter limit when take() is chained', () => {
+    expect(stream().take(5).take(10).limit).toBe(5);
+    expect(stream().take(10).take(3).toArray()).toHaveLength(3);
+    expect(stream().take(0).toArray()).toEqual([]);
+  });
+
+  it('should call the chosen method with its arguments and options', () => {
+    const gen = createGenerator(3, { algorithm: 'sfc32' });
+    const expected = Array.from({ length: 6 }, () => gen.range(1, 6, { mode: 'uniform' }));
+    const values = stream({ seed: 3, algorithm: 'sfc32', method: 'range', args: [1, 6], mode: 'uniform' });
+    expect(values.take(6).toArray()).toEqual(expected);
+    expect(stream({ method: 'pdrng', args: [6] }).take(3).toArray().every((n) => n >= 0 && n < 1e6)).toBe(true);
+  });
+
+  it('should support the simulation generators', () => {
+    const coins = stream({ seed: 1, method: 'coin' }).take(20).toArray();
+    expect(coins.every((c) => c === 'heads' || c === 'tails')).toBe(true);
+    const rolls = stream({ seed: 1, method: 'dice', args: [20] }).take(20).toArray();
+    expect(rolls.every((r) => r >= 1 && r <= 20)).toBe(true);
+    const cards = stream({ seed: 1, method: 'card' }).take(3).toArray();
+    expect(cards).toEqual(stream({ seed: 1, method: 'card' }).take(3).toArray());
+    expect(cards[0]).toMatch(/ of /);
+  });
+
+  it('should work with for await', async () => {
+    const values = [];
+    for await (const n of stream({ seed: 9 }).take(4)) values.push(n);
+    expect(values).toEqual(stream({ seed: 9 }).take(4).toArray());
+  });
+
+  it('should reject bad options', () => {
+    expect(() => stream({ method: 'nope' })).toThrow('Unknown stream method: "nope"');
+    expect(() => stream({ args: 6 })).toThrow('Stream args must be an array');
+    expect(() => stream({ limit: -1 })).toThrow('Stream limit must be a non-negative integer');
+    expect(() => stream().take(1.5)).toThrow('take() requires a non-negative integer');
+  });
+
+  it('should be accessible on pdrng', () => {
+    expect(pdrng.stream).toBe(stream);
+    expect(stream()).toBeInstanceOf(ValueStream);
+  });
+});
+
+// ─── Global Patching ─────────────────────────────────────────────────────────
+
+describe('install() / uninstall()', () => {
+  const originalRandom = Math.random;
+  afterEach(() => {
+    uninstall({ all: true });
+  });
+
+  it('should replace Math.random with a seeded stream', () => {
+    install({ seed: 'flaky' });
+    const first = [Math.random(), Math.random(), Math.random()];
+    uninstall();
+    install({ seed: 'flaky' });
+    expect([Math.random(), Math.random(), Math.random()]).toEqual(first);
+    expect(first.every((n) => n >= 0 && n < 1)).toBe(true);
+  });
+
+  it('should restore the original Math.random', () => {
+    const restore = install({ seed: 1 });
+    expect(Math.random).not.toBe(originalRandom);
+    expect(restore()).toBe(true);
+    expect(Math.random).toBe(originalRandom);
+    expect(restore()).toBe(false);
+    expect(uninstall()).toBe(false);
+  });
+
+  it('should nest installs', () => {
+    install({ seed: 1 });
+    const outer = Math.random;
+    install({ seed: 2 });
+    expect(Math.random).not.toBe(outer);
+    uninstall();
+    expect(Math.random).toBe(outer);
+    uninstall();
+    expect(Math.random).toBe(originalRandom);
+  });
+
+  it('should restore correctly when layers are removed out of order', () => {
+    const restoreOuter = install({ seed: 1 });
+    const restoreInner = install({ seed: 2 });
+    const inner = Math.random;
+    restoreOuter();
+    expect(Math.random).toBe(inner);
+    restoreInner();
+    expect(Math.random).toBe(originalRandom);
+  });
+
+  it('should remove every layer with all: true', () => {
+    install({ seed: 1 });
+    install({ seed: 2, crypto: true });
+    expect(uninstall({ all: true })).toBe(true);
+    expect(Math.random).toBe(originalRandom);
+    expect(Object.hasOwn(globalThis.crypto, 'getRandomValues')).toBe(false);
+  });
+
+  it('should honour the algorithm option', () => {
+    install({ seed: 5, algorithm: 'sfc32' });
+    const values = [Math.random(), Math.random()];
+    uninstall();
+    const engine = createEngine('sfc32', 5);
+    const expected = [0, 1].map(() => {
+      const a = engine.next() >>> 5;
+      const b = engine.next() >>> 6;
+      return (a * 67108864 + b) / 9007199254740992;
+    });
+    expect(values).toEqual(expected);
+  });
+
+  it('should leave crypto alone unless asked', () => {
+    install({ seed: 1 });
+    expect(Object.hasOwn(globalThis.crypto, 'getRandomValues')).toBe(false);
+    expect(Object.hasOwn(globalThis.crypto, 'randomUUID')).toBe(false);
+  });
+
+  it('should replace crypto.getRandomValues and crypto.randomUUID', () => {
+    install({ seed: 'c', crypto: true });
+    const values = globalThis.crypto.getRandomValues(new Uint32Array(4));
+    const id = globalThis.crypto.randomUUID();
+    uninstall();
+    install({ seed: 'c', crypto: true });
+    expect(globalThis.crypto.getRandomValues(new Uint32Array(4))).toEqual(values);
+    expect(globalThis.crypto.randomUUID()).toBe(id);
+    expect(isUuid(id)).toBe(true);
+    expect(id[14]).toBe('4');
+  });
+
+  it('should validate getRandomValues arguments like Web Crypto', () => {
+    install({ seed: 1, crypto: true });
+    const array = new Uint8Array(8);
+    expect(globalThis.crypto.getRandomValues(array)).toBe(array);
+    expect(() => globalThis.crypto.getRandomValues(new Float64Array(2))).toThrow('integer typed array');
+    expect(() => globalThis.crypto.getRandomValues(new Uint8Array(65537))).toThrow('65536 bytes');
+  });
+
+  it('should restore the original crypto methods', () => {
+    const { getRandomValues, randomUUID } = globalThis.crypto;
+    install({ seed: 1, crypto: true });
+    uninstall();
+    expect(globalThis.crypto.getRandomValues).toBe(getRandomValues);
+    expect(globalThis.crypto.randomUUID).toBe(randomUUID);
+    expect(globalThis.crypto.getRandomValues(new Uint8Array(4))).toHaveLength(4);
+  });
+
+  it('should be accessible on pdrng', () => {
+    expect(pdrng.install).toBe(install);
+    expect(pdrng.uninstall).toBe(uninstall);
+    expect(pdrng.withSeed).toBe(withSeed);
+  });
+});
+
+describe('withSeed()', () => {
+  const originalRandom = Math.random;
+
+  it('should run a function with a seeded Math.random', () => {
+    const values = withSeed('scope', () => [Math.random(), Math.random()]);
+    expect(withSeed('scope', () => [Math.random(), Math.random()])).toEqual(values);
+    expect(Math.random).toBe(originalRandom);
+  });
+
+  it('should restore the outer seed after a nested scope', () => {
+    withSeed(1, () => {
+      const outer = Math.random;
+      withSeed(2, () => {
+        expect(Math.random).not.toBe(outer);
+      });
+      expect(Math.random).toBe(outer);
+    });
+    expect(Math.random).toBe(originalRandom);
+  });
+
+  it('should restore when the function throws', () => {
+    expect(() => withSeed(1, () => {
+      throw new Error('boom');
+    })).toThrow('boom');
+    expect(Math.random).toBe(originalRandom);
+  });
+
+  it('should keep the seed until an async function settles', async () => {
+    const expected = withSeed(3, () => [Math.random(), Math.random()]);
+    const values = await withSeed(3, async () => {
+      const first = Math.random();
+      await Promise.resolve();
+      return [first, Math.random()];
+    });
+    expect(values).toEqual(expected);
+    expect(Math.random).toBe(originalRandom);
+  });
+
+  it('should restore when an async function rejects', async () => {
+    await expect(withSeed(1, async () => {
+      throw new Error('async boom');
+    })).rejects.toThrow('async boom');
+    expect(Math.random).toBe(originalRandom);
+  });
+
+  it('should pass options to install()', () => {
+    const id = withSeed(1, () => globalThis.crypto.randomUUID(), { crypto: true });
+    expect(withSeed(1, () => globalThis.crypto.randomUUID(), { crypto: true })).toBe(id);
+  });
+
+  it('should require a function', () => {
+    expect(() => withSeed(1)).toThrow('withSeed() requires a function');
+    expect(Math.random).toBe(originalRandom);
+  });
+});
+
+// ─── Engines ─────────────────────────────────────────────────────────────────
+
+describe('engines', () => {
+  it('should list the built-in algorithms', () => {
+    expect(ALGORITHMS).toEqual(['classic', 'mulberry32', 'sfc32', 'xoshiro128**', 'pcg32', 'splitmix64']);
+  });
+
+  it('should create engines that emit unsigned 32-bit integers', () => {
+    for (const algorithm of ALGORITHMS) {
+      const engine = createEngine(algorithm, 42);
+      expect(engine.algorithm).toBe(algorithm);
+      for (let i = 0; i < 100; i++) {
+        const value = engine.next();
+        expect(Number.isInteger(value)).toBe(true);
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(2 ** 32);
+      }
+    }
+  });
+
+  it('should match the pcg32 reference output', () => {
+    // pcg32_srandom(42, 54) from the PCG reference implementation
+    const engine = createEngine('pcg32', 42);
+    expect([engine.next(), engine.next(), engine.next()]).toEqual([0xa15c02b7, 0x7b47f409, 0xba1d3330]);
+  });
+
+  it('should be deterministic per seed and differ across seeds', () => {
+    for (const algorithm of ALGORITHMS) {
+      const a = createEngine(algorithm, 'brian');
+      const b = createEngine(algorithm, 'brian');
+      const c = createEngine(algorithm, 'alice');
+      const draw = (engine) => Array.from({ length: 5 }, () => engine.next());
+      const first = draw(a);
+      expect(first).toEqual(draw(b));
+      expect(first).not.toEqual(draw(c));
+    }
+  });
+
+  it('should throw for an unknown algorithm', () => {
+    expect(() => createEngine('nope', 1)).toThrow('Unknown algorithm: "nope"');
+    expect(() => coin({ algorithm: 'nope' })).toThrow('Unknown algorithm: "nope"');
+  });
+
+  it('should keep classic as the default', () => {
+    expect(pdrng(3, { algorithm: 'classic' })).toBe(814);
+    expect(card({ algorithm: 'classic' })).toBe('8 of Diamonds');
+  });
+
+  it('should run every function on every algorithm', () => {
+    for (const algorithm of ALGORITHMS.filter((a) => a !== 'classic')) {
+      const opts = { seed: 42, algorithm };
+      expect(String(pdrng(3, opts))).toHaveLength(3);
+      expect(float(6, opts)).toBeLessThan(1);
+      expect(range(1, 6, opts)).toBeGreaterThanOrEqual(1);
+      expect(range(1, 6, opts)).toBeLessThanOrEqual(6);
+      expect(array(4, 2, opts)).toHaveLength(4);
+      expect(uuid(opts)).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(['odd', 'even']).toContain(oddOrEven(opts));
+      expect(['red', 'black']).toContain(redOrBlack(opts));
+      expect(['heads', 'tails']).toContain(coin(opts));
+      expect(dice(20, opts)).toBeLessThanOrEqual(20);
+      expect(card(opts)).toMatch(/^\w+ of \w+$/);
+      expect(roulette(opts).number).toBeLessThan(37);
+      expect(['rock', 'paper', 'scissors']).toContain(rps(opts));
+      expect(typeof magic8(opts)).toBe('string');
+      expect(typeof zodiac(opts)).toBe('string');
+      expect(typeof tarot(opts)).toBe('string');
+      expect(typeof fortune(opts)).toBe('string');
+      expect(['a', 'b']).toContain(spin(['a', 'b'], opts));
+      expect(roll('3d6+1', opts).rolls).toHaveLength(3);
+      expect(bingo(opts)).toMatch(/^[BINGO]-\d+$/);
+      expect(color(opts)).toMatch(/^#[0-9a-f]{6}$/);
+    }
+  });
+
+  it('should be deterministic for a seed and algorithm', () => {
+    const opts = { seed: 'brian', algorithm: 'sfc32' };
+    expect(roll('4d6', opts)).toEqual(roll('4d6', opts));
+    expect(uuid(opts)).toBe(uuid(opts));
+  });
+
+  it('should draw uniformly from range()', () => {
+    const engine = createEngine('xoshiro128**', 1);
+    const counts = new Array(10).fill(0);
+    for (let i = 0; i < 10000; i++) {
+      counts[range(0, 9, { engine })]++;
+    }
+    counts.forEach((n) => {
+      expect(n).toBeGreaterThan(900);
+      expect(n).toBeLessThan(1100);
+    });
+  });
+
+  it('should accept a custom engine object', () => {
+    let n = 0;
+    const engine = { next: () => n++ };
+    expect(dice(6, { engine })).toBe(1);
+    expect(dice(6, { engine })).toBe(2);
+    expect(coin({ engine })).toBe('heads');
+  });
+
+  it('should back a generator with the chosen algorithm', () => {
+    const gen = createGenerator(42, { algorithm: 'pcg32' });
+    const engine = createEngine('pcg32', 42);
+    expect(gen.algorithm).toBe('pcg32');
+    expect(gen.dice(20)).toBe(dice(20, { engine }));
+    expect(gen.coin()).toBe(coin({ engine }));
+    expect(gen.position).toBe(2);
+  });
+
+  it('should default generators to the classic algorithm', () => {
+    expect(createGenerator().algorithm).toBe('classic');
+  });
+
+  it('should be accessible on pdrng', () => {
+    expect(pdrng.createEngine).toBe(createEngine);
+    expect(pdrng.ALGORITHMS).toBe(ALGORITHMS);
+  });
+});
+
+// ─── Generator State ─────────────────────────────────────────────────────────
+
+describe('generator state', () => {
+  const draw = (gen) => [gen.dice(100), gen.coin(), gen.uuid(), gen.roll('3d6').total];
+
+  it('should capture a JSON-safe snapshot', () => {
+    const gen = createGenerator('brian', { algorithm: 'sfc32' });
+    gen.coin();
+    const snapshot = gen.getState();
+    expect(snapshot).toEqual({
+      version: 1,
+      algorithm: 'sfc32',
+      seed: 814,
+      position: 1,
+      state: expect.any(Array)
+    });
+    expect(snapshot.state).toHaveLength(4);
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+
+  it('should serialize through JSON.stringify()', () => {
+    const gen = createGenerator(42);
+    gen.coin();
+    expect(JSON.parse(JSON.stringify(gen))).toEqual(gen.getState());
+  });
+
+  it('should resume the same stream for every algorithm', () => {
+    for (const algorithm of ALGORITHMS) {
+      const gen = createGenerator(7, { algorithm });
+      draw(gen);
+      const snapshot = JSON.parse(JSON.stringify(gen.getState()));
+      const expected = draw(gen);
+      expect(draw(Pdrng.fromState(snapshot))).toEqual(expected);
+    }
+  });
+
+  it('should rewind with setState()', () => {
+    const gen = createGenerator(7, { algorithm: 'pcg32' });
+    const snapshot = gen.getState();
+    const first = draw(gen);
+    expect(gen.setState(snapshot)).toBe(gen);
+    expect(gen.position).toBe(0);
+    expect(draw(gen)).toEqual(first);
+  });
+
+  it('should not be affected by mutating a snapshot', () => {
+    const gen = createGenerator(7, { algorithm: 'mulberry32' });
+    const snapshot = gen.getState();
+    snapshot.state[0] = 0;
+    expect(gen.getState().state[0]).not.toBe(0);
+  });
+
+  it('should reject snapshots from another version', () => {
+    const snapshot = { ...createGenerator().getState(), version: 2 };
+    expect(() => Pdrng.fromState(snapshot)).toThrow('Unsupported state version: 2 (expected 1)');
+  });
+
+  it('should reject snapshots from another algorithm', () => {
+    const snapshot = createGenerator(1, { algorithm: 'sfc32' }).getState();
+    const gen = createGenerator(1, { algorithm: 'pcg32' });
+    expect(() => gen.setState(snapshot)).toThrow('State algorithm "sfc32" does not match generator algorithm "pcg32"');
+  });
+
+  it('should reject unknown algorithms', () => {
+    const snapshot = { ...createGenerator().getState(), algorithm: 'nope' };
+    expect(() => Pdrng.fromState(snapshot)).toThrow('Unknown algorithm: "nope"');
+  });
+
+  it('should reject malformed snapshots', () => {
+    const valid = createGenerator(1, { algorithm: 'sfc32' }).getState();
+    expect(() => Pdrng.fromState(null)).toThrow('Invalid state: expected a snapshot object');
+    expect(() => Pdrng.fromState({ ...valid, seed: 'brian' })).toThrow('seed must be a normalized seed');
+    expect(() => Pdrng.fromState({ ...valid, seed: 0 })).toThrow('seed must be a normalized seed');
+    expect(() => Pdrng.fromState({ ...valid, position: -1 })).toThrow('position must be a non-negative integer');
+    expect(() => Pdrng.fromState({ ...valid, state: [1, 2] })).toThrow('expected 4 state words for "sfc32"');
+    expect(() => Pdrng.fromState({ ...valid, state: [1, 2, 3, 2 ** 32] })).toThrow('expected 4 state words');
+  });
+
+  it('should round-trip engine state words', () => {
+    for (const algorithm of ALGORITHMS) {
+      const engine = createEngine(algorithm, 99);
+      engine.next();
+      const words = engine.getState();
+      const expected = [engine.next(), engine.next()];
+      const copy = createEngine(algorithm, 1);
+      copy.setState(words);
+      expect([copy.next(), copy.next()]).toEqual(expected);
+    }
+  });
+});
+
+// ─── Stream Splitting ────────────────────────────────────────────────────────
+
+describe('deriveSeed()', () => {
+  it('should be stable across versions', () => {
+    expect(deriveSeed(814, 'world/level-3/chest-7')).toBe(9004951557539323);
+    expect(deriveSeed(814, 'loot')).toBe(5501888420785565);
+  });
+
+  it('should compose label paths', () => {
+    const world = deriveSeed('brian', 'world');
+    expect(deriveSeed('brian', 'world/level-3')).toBe(deriveSeed(world, 'level-3'));
+  });
+
+  it('should differ by label and by parent seed', () => {
+    expect(deriveSeed(814, 'loot')).not.toBe(deriveSeed(814, 'weather'));
+    expect(deriveSeed(814, 'loot')).not.toBe(deriveSeed(815, 'loot'));
+  });
+
+  it('should accept numeric labels', () => {
+    expect(deriveSeed(814, 3)).toBe(deriveSeed(814, '3'));
+  });
+
+  it('should throw for empty or invalid paths', () => {
+    expect(() => deriveSeed(814, '')).toThrow('Invalid derivation path: ""');
+    expect(() => deriveSeed(814, 'a//b')).toThrow('Invalid derivation path: "a//b"');
+    expect(() => deriveSeed(814)).toThrow('Invalid derivation path');
+  });
+});
+
+describe('fork() and split()', () => {
+  it('should create a child generator from a label path', () => {
+    const child = createGenerator(814).fork('world/level-3/chest-7');
+    expect(child).toBeInstanceOf(Pdrng);
+    expect(child.seed).toBe(9004951557539323);
+    expect(child.position).toBe(0);
+  });
+
+  it('should not depend on the parent position', () => {
+    const parent = createGenerator(814);
+    const before = parent.fork('loot').pdrng(6);
+    parent.coin();
+    parent.dice();
+    expect(parent.fork('loot').pdrng(6)).toBe(before);
+  });
+
+  it('should match nested forks', () => {
+    const gen = createGenerator('seed');
+    expect(gen.fork('a/b/c').seed).toBe(gen.fork('a').fork('b').fork('c').seed);
+  });
+
+  it('should keep the parent algorithm', () => {
+    const child = createGenerator(1, { algorithm: 'sfc32' }).fork('ai');
+    expect(child.algorithm).toBe('sfc32');
+  });
+
+  it('should produce uncorrelated sibling streams', () => {
+    const [a, b] = createGenerator(1000, { algorithm: 'sfc32' }).split(2);
+    const n = 2000;
+    const xs = a.array(n, 6);
+    const ys = b.array(n, 6);
+    const mean = (v) => v.reduce((x, y) => x + y, 0) / v.length;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let cov = 0;
+    let vx = 0;
+    let vy = 0;
+    for (let i = 0; i < n; i++) {
+      cov += (xs[i] - mx) * (ys[i] - my);
+      vx += (xs[i] - mx) ** 2;
+      vy += (ys[i] - my) ** 2;
+    }
+    expect(Math.abs(cov / Math.sqrt(vx * vy))).toBeLessThan(0.1);
+  });
+
+  it('should split into indexed children', () => {
+    const gen = createGenerator(42);
+    const children = gen.split(3);
+    expect(children).toHaveLength(3);
+    expect(children.map((c) => c.seed)).toEqual([gen.fork('0').seed, gen.fork('1').seed, gen.fork('2').seed]);
+    expect(new Set(children.map((c) => c.seed)).size).toBe(3);
+  });
+
+  it('should throw for an invalid split count', () => {
+    expect(() => createGenerator().split(-1)).toThrow('split() requires a non-negative integer');
+    expect(() => createGenerator().split(1.5)).toThrow('split() requires a non-negative integer');
+  });
+});
+
+// ─── Seed Hashing ────────────────────────────────────────────────────────────
+
+describe('hash option', () => {
+  it('should list the built-in hashes', () => {
+    expect(HASHES).toEqual(['classic', 'fnv1a', 'cyrb53', 'murmur3']);
+  });
+
+  it('should keep classic as the default text hash', () => {
+    expect(pdrng(3, { seed: 'brian', hash: 'classic' })).toBe(814);
+    expect(createGenerator('brian').seed).toBe(814);
+  });
+
+  it('should match reference hash values', () => {
+    expect(createGenerator('', { hash: 'cyrb53' }).seed).toBe(3338908027751811);
+    expect(createGenerator('hello', { hash: 'murmur3' }).seed).toBe(0x248bfa47);
+    // 64-bit FNV-1a of "hello" is 0xa430d84680aabd0b, truncated to 53 bits
+    expect(createGenerator('hello', { hash: 'fnv1a' }).seed).toBe(0x10d84680aabd0b);
+  });
+
+  it('should produce large seeds from text', () => {
+    expect(createGenerator('brian', { hash: 'cyrb53' }).seed).toBeGreaterThan(2 ** 32);
+    expect(createGenerator('brian', { hash: 'fnv1a' }).seed).toBeGreaterThan(2 ** 32);
+  });
+
+  it('should avoid classic collisions', () => {
+    // "aan" and "aba" hash to the same classic seed
+    expect(createGenerator('aan').seed).toBe(createGenerator('aba').seed);
+    for (const hash of ['fnv1a', 'cyrb53', 'murmur3']) {
+      expect(createGenerator('aan', { hash }).seed).not.toBe(createGenerator('aba', { hash }).seed);
+    }
+  });
+
+  it('should keep the full entropy of fractional seeds', () => {
+    const a = createGenerator(0.1234567890123456, { hash: 'cyrb53' }).seed;
+    const b = createGenerator(0.1234567890123457, { hash: 'cyrb53' }).seed;
+    expect(a).not.toBe(b);
+    expect(createGenerator(814.9, { hash: 'cyrb53' }).seed).not.toBe(814);
+  });
+
+  it('should leave integer seeds unchanged', () => {
+    for (const hash of HASHES) {
+      expect(createGenerator(42, { hash }).seed).toBe(42);
+    }
+  });
+
+  it('should accept BigInt seeds', () => {
+    expect(createGenerator(42n).seed).toBe(42);
+    expect(createGenerator(-42n).seed).toBe(42);
+    expect(createGenerator(0n).seed).toBe(DEFAULT_SEED);
+    expect(pdrng(3, { seed: 814n })).toBe(814);
+    const big = createGenerator(2n ** 80n).seed;
+    expect(Number.isSafeInteger(big)).toBe(true);
+    expect(big).not.toBe(createGenerator(2n ** 80n + 1n).seed);
+  });
+
+  it('should thread the hash through functions, engines and forks', () => {
+    const opts = { seed: 'brian', hash: 'fnv1a' };
+    expect(coin(opts)).toBe(coin({ seed: createGenerator('brian', opts).seed }));
+    const engine = createEngine('sfc32', 'brian', { hash: 'fnv1a' });
+    expect(engine.next()).toBe(createEngine('sfc32', createGenerator('brian', opts).seed).next());
+    expect(deriveSeed('brian', 'loot', { hash: 'fnv1a' })).not.toBe(deriveSeed('brian', 'loot'));
+  });
+
+  it('should throw for an unknown hash', () => {
+    expect(() => coin({ seed: 'x', hash: 'md5' })).toThrow('Unknown hash: "md5"');
+  });
+});
+
+describe('seedFrom()', () => {
+  it('should ignore object key order', () => {
+    expect(seedFrom({ a: 1, b: { c: 2, d: 3 } })).toBe(seedFrom({ b: { d: 3, c: 2 }, a: 1 }));
+  });
+
+  it('should be stable across versions', () => {
+    expect(seedFrom({ level: 3, name: 'chest' })).toBe(seedFrom({ name: 'chest', level: 3 }));
+    expect(seedFrom('x')).toBe(6067884922376792);
+    expect(seedFrom('x', { hash: 'murmur3' })).toBe(732231694);
+  });
+
+  it('should distinguish types', () => {
+    const seeds = [1, '1', 1n, [1], { 1: 1 }, true, 'true', null, new Uint8Array([1])].map((v) => seedFrom(v));
+    expect(new Set(seeds).size).toBe(seeds.length);
+  });
+
+  it('should hash arrays in order', () => {
+    expect(seedFrom([1, 2, 3])).not.toBe(seedFrom([3, 2, 1]));
+  });
+
+  it('should hash Uint8Arrays by content', () => {
+    expect(seedFrom(new Uint8Array([1, 2, 255]))).toBe(seedFrom(new Uint8Array([1, 2, 255])));
+    expect(seedFrom(new Uint8Array([1, 2, 255]))).not.toBe(seedFrom(new Uint8Array([1, 2, 254])));
+  });
+
+  it('should hash BigInts', () => {
+    expect(seedFrom(2n ** 100n)).not.toBe(seedFrom(2n ** 100n + 1n));
+  });
+
+  it('should skip undefined properties like JSON', () => {
+    expect(seedFrom({ a: 1, b: undefined })).toBe(seedFrom({ a: 1 }));
+  });
+
+  it('should use toJSON() when present', () => {
+    expect(seedFrom(new Date(0))).toBe(seedFrom('1970-01-01T00:00:00.000Z'));
+  });
+
+  it('should return a usable seed', () => {
+    const seed = seedFrom({ user: 42 });
+    expect(Number.isSafeInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThan(0);
+    expect(['heads', 'tails']).toContain(coin({ seed }));
+  });
+
+  it('should throw for functions, symbols and cycles', () => {
+    const cyclic = {};
+    cyclic.self = cyclic;
+    expect(() => seedFrom(() => 1)).toThrow('seedFrom() cannot hash a function');
+    expect(() => seedFrom(Symbol('x'))).toThrow('seedFrom() cannot hash a symbol');
+    expect(() => seedFrom(cyclic)).toThrow('seedFrom() cannot hash a circular structure');
+  });
+
+  it('should allow shared non-circular references', () => {
+    const shared = { x: 1 };
+    expect(() => seedFrom([shared, shared])).not.toThrow();
+  });
+});
+
 // ─── Edge Cases ──────────────────────────────────────────────────────────────
 
 describe('edge cases', () => {
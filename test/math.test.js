@@ -0,0 +1,12 @@
+import { describe, it, expect } from 'vitest';
+import { logGamma } from '../math.js';
+
+describe('logGamma()', () => {
+  it('should match known values', () => {
+    expect(logGamma(1)).toBeCloseTo(0, 12);
+    expect(logGamma(2)).toBeCloseTo(0, 12);
+    expect(logGamma(5)).toBeCloseTo(Math.log(24), 12);
+    expect(logGamma(0.5)).toBeCloseTo(Math.log(Math.sqrt(Math.PI)), 12);
+    expect(logGamma(101)).toBeCloseTo(363.73937555556347, 9);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  runSuite,
+  formatReport,
+  collect,
+  chiSquare,
+  serialCorrelation,
+  runs,
+  gap,
+  birthdaySpacings,
+  bitFrequency,
+  entropy,
+  STATS_TESTS
+} from '../stats.js';
+import { dice, float, createEngine, ALGORITHMS } from '../index.js';
+
+// ─── collect() ──────────────────────────────────────────────────────────────
+
+describe('collect()', () => {
+  it('should draw raw 32-bit values from an engine or algorithm name', () => {
+    const sample = collect('sfc32', { samples: 100, seed: 1 });
+    expect(sample.k).toBe(2 ** 32);
+    expect(sample.values).toHaveLength(100);
+    expect(sample.source).toBe('sfc32');
+    expect(collect(createEngine('sfc32', 1), { samples: 100 }).values).toEqual(sample.values);
+  });
+
+  it('should call a function once per seed', () => {
+    const seen = [];
+    const sample = collect((o) => { seen.push(o.seed); return 3; }, { seeds: ['a', 'b'], min: 1, max: 6 });
+    expect(seen).toEqual(['a', 'b']);
+    expect(sample).toMatchObject({ values: [2, 2], k: 6 });
+  });
+
+  it('should bin float functions', () => {
+    const sample = collect((o) => float(6, o), { samples: 50, bins: 10 });
+    expect(sample.k).toBe(10);
+    sample.values.forEach((c) => expect(c).toBeLessThan(10));
+  });
+
+  it('should throw for bad sources and out-of-range values', () => {
+    expect(() => collect(42)).toThrow('engine, algorithm name or function');
+    expect(() => collect('nope')).toThrow('Unknown algorithm');
+    expect(() => collect(() => 7, { min: 1, max: 6, samples: 5 })).toThrow('integer in [1, 6]');
+    expect(() => collect(() => 7, { samples: 5 })).toThrow('float in [0, 1)');
+    expect(() => collect('sfc32', { samples: 1 })).toThrow('at least 2 samples');
+  });
+});
+
+// ─── Individual tests ───────────────────────────────────────────────────────
+
+describe('statistical tests', () => {
+  const good = collect('pcg32', { seed: 7 });
+  const counter = (() => {
+    let i = 0;
+    return { next: () => (i++ * 2654435761) >>> 0 };
+  })();
+  const bad = collect(counter);
+
+  it('should pass every test for a good engine', () => {
+    for (const test of [chiSquare, serialCorrelation, runs, gap, birthdaySpacings, bitFrequency, entropy]) {
+      const result = test(good);
+      expect(result.passed).toBe(true);
+      expect(result.pValue).toBeGreaterThanOrEqual(0.01);
+      expect(result.pValue).toBeLessThanOrEqual(1);
+    }
+  });
+
+  it('should catch a Weyl sequence with sequential tests', () => {
+    expect(serialCorrelation(bad).passed).toBe(false);
+    expect(runs(bad).passed).toBe(false);
+    expect(gap(bad).passed).toBe(false);
+    expect(birthdaySpacings(bad).passed).toBe(false);
+  });
+
+  it('should fail chi-square and entropy for a biased source', () => {
+    const biased = { values: Array.from({ length: 6000 }, (_, i) => (i % 3 === 0 ? 0 : i % 6)), k: 6 };
+    expect(chiSquare(biased).passed).toBe(false);
+    expect(entropy(biased).passed).toBe(false);
+    expect(entropy(biased).statistic).toBeLessThan(entropy(biased).details.maxEntropy);
+  });
+
+  it('should fail bit frequency when high bits are stuck', () => {
+    const stuck = { values: good.values.map((x) => x | 0x80000000), k: 2 ** 32 };
+    expect(bitFrequency(stuck).passed).toBe(false);
+  });
+
+  it('should skip tests that need more data', () => {
+    const tiny = { values: [0, 1, 0, 1, 1], k: 2 };
+    expect(birthdaySpacings(tiny)).toMatchObject({ passed: null, pValue: null });
+    expect(gap(tiny).passed).toBe(null);
+  });
+});
+
+// ─── runSuite() ─────────────────────────────────────────────────────────────
+
+describe('runSuite()', () => {
+  it('should pass every algorithm', () => {
+    for (const algorithm of ALGORITHMS) {
+      const report = runSuite(algorithm, { seed: 1 });
+      expect(report.passed).toBe(true);
+      expect(report.tests.map((t) => t.name)).toEqual(STATS_TESTS);
+    }
+  });
+
+  it('should flag classic dice across sequential seeds but not uniform mode', () => {
+    expect(runSuite((o) => dice(6, o), { min: 1, max: 6 }).passed).toBe(false);
+    expect(runSuite((o) => dice(6, { ...o, mode: 'uniform' }), { min: 1, max: 6 }).passed).toBe(true);
+  });
+
+  it('should run a subset of tests at a chosen alpha', () => {
+    const report = runSuite('sfc32', { tests: ['chiSquare', 'runs'], alpha: 0.05, samples: 2000 });
+    expect(report).toMatchObject({ source: 'sfc32', samples: 2000, alpha: 0.05 });
+    expect(report.tests.map((t) => t.name)).toEqual(['chiSquare', 'runs']);
+    expect(() => runSuite('sfc32', { tests: ['diehard'] })).toThrow('Unknown stats test: "diehard"');
+  });
+
+  it('should be deterministic', () => {
+    expect(runSuite('mulberry32', { samples: 2000 })).toEqual(runSuite('mulberry32', { samples: 2000 }));
+  });
+
+  it('should format a readable report', () => {
+    const text = formatReport(runSuite('sfc32', { tests: ['chiSquare'], samples: 2000 }));
+    expect(text).toMatch(/^sfc32: 2000 samples, alpha 0\.01\n {2}PASS {2}chiSquare +p = \d\.\d{4}\nPASSED$/);
+  });
+});
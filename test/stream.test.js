@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { Buffer } from 'node:buffer';
+import { Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { valueReadable, byteReadable, FORMATS } from '../stream.js';
+import { stream, bytes } from '../index.js';
+
+const collect = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) chunks.push(chunk);
+  return chunks;
+};
+
+// ─── Values ──────────────────────────────────────────────────────────────────
+
+describe('valueReadable()', () => {
+  it('should emit newline-delimited values', async () => {
+    const text = (await collect(valueReadable({ seed: 5, limit: 4 }))).join('');
+    expect(text).toBe(stream({ seed: 5 }).take(4).toArray().map((n) => `${n}\n`).join(''));
+  });
+
+  it('should accept a ValueStream', async () => {
+    const text = (await collect(valueReadable(stream({ seed: 2, method: 'coin' }).take(3)))).join('');
+    expect(text.split('\n')).toEqual([...stream({ seed: 2, method: 'coin' }).take(3), '']);
+  });
+
+  it('should write objects as JSON lines', async () => {
+    const text = (await collect(valueReadable({ method: 'roulette', limit: 2 }))).join('');
+    const lines = text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toEqual(stream({ method: 'roulette' }).take(2).toArray());
+  });
+
+  it('should emit raw values in object mode', async () => {
+    const values = await collect(valueReadable({ seed: 1, method: 'card', limit: 5 }, { format: 'objects' }));
+    expect(values).toEqual(stream({ seed: 1, method: 'card' }).take(5).toArray());
+  });
+
+  it('should only produce what the consumer reads', async () => {
+    const readable = valueReadable({}, { format: 'objects' });
+    let written = 0;
+    const sink = new Writable({
+      objectMode: true,
+      highWaterMark: 1,
+      write(_value, _encoding, callback) {
+        written++;
+        if (written === 50) readable.destroy();
+        process.nextTick(callback);
+      }
+    });
+    await pipeline(readable, sink).catch(() => {});
+    expect(written).toBe(50);
+    expect(readable.readableLength).toBeLessThanOrEqual(readable.readableHighWaterMark);
+  });
+
+  it('should emit uniform dice rolls', async () => {
+    const text = (await collect(valueReadable({ seed: 1, method: 'dice', args: [6], limit: 60000 }))).join('');
+    const counts = new Array(6).fill(0);
+    for (const line of text.trim().split('\n')) counts[Number(line) - 1]++;
+    // Chi-square with 5 degrees of freedom; 20.52 is the p = 0.001 critical value
+    const chiSquare = counts.reduce((sum, c) => sum + (c - 10000) ** 2 / 10000, 0);
+    expect(chiSquare).toBeLessThan(20.52);
+  });
+
+  it('should reject an unknown format', () => {
+    expect(FORMATS).toEqual(['lines', 'objects']);
+    expect(() => valueReadable({}, { format: 'csv' })).toThrow('Unknown stream format: "csv"');
+  });
+});
+
+// ─── Bytes ───────────────────────────────────────────────────────────────────
+
+describe('byteReadable()', () => {
+  it('should match bytes() whatever the chunk size', async () => {
+    const expected = Buffer.from(bytes(10003, { seed: 'bin' }));
+    for (const chunkSize of [1, 7, 1024, 65536]) {
+      const chunks = await collect(byteReadable({ seed: 'bin', length: 10003, chunkSize }));
+      expect(Buffer.concat(chunks).equals(expected)).toBe(true);
+    }
+  });
+
+  it('should honour the algorithm option', async () => {
+    const chunks = await collect(byteReadable({ seed: 3, algorithm: 'xoshiro128**', length: 64 }));
+    expect(Buffer.concat(chunks).equals(Buffer.from(bytes(64, { seed: 3, algorithm: 'xoshiro128**' })))).toBe(true);
+  });
+
+  it('should end immediately for a zero length', async () => {
+    expect(await collect(byteReadable({ length: 0 }))).toEqual([]);
+  });
+
+  it('should reject bad options', () => {
+    expect(() => byteReadable({ length: -1 })).toThrow('Stream length must be a non-negative integer');
+    expect(() => byteReadable({ chunkSize: 0 })).toThrow('chunkSize must be a positive integer');
+    expect(() => byteReadable({ algorithm: 'nope' })).toThrow('Unknown algorithm: "nope"');
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { seedTests, testSeed } from '../testing.js';
+import { testSeed as vitestSeed } from '../vitest.js';
+import { seedEachTest as jestSeedEachTest, testSeed as jestSeed } from '../jest.js';
+import { withSeed, uninstall } from '../index.js';
+
+const originalRandom = Math.random;
+
+/** Hooks that record their callbacks, so a test can run them by hand. */
+const recordHooks = () => {
+  const hooks = { before: [], after: [] };
+  hooks.beforeEach = (fn) => hooks.before.push(fn);
+  hooks.afterEach = (fn) => hooks.after.push(fn);
+  return hooks;
+};
+
+afterEach(() => {
+  uninstall({ all: true });
+});
+
+// ─── seedTests() ────────────────────────────────────────────────────────────
+
+describe('seedTests()', () => {
+  it('should install a seed from the test name before each test and restore after', () => {
+    const hooks = recordHooks();
+    seedTests({ ...hooks, testName: () => 'parser handles ties' });
+    expect(hooks.before).toHaveLength(1);
+    expect(hooks.after).toHaveLength(1);
+
+    hooks.before[0]();
+    const value = Math.random();
+    hooks.after[0]();
+    expect(Math.random).toBe(originalRandom);
+    expect(withSeed(testSeed('parser handles ties'), () => Math.random())).toBe(value);
+  });
+
+  it('should pass the hook arguments and this to testName', () => {
+    const hooks = recordHooks();
+    const names = [];
+    seedTests({
+      ...hooks,
+      testName(context) {
+        names.push(this.title, context.name);
+        return context.name;
+      }
+    });
+    hooks.before[0].call({ title: 'mocha' }, { name: 'node test' });
+    hooks.after[0]();
+    expect(names).toEqual(['mocha', 'node test']);
+  });
+
+  it('should use the base seed and install options', () => {
+    const hooks = recordHooks();
+    seedTests({ ...hooks, testName: () => 'a b' }, { seed: 'ci', crypto: true });
+    hooks.before[0]();
+    const id = globalThis.crypto.randomUUID();
+    hooks.after[0]();
+    expect(withSeed(testSeed('a b', 'ci'), () => globalThis.crypto.randomUUID(), { crypto: true })).toBe(id);
+    expect(testSeed('a b', 'ci')).not.toBe(testSeed('a b'));
+    expect(Object.hasOwn(globalThis.crypto, 'randomUUID')).toBe(false);
+  });
+
+  it('should share testSeed with the runner helpers', () => {
+    expect(vitestSeed).toBe(testSeed);
+    expect(jestSeed).toBe(testSeed);
+  });
+});
+
+// ─── pdrng/jest ─────────────────────────────────────────────────────────────
+
+describe('pdrng/jest wiring', () => {
+  it('should register on the global hooks and read the name from the global expect', () => {
+    const hooks = recordHooks();
+    const saved = Object.fromEntries(['beforeEach', 'afterEach', 'expect'].map((key) => [key, globalThis[key]]));
+    Object.assign(globalThis, {
+      beforeEach: hooks.beforeEach,
+      afterEach: hooks.afterEach,
+      expect: { getState: () => ({ currentTestName: 'parser handles ties' }) }
+    });
+    let value;
+    try {
+      jestSeedEachTest();
+      hooks.before[0]();
+      value = Math.random();
+      hooks.after[0]();
+    } finally {
+      Object.assign(globalThis, saved);
+    }
+    expect(withSeed(testSeed('parser handles ties'), () => Math.random())).toBe(value);
+  });
+});
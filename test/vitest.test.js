@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { seedEachTest, testSeed } from '../vitest.js';
+import { withSeed } from '../index.js';
+
+const originalRandom = Math.random;
+
+describe('seedEachTest()', () => {
+  seedEachTest();
+
+  it('should seed Math.random from the test name', () => {
+    const name = expect.getState().currentTestName;
+    const values = [Math.random(), Math.random()];
+    expect(Math.random).not.toBe(originalRandom);
+    expect(withSeed(testSeed(name), () => [Math.random(), Math.random()])).toEqual(values);
+  });
+
+  it('should give each test its own seed', () => {
+    const name = expect.getState().currentTestName;
+    const other = 'seedEachTest() > should seed Math.random from the test name';
+    const value = Math.random();
+    expect(withSeed(testSeed(name), () => Math.random())).toBe(value);
+    expect(withSeed(testSeed(other), () => Math.random())).not.toBe(value);
+  });
+});
+
+describe('seedEachTest({ seed, crypto })', () => {
+  seedEachTest({ seed: 'ci', crypto: true });
+
+  it('should use the base seed and replace crypto', () => {
+    const name = expect.getState().currentTestName;
+    const id = globalThis.crypto.randomUUID();
+    expect(withSeed(testSeed(name, 'ci'), () => globalThis.crypto.randomUUID(), { crypto: true })).toBe(id);
+    expect(testSeed(name, 'ci')).not.toBe(testSeed(name));
+  });
+});
+
+describe('after seeded tests', () => {
+  it('should have restored Math.random and crypto', () => {
+    expect(Math.random).toBe(originalRandom);
+    expect(Object.hasOwn(globalThis.crypto, 'randomUUID')).toBe(false);
+  });
+});
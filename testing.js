@@ -0,0 +1,47 @@
+/**
+ * pdrng/testing - Seed Math.random per test in any test runner
+ *
+ * The runner-specific helpers (pdrng/vitest, pdrng/jest) pass their hooks
+ * here. Other runners can do the same:
+ *
+ *   import { beforeEach, afterEach } from 'node:test';
+ *   import { seedTests } from 'pdrng/testing';
+ *   seedTests({ beforeEach, afterEach, testName: (t) => t.name });
+ *
+ * @module pdrng/testing
+ * @license MIT
+ */
+
+import { install, seedFrom, DEFAULT_SEED } from './index.js';
+
+/**
+ * Seed for a test: the base seed hashed together with the test's full name.
+ * @param {string} name - Full test name as the runner reports it
+ * @param {number|string|bigint} [seed=814] - Base seed
+ * @returns {number}
+ */
+const testSeed = (name, seed = DEFAULT_SEED) => seedFrom([seed, name]);
+
+/**
+ * Install a seeded Math.random before each test and restore it after.
+ *
+ * @param {Object} hooks - Test runner hooks
+ * @param {Function} hooks.beforeEach - Registers a function to run before each test
+ * @param {Function} hooks.afterEach - Registers a function to run after each test
+ * @param {Function} hooks.testName - Returns the full name of the running test;
+ *   called like a beforeEach callback, with the same `this` and arguments
+ * @param {Object} [options={}] - Same options as install(); `seed` is the base seed
+ */
+const seedTests = ({ beforeEach, afterEach, testName }, options = {}) => {
+  let restore = null;
+  // A plain function, so runners that pass the test as `this` (Mocha) work too
+  beforeEach(function (...args) {
+    restore = install({ ...options, seed: testSeed(testName.apply(this, args), options.seed) });
+  });
+  afterEach(() => {
+    if (restore) restore();
+    restore = null;
+  });
+};
+
+export { seedTests, testSeed };
@@ -0,0 +1,29 @@
+/**
+ * pdrng/vitest - Seed Math.random per test in Vitest
+ *
+ *   import { seedEachTest } from 'pdrng/vitest';
+ *   seedEachTest();                      // in a test file or a setupFiles entry
+ *   seedEachTest({ seed: 'ci', crypto: true });
+ *
+ * Every test gets its own seed, derived from its full name (Vitest joins
+ * names with " > ", e.g. "parser > handles ties"), so a test sees the same
+ * random values however the suite is filtered or ordered.
+ *
+ * @module pdrng/vitest
+ * @license MIT
+ */
+
+import { beforeEach, afterEach, expect } from 'vitest';
+import { seedTests, testSeed } from './testing.js';
+
+/**
+ * Install a seeded Math.random before each test and restore it after.
+ *
+ * @param {Object} [options={}] - Same options as install(); `seed` is the base seed
+ */
+const seedEachTest = (options = {}) => seedTests(
+  { beforeEach, afterEach, testName: () => expect.getState().currentTestName },
+  options
+);
+
+export { seedEachTest, testSeed };